@@ -1,6 +1,35 @@
 import BlackScholes from '../../lib/black-scholes.js';
+import StrategyBuilder from '../../lib/strategy.js';
+import PositionRisk from '../../lib/position-risk.js';
+import GrowthProjection from '../../lib/growth-projection.js';
+import LatticePricer from '../../lib/lattice.js';
 import MonteCarloEngine from '../../lib/monte-carlo.js';
 import PortfolioOptimizer from '../../lib/portfolio-optimizer.js';
+import CovarianceEstimator from '../../lib/covariance.js';
+import BlackLitterman from '../../lib/black-litterman.js';
+import DataImport from '../../lib/data-import.js';
+import Backtester from '../../lib/backtester.js';
+import PortfolioRisk from '../../lib/portfolio-risk.js';
+import StressTesting from '../../lib/stress-testing.js';
+import VolatilitySurface from '../../lib/volatility-surface.js';
+
+// Market data loaded from files, shared by the features that use it
+const marketData = {
+    prices: null,
+    chain: null,
+    surface: null
+};
+
+// Latest optimizer output, stress tested alongside the positions
+let lastOptimization = null;
+
+// Summarize per-row import errors for display
+const describeImportErrors = (errors, limit = 5) => {
+    if (errors.length === 0) return '';
+    const lines = errors.slice(0, limit).map(({ row, message }) => (row ? `Row ${row}: ${message}` : message));
+    if (errors.length > limit) lines.push(`…and ${errors.length - limit} more`);
+    return lines.join('<br>');
+};
 
 // Theme handling
 const initTheme = () => {
@@ -25,9 +54,30 @@ const initBlackScholes = () => {
         timeToExpiry: document.getElementById('time-to-expiry'),
         volatility: document.getElementById('volatility'),
         riskFreeRate: document.getElementById('risk-free-rate'),
-        optionType: document.getElementById('option-type')
+        dividendYield: document.getElementById('dividend-yield'),
+        optionType: document.getElementById('option-type'),
+        pricingModel: document.getElementById('pricing-model'),
+        exerciseStyle: document.getElementById('exercise-style'),
+        latticeSteps: document.getElementById('lattice-steps')
     };
     
+    // Early exercise is only available on the lattice models
+    inputs.pricingModel.addEventListener('change', () => {
+        const isLattice = inputs.pricingModel.value !== 'black-scholes';
+        inputs.exerciseStyle.disabled = !isLattice;
+        inputs.latticeSteps.disabled = !isLattice;
+        if (!isLattice) inputs.exerciseStyle.value = 'european';
+    });
+    inputs.pricingModel.dispatchEvent(new Event('change'));
+    
+    // Redraw the last calculation when the chart selection changes
+    let sensitivityParams = null;
+    ['sensitivity-measure', 'sensitivity-axis'].forEach(id => {
+        document.getElementById(id).addEventListener('change', () => {
+            if (sensitivityParams) updateSensitivityCharts(sensitivityParams);
+        });
+    });
+    
     calculateButton.addEventListener('click', () => {
         const params = {
             S: parseFloat(inputs.spotPrice.value),
@@ -35,11 +85,26 @@ const initBlackScholes = () => {
             T: parseFloat(inputs.timeToExpiry.value),
             v: parseFloat(inputs.volatility.value) / 100,
             r: parseFloat(inputs.riskFreeRate.value) / 100,
+            q: (parseFloat(inputs.dividendYield.value) || 0) / 100,
             type: inputs.optionType.value
         };
         
+        if (document.getElementById('use-surface').checked && marketData.surface) {
+            // Volatility read off the fitted surface at this strike and expiry
+            params.v = marketData.surface.getVolatility(params.K, params.T);
+            inputs.volatility.value = (params.v * 100).toFixed(4);
+        }
+        
         try {
-            const result = BlackScholes.calculate(params);
+            const model = inputs.pricingModel.value;
+            const result = model === 'black-scholes'
+                ? BlackScholes.calculate(params)
+                : LatticePricer.calculate({
+                    ...params,
+                    model,
+                    style: inputs.exerciseStyle.value,
+                    steps: parseInt(inputs.latticeSteps.value, 10) || 200
+                });
             
             // Update results
             document.getElementById('option-price').textContent = result.price.toFixed(4);
@@ -49,59 +114,233 @@ const initBlackScholes = () => {
             document.getElementById('theta').textContent = result.theta.toFixed(4);
             document.getElementById('rho').textContent = result.rho.toFixed(4);
             
+            const higherOrder = BlackScholes.higherOrderGreeks(params);
+            ['vanna', 'volga', 'charm', 'speed', 'color'].forEach(measure => {
+                document.getElementById(measure).textContent = higherOrder[measure].toExponential(3);
+            });
+            
             // Update charts
-            updateSensitivityCharts(params, result);
+            sensitivityParams = params;
+            updateSensitivityCharts(params);
         } catch (error) {
             console.error('Calculation error:', error);
             alert('Please check your inputs and try again.');
         }
     });
+    
+    // Invert the model: solve for the volatility implied by a market price
+    document.getElementById('solve-implied-vol').addEventListener('click', () => {
+        const result = BlackScholes.impliedVolatility({
+            price: parseFloat(document.getElementById('market-price').value),
+            S: parseFloat(inputs.spotPrice.value),
+            K: parseFloat(inputs.strikePrice.value),
+            T: parseFloat(inputs.timeToExpiry.value),
+            r: parseFloat(inputs.riskFreeRate.value) / 100,
+            q: (parseFloat(inputs.dividendYield.value) || 0) / 100,
+            type: inputs.optionType.value
+        });
+        
+        if (result.error) {
+            alert(`Could not solve for implied volatility: ${result.error.message}`);
+            return;
+        }
+        
+        inputs.volatility.value = (result.volatility * 100).toFixed(4);
+        calculateButton.click();
+    });
+    
+    // Option chain import: implied volatilities from the mid prices at the current spot and rates
+    document.getElementById('option-chain-file').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        const status = document.getElementById('option-chain-status');
+        if (!file) return;
+        
+        try {
+            const chain = DataImport.parseOptionChain(await file.text());
+            const quoteDate = document.getElementById('quote-date').value;
+            const S = parseFloat(inputs.spotPrice.value);
+            marketData.chain = {
+                ...chain,
+                quotes: Number.isFinite(S)
+                    ? DataImport.impliedVolatilities(chain.quotes, {
+                        S,
+                        r: (parseFloat(inputs.riskFreeRate.value) || 0) / 100,
+                        q: (parseFloat(inputs.dividendYield.value) || 0) / 100,
+                        valuationDate: quoteDate ? new Date(quoteDate) : new Date()
+                    })
+                    : chain.quotes
+            };
+            
+            const solved = marketData.chain.quotes.filter(quote => Number.isFinite(quote.solvedVolatility)).length;
+            status.innerHTML = `Loaded ${chain.quotes.length} quotes across ${chain.expiries.length} expiries`
+                + (Number.isFinite(S) ? `; implied volatility solved for ${solved}` : '; enter a spot price to solve implied volatilities')
+                + (chain.errors.length > 0 ? `<br><span class="text-red-600">${describeImportErrors(chain.errors)}</span>` : '');
+        } catch (error) {
+            marketData.chain = null;
+            status.textContent = '';
+            alert(`Could not import the option chain: ${error.message}`);
+        }
+    });
 };
 
-// Strategy Presets
+// Strategy Builder
 const strategyDescriptions = {
-    'covered-call': {
-        description: 'A covered call involves holding a long position in the underlying asset while selling a call option on that same asset. This strategy provides income through option premiums while limiting upside potential.',
-        maxProfit: 'Limited to strike price - entry price + premium received',
-        maxLoss: 'Stock price can fall to zero, offset partially by premium received',
-        breakeven: 'Stock purchase price - premium received'
-    },
-    'cash-secured-put': {
-        description: 'A cash-secured put involves selling a put option while maintaining enough cash to buy the stock if assigned. This strategy generates income through option premiums while potentially acquiring the stock at a lower price.',
-        maxProfit: 'Limited to premium received',
-        maxLoss: 'Strike price - premium received (if stock goes to zero)',
-        breakeven: 'Strike price - premium received'
-    },
-    'long-leaps': {
-        description: 'LEAPS (Long-term Equity AnticiPation Securities) are long-term call options, typically with expiration dates longer than one year. This strategy provides leveraged exposure to the underlying asset.',
-        maxProfit: 'Unlimited',
-        maxLoss: 'Limited to premium paid',
-        breakeven: 'Strike price + premium paid'
-    },
-    'strangle': {
-        description: 'A strangle involves buying an out-of-the-money call and an out-of-the-money put with the same expiration. This strategy profits from large price movements in either direction.',
-        maxProfit: 'Unlimited',
-        maxLoss: 'Limited to total premium paid',
-        breakeven: 'Two points: Upper strike + total premium, Lower strike - total premium'
-    }
+    'covered-call': 'A covered call involves holding a long position in the underlying asset while selling a call option on that same asset. This strategy provides income through option premiums while limiting upside potential.',
+    'cash-secured-put': 'A cash-secured put involves selling a put option while maintaining enough cash to buy the stock if assigned. This strategy generates income through option premiums while potentially acquiring the stock at a lower price.',
+    'long-leaps': 'LEAPS (Long-term Equity AnticiPation Securities) are long-term call options, typically with expiration dates longer than one year. This strategy provides leveraged exposure to the underlying asset.',
+    'strangle': 'A strangle involves buying an out-of-the-money call and an out-of-the-money put with the same expiration. This strategy profits from large price movements in either direction.',
+    'straddle': 'A straddle buys a call and a put at the same at-the-money strike. It profits when the underlying moves further than the combined premium in either direction.',
+    'bull-call-spread': 'A bull call spread buys a call and sells a higher-strike call with the same expiration, lowering the cost of a bullish view in exchange for capped upside.',
+    'bear-put-spread': 'A bear put spread buys a put and sells a lower-strike put with the same expiration, a cheaper bearish position with capped profit.',
+    'bull-put-spread': 'A bull put spread sells a put and buys a lower-strike put for protection, collecting a credit that is kept if the underlying stays above the short strike.',
+    'bear-call-spread': 'A bear call spread sells a call and buys a higher-strike call for protection, collecting a credit that is kept if the underlying stays below the short strike.',
+    'iron-condor': 'An iron condor combines a bull put spread and a bear call spread. It collects premium and profits while the underlying stays between the short strikes, with losses capped by the wings.',
+    'butterfly': 'A long call butterfly buys one lower and one higher strike call and sells two calls in the middle. It profits most when the underlying finishes at the middle strike.',
+    'calendar': 'A calendar spread sells a near-term option and buys a longer-dated option at the same strike, profiting from the faster time decay of the near leg when the underlying stays near the strike.',
+    'collar': 'A collar protects a long stock position with a long put, financed by selling a call. Both the downside and the upside are capped.'
 };
 
-const initStrategyPresets = () => {
+const initStrategyBuilder = () => {
     const strategySelect = document.getElementById('strategy-select');
     const descriptionDiv = document.getElementById('strategy-description');
+    const legsDiv = document.getElementById('strategy-legs');
+    const daysForward = document.getElementById('strategy-days-forward');
+    const scenarioDays = document.getElementById('scenario-days');
+    let position = null;
     
-    strategySelect.addEventListener('change', () => {
-        const strategy = strategyDescriptions[strategySelect.value];
-        descriptionDiv.innerHTML = `
-            <p class="mb-2">${strategy.description}</p>
+    const addLegRow = (leg = { type: 'call', side: 'long', quantity: 1 }) => {
+        const row = document.createElement('div');
+        row.className = 'grid grid-cols-7 gap-2';
+        row.innerHTML = `
+            <select data-field="type" class="rounded-md border-gray-300 shadow-sm dark:bg-gray-700 text-sm">
+                <option value="call">Call</option>
+                <option value="put">Put</option>
+                <option value="stock">Stock</option>
+            </select>
+            <select data-field="side" class="rounded-md border-gray-300 shadow-sm dark:bg-gray-700 text-sm">
+                <option value="long">Long</option>
+                <option value="short">Short</option>
+            </select>
+            <input type="number" data-field="quantity" min="0" step="1" class="rounded-md border-gray-300 shadow-sm dark:bg-gray-700 text-sm">
+            <input type="number" data-field="strike" class="rounded-md border-gray-300 shadow-sm dark:bg-gray-700 text-sm">
+            <input type="number" data-field="expiry" min="1" class="rounded-md border-gray-300 shadow-sm dark:bg-gray-700 text-sm">
+            <input type="number" data-field="premium" placeholder="Model" class="rounded-md border-gray-300 shadow-sm dark:bg-gray-700 text-sm">
+            <button class="bg-red-600 text-white rounded-md hover:bg-red-700 text-sm">Remove</button>
+        `;
+        const field = name => row.querySelector(`[data-field="${name}"]`);
+        field('type').value = leg.type;
+        field('side').value = leg.side;
+        field('quantity').value = leg.quantity;
+        if (leg.strike !== undefined) field('strike').value = leg.strike;
+        if (leg.expiry !== undefined) field('expiry').value = Math.round(leg.expiry * 365);
+        
+        row.querySelector('button').addEventListener('click', () => {
+            row.remove();
+            updateStrategy();
+        });
+        row.addEventListener('change', updateStrategy);
+        legsDiv.appendChild(row);
+    };
+    
+    const readLegs = () => Array.from(legsDiv.children).map(row => {
+        const value = name => row.querySelector(`[data-field="${name}"]`).value;
+        const leg = {
+            type: value('type'),
+            side: value('side'),
+            quantity: parseFloat(value('quantity')) || 0
+        };
+        if (leg.type !== 'stock') {
+            leg.strike = parseFloat(value('strike'));
+            leg.expiry = parseFloat(value('expiry')) / 365;
+        }
+        if (value('premium') !== '') leg.premium = parseFloat(value('premium'));
+        return leg;
+    });
+    
+    // Market inputs are shared with the calculator, with the defaults of the original presets
+    const readMarket = () => {
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id).value);
+            return Number.isFinite(value) ? value : fallback;
+        };
+        return {
+            S: number('spot-price', 100),
+            v: number('volatility', 20) / 100,
+            r: number('risk-free-rate', 5) / 100,
+            q: number('dividend-yield', 0) / 100,
+            surface: document.getElementById('use-surface').checked ? marketData.surface : null
+        };
+    };
+    
+    const updateStrategy = () => {
+        const summary = document.getElementById('strategy-summary');
+        try {
+            position = StrategyBuilder.createPosition(readLegs(), readMarket());
+        } catch (error) {
+            position = null;
+            summary.innerHTML = `<span class="text-red-600">${error.message}</span>`;
+            updatePayoffDiagram([]);
+            updatePositionRisk();
+            return;
+        }
+        
+        const expiry = StrategyBuilder.firstExpiry(position);
+        const days = parseFloat(daysForward.value);
+        const curves = [{ label: 'At Expiry', t: expiry }];
+        if (days >= 0 && days / 365 < expiry) curves.push({ label: `After ${days} Days`, t: days / 365 });
+        
+        const { maxProfit, maxLoss } = StrategyBuilder.extremes(position);
+        const breakevens = StrategyBuilder.breakevens(position);
+        const format = value => (Number.isFinite(value) ? value.toFixed(2) : 'Unlimited');
+        summary.innerHTML = `
             <ul class="list-disc pl-4">
-                <li>Max Profit: ${strategy.maxProfit}</li>
-                <li>Max Loss: ${strategy.maxLoss}</li>
-                <li>Breakeven: ${strategy.breakeven}</li>
+                <li>Net ${position.cost >= 0 ? 'Debit' : 'Credit'}: ${Math.abs(position.cost).toFixed(2)}</li>
+                <li>Max Profit: ${format(maxProfit)}</li>
+                <li>Max Loss: ${format(-maxLoss)}</li>
+                <li>Breakeven${breakevens.length === 1 ? '' : 's'}: ${breakevens.length > 0 ? breakevens.map(b => b.toFixed(2)).join(', ') : 'None'}</li>
             </ul>
         `;
-        updatePayoffDiagram(strategySelect.value);
+        
+        updatePayoffDiagram(curves.map(({ label, t }) => ({
+            label,
+            points: StrategyBuilder.profitAndLossCurve(position, { t })
+        })));
+        updatePositionRisk();
+    };
+    
+    const updatePositionRisk = () => {
+        const greeksDiv = document.getElementById('position-greeks');
+        const canvas = document.getElementById('scenario-heatmap');
+        if (!position) {
+            greeksDiv.innerHTML = '';
+            canvas.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+            return;
+        }
+        
+        const greeks = PositionRisk.greeks(position);
+        greeksDiv.innerHTML = ['delta', 'gamma', 'vega', 'theta', 'rho'].map(measure => `
+            <div class="bg-gray-50 dark:bg-gray-700 p-2 rounded">
+                <div class="font-medium capitalize">${measure}</div>
+                <div>${greeks[measure].toFixed(4)}</div>
+            </div>
+        `).join('');
+        
+        const days = Math.max(0, parseFloat(scenarioDays.value) || 0);
+        drawScenarioHeatmap(canvas, PositionRisk.scenarioGrid(position, { days: [days] }));
+    };
+    
+    strategySelect.addEventListener('change', () => {
+        descriptionDiv.innerHTML = `<p>${strategyDescriptions[strategySelect.value]}</p>`;
+        legsDiv.innerHTML = '';
+        StrategyBuilder.preset(strategySelect.value, { S: readMarket().S }).forEach(leg => addLegRow(leg));
+        updateStrategy();
+    });
+    document.getElementById('add-leg').addEventListener('click', () => {
+        addLegRow({ type: 'call', side: 'long', quantity: 1, strike: Math.round(readMarket().S), expiry: 30 / 365 });
+        updateStrategy();
     });
+    daysForward.addEventListener('change', updateStrategy);
+    scenarioDays.addEventListener('change', updatePositionRisk);
     
     // Initialize with first strategy
     strategySelect.dispatchEvent(new Event('change'));
@@ -202,119 +441,218 @@ const initCharts = () => {
         }
     });
     
-    return { payoffChart, growthChart, efficientFrontierChart };
+    const sensitivityChart = new Chart(document.getElementById('sensitivity-chart'), {
+        type: 'scatter',
+        data: {
+            datasets: []
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Black-Scholes Sensitivity'
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Spot Price'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Price'
+                    }
+                }
+            }
+        }
+    });
+    
+    const backtestChart = new Chart(document.getElementById('backtest-chart'), {
+        type: 'line',
+        data: {
+            labels: [],
+            datasets: []
+        },
+        options: {
+            responsive: true,
+            plugins: {
+                title: {
+                    display: true,
+                    text: 'Backtest Equity Curve'
+                }
+            },
+            scales: {
+                x: {
+                    title: {
+                        display: true,
+                        text: 'Date'
+                    }
+                },
+                y: {
+                    title: {
+                        display: true,
+                        text: 'Equity'
+                    }
+                }
+            }
+        }
+    });
+    
+    return { payoffChart, growthChart, efficientFrontierChart, sensitivityChart, backtestChart };
 };
 
 // Update chart functions
-const updatePayoffDiagram = (strategyType) => {
-    const chart = charts.payoffChart;
-    const spotPrice = parseFloat(document.getElementById('spot-price').value) || 100;
-    const prices = Array.from({length: 100}, (_, i) => spotPrice * (0.5 + i/50));
-    
-    let payoff;
-    switch(strategyType) {
-        case 'covered-call':
-            payoff = calculateCoveredCallPayoff(prices, spotPrice);
-            break;
-        case 'cash-secured-put':
-            payoff = calculateCashSecuredPutPayoff(prices, spotPrice);
-            break;
-        case 'long-leaps':
-            payoff = calculateLongLeapsPayoff(prices, spotPrice);
-            break;
-        case 'strangle':
-            payoff = calculateStranglePayoff(prices, spotPrice);
-            break;
+const sensitivityAxes = {
+    S: { label: 'Spot Price', range: ({ S }) => [0.5 * S, 1.5 * S], format: x => x },
+    v: { label: 'Volatility (%)', range: ({ v }) => [0.01, 2 * v + 0.1], format: x => x * 100 },
+    T: { label: 'Time to Expiry (Years)', range: ({ T }) => [T / 100, 2 * T], format: x => x }
+};
+
+// Deterministic path, with percentile fan bands when simulated
+const updateGrowthChart = (projection) => {
+    const chart = charts.growthChart;
+    const datasets = [];
+    const band = (lower, upper, color) => {
+        if (!projection.bands || !projection.bands[lower] || !projection.bands[upper]) return;
+        datasets.push(
+            { label: `${lower}th Percentile`, data: projection.bands[lower], borderColor: color, borderWidth: 1, pointRadius: 0, fill: false },
+            { label: `${upper}th Percentile`, data: projection.bands[upper], borderColor: color, borderWidth: 1, pointRadius: 0, backgroundColor: color, fill: '-1' }
+        );
+    };
+    band(5, 95, 'rgba(54, 162, 235, 0.15)');
+    band(25, 75, 'rgba(54, 162, 235, 0.35)');
+    if (projection.bands && projection.bands[50]) {
+        datasets.push({ label: 'Median', data: projection.bands[50], borderColor: 'rgb(54, 162, 235)', pointRadius: 0 });
     }
+    datasets.push({ label: 'Deterministic', data: projection.deterministic, borderColor: 'rgb(255, 159, 64)', borderDash: [6, 4], pointRadius: 0 });
     
-    chart.data.labels = prices.map(p => p.toFixed(2));
-    chart.data.datasets = [{
-        label: 'Payoff',
-        data: payoff,
-        borderColor: 'rgb(75, 192, 192)',
-        tension: 0.1
-    }];
+    chart.data.labels = projection.deterministic.map((_, month) => month);
+    chart.data.datasets = datasets;
+    chart.options.scales.x.title.text = 'Month';
     chart.update();
 };
 
-// Payoff calculation functions
-const calculateCoveredCallPayoff = (prices, spotPrice) => {
-    const strikePrice = spotPrice * 1.1; // 10% OTM
-    const premium = BlackScholes.calculate({
-        S: spotPrice,
-        K: strikePrice,
-        T: 1/12, // 1 month
-        v: 0.2,
-        r: 0.05,
-        type: 'call'
-    }).price;
-    
-    return prices.map(price => {
-        const stockProfit = price - spotPrice;
-        const optionPayoff = -Math.max(0, price - strikePrice);
-        return stockProfit + optionPayoff + premium;
-    });
-};
-
-const calculateCashSecuredPutPayoff = (prices, spotPrice) => {
-    const strikePrice = spotPrice * 0.9; // 10% ITM
-    const premium = BlackScholes.calculate({
-        S: spotPrice,
-        K: strikePrice,
-        T: 1/12,
-        v: 0.2,
-        r: 0.05,
-        type: 'put'
-    }).price;
-    
-    return prices.map(price => {
-        const putPayoff = -Math.max(0, strikePrice - price);
-        return putPayoff + premium;
+// Price and Greeks of the calculator's option (Black-Scholes) as one input varies
+const updateSensitivityCharts = (params) => {
+    const chart = charts.sensitivityChart;
+    const measure = document.getElementById('sensitivity-measure').value;
+    const key = document.getElementById('sensitivity-axis').value;
+    const axis = sensitivityAxes[key];
+    const measureLabel = document.querySelector(`#sensitivity-measure option[value="${measure}"]`).textContent;
+    
+    const evaluate = value => {
+        const point = { ...params, [key]: value };
+        const result = BlackScholes.calculate(point);
+        return result[measure] !== undefined ? result[measure] : BlackScholes.higherOrderGreeks(point)[measure];
+    };
+    
+    const [low, high] = axis.range(params);
+    const points = 100;
+    const curve = Array.from({ length: points + 1 }, (_, i) => {
+        const value = low + (high - low) * i / points;
+        return { x: axis.format(value), y: evaluate(value) };
     });
+    
+    chart.data.datasets = [
+        {
+            label: measureLabel,
+            data: curve,
+            showLine: true,
+            borderColor: 'rgb(75, 192, 192)',
+            pointRadius: 0
+        },
+        {
+            label: 'Current',
+            data: [{ x: axis.format(params[key]), y: evaluate(params[key]) }],
+            backgroundColor: 'rgb(255, 99, 132)',
+            pointRadius: 6
+        }
+    ];
+    chart.options.scales.x.title.text = axis.label;
+    chart.options.scales.y.title.text = measureLabel;
+    chart.update();
 };
 
-const calculateLongLeapsPayoff = (prices, spotPrice) => {
-    const strikePrice = spotPrice;
-    const premium = BlackScholes.calculate({
-        S: spotPrice,
-        K: strikePrice,
-        T: 2, // 2 years
-        v: 0.2,
-        r: 0.05,
-        type: 'call'
-    }).price;
-    
-    return prices.map(price => Math.max(0, price - strikePrice) - premium);
+const updatePayoffDiagram = (curves) => {
+    const chart = charts.payoffChart;
+    const colors = ['rgb(75, 192, 192)', 'rgb(255, 159, 64)'];
+    
+    chart.data.labels = curves.length > 0 ? curves[0].points.map(point => point.S.toFixed(2)) : [];
+    chart.data.datasets = curves.map(({ label, points }, i) => ({
+        label,
+        data: points.map(point => point.pnl),
+        borderColor: colors[i % colors.length],
+        pointRadius: 0,
+        tension: 0.1
+    }));
+    chart.update();
 };
 
-const calculateStranglePayoff = (prices, spotPrice) => {
-    const callStrike = spotPrice * 1.1;
-    const putStrike = spotPrice * 0.9;
-    
-    const callPremium = BlackScholes.calculate({
-        S: spotPrice,
-        K: callStrike,
-        T: 1/12,
-        v: 0.2,
-        r: 0.05,
-        type: 'call'
-    }).price;
-    
-    const putPremium = BlackScholes.calculate({
-        S: spotPrice,
-        K: putStrike,
-        T: 1/12,
-        v: 0.2,
-        r: 0.05,
-        type: 'put'
-    }).price;
-    
-    const totalPremium = callPremium + putPremium;
-    
-    return prices.map(price => {
-        const callPayoff = Math.max(0, price - callStrike);
-        const putPayoff = Math.max(0, putStrike - price);
-        return callPayoff + putPayoff - totalPremium;
+// Growth projection
+const initGrowthProjection = () => {
+    const mode = document.getElementById('growth-mode');
+    const stochasticInputs = ['monthly-volatility', 'growth-paths', 'ruin-level', 'growth-target']
+        .map(id => document.getElementById(id));
+    
+    mode.addEventListener('change', () => {
+        stochasticInputs.forEach(input => { input.disabled = mode.value !== 'monte-carlo'; });
+    });
+    mode.dispatchEvent(new Event('change'));
+    
+    document.getElementById('calculate-growth').addEventListener('click', () => {
+        const params = {
+            initialCapital: parseFloat(document.getElementById('initial-capital').value),
+            monthlyReturn: parseFloat(document.getElementById('monthly-return').value) / 100,
+            years: parseFloat(document.getElementById('duration').value),
+            frequency: document.getElementById('reinvestment-frequency').value
+        };
+        if (!(params.initialCapital > 0) || !Number.isFinite(params.monthlyReturn) || !(params.years > 0)) {
+            alert('Please enter the initial capital, monthly return and duration.');
+            return;
+        }
+        
+        const statsDiv = document.getElementById('growth-stats');
+        const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 0 });
+        const percent = value => `${(value * 100).toFixed(1)}%`;
+        
+        try {
+            if (mode.value === 'deterministic') {
+                const projection = GrowthProjection.deterministic(params);
+                updateGrowthChart({ deterministic: projection.values });
+                statsDiv.innerHTML = `
+                    <ul class="list-disc pl-4">
+                        <li>Final Value: ${format(projection.finalValue)}</li>
+                        <li>Total Return: ${percent(projection.totalReturn)}</li>
+                        <li>Annualized Return: ${percent(projection.annualizedReturn)}</li>
+                    </ul>
+                `;
+                return;
+            }
+            
+            const target = parseFloat(document.getElementById('growth-target').value);
+            const projection = GrowthProjection.simulate({
+                ...params,
+                monthlyVolatility: (parseFloat(document.getElementById('monthly-volatility').value) || 0) / 100,
+                paths: parseInt(document.getElementById('growth-paths').value, 10) || 1000,
+                ruinLevel: (parseFloat(document.getElementById('ruin-level').value) || 0) / 100,
+                target: target > 0 ? target : undefined
+            });
+            updateGrowthChart(projection);
+            statsDiv.innerHTML = `
+                <ul class="list-disc pl-4">
+                    <li>Median Final Value: ${format(projection.finalValue.median)} (mean ${format(projection.finalValue.mean)})</li>
+                    <li>Probability of Ruin (below ${format(projection.ruinLevel)}): ${percent(projection.ruinProbability)}</li>
+                    <li>Probability of Reaching ${format(projection.target)}: ${percent(projection.targetProbability)}</li>
+                    <li>Max Drawdown: median ${percent(projection.maxDrawdown.median)}, 95th percentile ${percent(projection.maxDrawdown.p95)}, worst ${percent(projection.maxDrawdown.worst)}</li>
+                </ul>
+            `;
+        } catch (error) {
+            alert(`Could not project growth: ${error.message}`);
+        }
     });
 };
 
@@ -324,15 +662,52 @@ const initPortfolioOptimizer = () => {
     const optimizeButton = document.getElementById('optimize-portfolio');
     const strategyInputs = document.getElementById('strategy-inputs');
     
-    addStrategyButton.addEventListener('click', () => {
+    const addStrategyRow = (name = '') => {
         const strategyDiv = document.createElement('div');
-        strategyDiv.className = 'grid grid-cols-3 gap-2';
+        strategyDiv.className = 'grid grid-cols-4 gap-2';
         strategyDiv.innerHTML = `
             <input type="text" placeholder="Strategy Name" class="col-span-1">
-            <input type="number" placeholder="Expected Return (%)" class="col-span-1">
-            <input type="number" placeholder="Volatility (%)" class="col-span-1">
+            <input type="number" placeholder="Expected Return / View (%)" class="col-span-1">
+            <input type="number" placeholder="Market Weight (%)" class="col-span-1">
+            <input type="number" placeholder="View Confidence (%)" class="col-span-1">
         `;
+        strategyDiv.getElementsByTagName('input')[0].value = name;
         strategyInputs.appendChild(strategyDiv);
+    };
+    
+    addStrategyButton.addEventListener('click', () => addStrategyRow());
+    
+    // Price file import: one strategy per symbol, closes aligned on common dates
+    document.getElementById('price-file').addEventListener('change', async (event) => {
+        const file = event.target.files[0];
+        const status = document.getElementById('price-file-status');
+        if (!file) return;
+        
+        try {
+            const parsed = DataImport.parsePrices(await file.text(), { missing: 'forward-fill' });
+            if (parsed.symbols.length === 0) {
+                throw new Error(parsed.errors.length > 0 ? parsed.errors[0].message : 'No prices found');
+            }
+            const aligned = DataImport.alignSeries(parsed.series);
+            marketData.prices = { ...parsed, ...aligned };
+            
+            document.getElementById('price-history').value = aligned.prices.map(row => row.join(', ')).join('\n');
+            strategyInputs.innerHTML = '';
+            aligned.symbols.forEach(symbol => addStrategyRow(symbol));
+            updateBacktestSymbols();
+            
+            const span = aligned.dates.length > 0
+                ? ` from ${DataImport.formatDate(aligned.dates[0])} to ${DataImport.formatDate(aligned.dates[aligned.dates.length - 1])}`
+                : '';
+            status.innerHTML = `Loaded ${aligned.symbols.length} series, ${aligned.dates.length} common dates${span}`
+                + (parsed.filled > 0 ? `; ${parsed.filled} missing closes forward-filled` : '')
+                + (parsed.errors.length > 0 ? `<br><span class="text-red-600">${describeImportErrors(parsed.errors)}</span>` : '');
+        } catch (error) {
+            marketData.prices = null;
+            updateBacktestSymbols();
+            status.textContent = '';
+            alert(`Could not import the price file: ${error.message}`);
+        }
     });
     
     optimizeButton.addEventListener('click', () => {
@@ -341,7 +716,8 @@ const initPortfolioOptimizer = () => {
             return {
                 name: inputs[0].value,
                 return: parseFloat(inputs[1].value) / 100,
-                volatility: parseFloat(inputs[2].value) / 100
+                marketWeight: parseFloat(inputs[2].value) / 100,
+                confidence: parseFloat(inputs[3].value) / 100
             };
         });
         
@@ -350,43 +726,117 @@ const initPortfolioOptimizer = () => {
             return;
         }
         
-        const returns = strategies.map(s => s.return);
-        const volatilities = strategies.map(s => s.volatility);
-        const covariance = generateCovarianceMatrix(volatilities);
+        // Covariance estimated from the pasted price history, one column per strategy
+        const prices = document.getElementById('price-history').value
+            .split('\n')
+            .map(line => line.trim())
+            .filter(line => line.length > 0)
+            .map(line => line.split(/[,;\t ]+/).map(Number));
+        if (prices.length > 0 && prices[0].length !== strategies.length) {
+            alert(`The price history has ${prices[0].length} columns but ${strategies.length} strategies were added.`);
+            return;
+        }
+        
+        let estimate;
+        try {
+            estimate = CovarianceEstimator.estimate(prices, {
+                method: document.getElementById('covariance-method').value,
+                periodsPerYear: parseFloat(document.getElementById('periods-per-year').value) || 252
+            });
+        } catch (error) {
+            alert(`Could not estimate the covariance matrix: ${error.message}`);
+            return;
+        }
+        
+        let returns = strategies.map(s => s.return);
+        let { covariance } = estimate;
+        strategies.forEach((strategy, i) => {
+            strategy.volatility = estimate.volatilities[i];
+        });
+        const riskFreeRate = (parseFloat(document.getElementById('portfolio-risk-free-rate').value) || 0) / 100;
+        
+        // Black-Litterman: entered returns are absolute views on the market-implied returns
+        if (document.getElementById('returns-model').value === 'black-litterman') {
+            const weights = strategies.map(s => (isNaN(s.marketWeight) ? 0 : s.marketWeight));
+            const totalWeight = weights.reduce((a, b) => a + b, 0);
+            if (totalWeight <= 0) {
+                alert('Enter market weights to derive the implied equilibrium returns.');
+                return;
+            }
+            const views = strategies
+                .map((s, asset) => ({ type: 'absolute', asset, return: s.return, confidence: isNaN(s.confidence) ? 0.5 : s.confidence }))
+                .filter(view => !isNaN(view.return));
+            
+            try {
+                const model = BlackLitterman.posterior({
+                    covariance,
+                    marketWeights: weights.map(w => w / totalWeight),
+                    views,
+                    riskFreeRate
+                });
+                ({ returns, covariance } = model.posterior);
+            } catch (error) {
+                alert(`Could not apply the Black-Litterman model: ${error.message}`);
+                return;
+            }
+            strategies.forEach((strategy, i) => {
+                strategy.return = returns[i];
+            });
+        }
+        const maxWeight = parseFloat(document.getElementById('max-weight').value);
+        const maxPositions = parseInt(document.getElementById('max-positions').value);
+        
+        const constraints = { sumToOne: true, nonNegative: true };
+        if (!isNaN(maxWeight)) constraints.upper = maxWeight / 100;
+        if (!isNaN(maxPositions)) constraints.cardinality = { max: maxPositions };
+        
+        const minimumVariance = PortfolioOptimizer.minimumVariancePortfolio({ returns, covariance, riskFreeRate, constraints });
+        if (minimumVariance.status === 'infeasible') {
+            alert('No portfolio satisfies the constraints:\n' + minimumVariance.diagnostics.map(d => d.message).join('\n'));
+            return;
+        }
         
         const frontier = PortfolioOptimizer.generateEfficientFrontier({
             returns,
             covariance,
-            riskFreeRate: 0.03,
-            points: 50
+            riskFreeRate,
+            points: 50,
+            constraints
         });
         
-        updateEfficientFrontier(frontier, strategies);
+        const portfolios = {
+            minimumVariance,
+            tangency: PortfolioOptimizer.tangencyPortfolio({ returns, covariance, riskFreeRate, constraints }),
+            maximumDiversification: PortfolioOptimizer.maximumDiversificationPortfolio({ returns, covariance, riskFreeRate, constraints }),
+            riskParity: PortfolioOptimizer.riskParityPortfolio({ returns, covariance, riskFreeRate })
+        };
+        
+        lastOptimization = { names: strategies.map(s => s.name), returns, covariance, portfolios };
+        updateEfficientFrontier(frontier, strategies, portfolios, riskFreeRate);
     });
 };
 
-// Helper function to generate a sample covariance matrix
-const generateCovarianceMatrix = (volatilities) => {
-    const n = volatilities.length;
-    const correlation = 0.5; // Sample correlation coefficient
-    const matrix = Array(n).fill().map(() => Array(n).fill(0));
-    
-    for (let i = 0; i < n; i++) {
-        for (let j = 0; j < n; j++) {
-            if (i === j) {
-                matrix[i][j] = volatilities[i] * volatilities[i];
-            } else {
-                matrix[i][j] = volatilities[i] * volatilities[j] * correlation;
-            }
-        }
-    }
-    
-    return matrix;
-};
-
 // Update efficient frontier chart
-const updateEfficientFrontier = (frontier, strategies) => {
+const updateEfficientFrontier = (frontier, strategies, portfolios, riskFreeRate) => {
     const chart = charts.efficientFrontierChart;
+    const { minimumVariance, tangency, maximumDiversification, riskParity } = portfolios;
+    
+    // Highlighted portfolios; a solver that found no solution is left off the chart
+    const highlight = (label, portfolio, color, pointStyle) => ({
+        label,
+        data: portfolio.status === 'optimal' ? [{ x: portfolio.risk, y: portfolio.return }] : [],
+        borderColor: color,
+        backgroundColor: color,
+        pointStyle,
+        pointRadius: 8
+    });
+    
+    // Capital market line from the risk-free rate through the tangency portfolio
+    const maxRisk = Math.max(...frontier.map(point => point.risk), ...strategies.map(s => s.volatility));
+    const capitalMarketLine = tangency.status === 'optimal' ? [
+        { x: 0, y: riskFreeRate },
+        { x: maxRisk, y: riskFreeRate + tangency.sharpe * maxRisk }
+    ] : [];
     
     chart.data.datasets = [
         {
@@ -407,17 +857,483 @@ const updateEfficientFrontier = (frontier, strategies) => {
             borderColor: 'rgb(255, 99, 132)',
             backgroundColor: 'rgb(255, 99, 132)',
             pointRadius: 5
+        },
+        highlight('Minimum Variance', minimumVariance, 'rgb(54, 162, 235)', 'triangle'),
+        highlight('Tangency (Max Sharpe)', tangency, 'rgb(255, 159, 64)', 'star'),
+        highlight('Maximum Diversification', maximumDiversification, 'rgb(153, 102, 255)', 'rectRot'),
+        highlight('Risk Parity', riskParity, 'rgb(201, 203, 207)', 'rect'),
+        {
+            label: 'Capital Market Line',
+            data: capitalMarketLine,
+            showLine: true,
+            borderColor: 'rgb(255, 159, 64)',
+            borderDash: [6, 4],
+            pointRadius: 0
         }
     ];
     
     chart.update();
 };
 
+// Strategy backtest
+const initBacktester = () => {
+    const strikeMethod = document.getElementById('backtest-strike-method');
+    const strikeTarget = document.getElementById('backtest-strike-target');
+    const volatilitySource = document.getElementById('backtest-volatility');
+    
+    // Sensible targets when switching between a delta and a fraction out of the money
+    strikeMethod.addEventListener('change', () => {
+        strikeTarget.value = strikeMethod.value === 'delta' ? 0.3 : 5;
+    });
+    volatilitySource.addEventListener('change', () => {
+        document.getElementById('backtest-implied-vol').disabled = volatilitySource.value !== 'constant';
+    });
+    volatilitySource.dispatchEvent(new Event('change'));
+    
+    document.getElementById('run-backtest').addEventListener('click', () => {
+        const symbol = document.getElementById('backtest-symbol').value;
+        if (!marketData.prices || !marketData.prices.series[symbol]) {
+            alert('Load a price history in the Portfolio Optimizer first.');
+            return;
+        }
+        
+        const number = id => parseFloat(document.getElementById(id).value) || 0;
+        const target = number('backtest-strike-target');
+        let result;
+        try {
+            result = Backtester.run({
+                bars: marketData.prices.series[symbol],
+                strategy: document.getElementById('backtest-strategy').value,
+                initialCapital: number('backtest-capital'),
+                frequency: document.getElementById('backtest-frequency').value,
+                strike: { method: strikeMethod.value, target: strikeMethod.value === 'delta' ? target : target / 100 },
+                volatility: volatilitySource.value === 'constant' ? number('backtest-implied-vol') / 100 : 'realized',
+                riskFreeRate: number('backtest-risk-free-rate') / 100,
+                commission: number('backtest-commission'),
+                slippage: number('backtest-slippage') / 100,
+                periodsPerYear: number('backtest-periods-per-year') || 252
+            });
+        } catch (error) {
+            alert(`Could not run the backtest: ${error.message}`);
+            return;
+        }
+        
+        const percent = value => `${(value * 100).toFixed(2)}%`;
+        const row = (label, metrics) => `
+            <tr>
+                <td class="pr-4 font-medium">${label}</td>
+                <td class="pr-4">${percent(metrics.totalReturn)}</td>
+                <td class="pr-4">${percent(metrics.annualizedReturn)}</td>
+                <td class="pr-4">${percent(metrics.volatility)}</td>
+                <td class="pr-4">${metrics.sharpeRatio.toFixed(2)}</td>
+                <td class="pr-4">${metrics.sortinoRatio.toFixed(2)}</td>
+                <td>${percent(metrics.maxDrawdown)}</td>
+            </tr>
+        `;
+        document.getElementById('backtest-metrics').innerHTML = `
+            <table class="w-full text-left">
+                <tr><th></th><th>Total</th><th>Annualized</th><th>Volatility</th><th>Sharpe</th><th>Sortino</th><th>Max Drawdown</th></tr>
+                ${row('Strategy', result.metrics)}
+                ${row('Buy and Hold', result.benchmarkMetrics)}
+            </table>
+        `;
+        
+        document.getElementById('backtest-trades').innerHTML = `
+            <table class="w-full text-left">
+                <tr><th>Date</th><th>Action</th><th>Type</th><th>Strike</th><th>Qty</th><th>Price</th><th>Underlying</th><th>Costs</th></tr>
+                ${result.trades.map(trade => `
+                    <tr>
+                        <td>${DataImport.formatDate(trade.date)}</td>
+                        <td>${trade.action}</td>
+                        <td>${trade.type}</td>
+                        <td>${trade.strike !== undefined ? trade.strike.toFixed(2) : '-'}</td>
+                        <td>${trade.quantity}</td>
+                        <td>${trade.price.toFixed(2)}</td>
+                        <td>${trade.underlying.toFixed(2)}</td>
+                        <td>${trade.costs.toFixed(2)}</td>
+                    </tr>
+                `).join('')}
+            </table>
+        `;
+        
+        const chart = charts.backtestChart;
+        chart.data.labels = result.equity.map(point => DataImport.formatDate(point.date));
+        chart.data.datasets = [
+            { label: 'Strategy', data: result.equity.map(point => point.equity), borderColor: 'rgb(75, 192, 192)', pointRadius: 0 },
+            { label: 'Buy and Hold', data: result.benchmark.map(point => point.equity), borderColor: 'rgb(255, 159, 64)', pointRadius: 0 }
+        ];
+        chart.update();
+    });
+};
+
+// Portfolio VaR and expected shortfall
+const initPortfolioRisk = () => {
+    // One position per line: symbol, type, quantity[, strike, expiry in days]
+    const parsePositions = (text, symbols) => text.split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0)
+        .map((line, i) => {
+            const [symbol, type, quantity, strike, expiryDays] = line.split(',').map(cell => cell.trim());
+            const asset = symbols.indexOf(symbol);
+            if (asset < 0) throw new Error(`Line ${i + 1}: unknown symbol ${symbol}`);
+            if (!['stock', 'call', 'put'].includes(type)) throw new Error(`Line ${i + 1}: type must be stock, call or put`);
+            const position = { asset, type, quantity: parseFloat(quantity) };
+            if (!Number.isFinite(position.quantity)) throw new Error(`Line ${i + 1}: invalid quantity`);
+            if (type !== 'stock') {
+                position.strike = parseFloat(strike);
+                position.expiry = parseFloat(expiryDays) / 365;
+                if (!(position.strike > 0 && position.expiry > 0)) throw new Error(`Line ${i + 1}: options need a strike and expiry`);
+            }
+            return position;
+        });
+    
+    // Positions priced off the loaded history: latest closes, annualized volatilities
+    const buildPortfolio = () => {
+        const { symbols, prices } = marketData.prices;
+        const { covariance, volatilities } = CovarianceEstimator.estimate(prices, { returnType: 'log' });
+        const portfolio = {
+            spots: prices[prices.length - 1],
+            volatilities,
+            r: (parseFloat(document.getElementById('portfolio-risk-free-rate').value) || 0) / 100,
+            positions: parsePositions(document.getElementById('risk-positions').value, symbols)
+        };
+        if (portfolio.positions.length === 0) throw new Error('Enter at least one position');
+        return { portfolio, covariance };
+    };
+    
+    document.getElementById('calculate-risk').addEventListener('click', () => {
+        if (!marketData.prices) {
+            alert('Load a price history in the Portfolio Optimizer first.');
+            return;
+        }
+        
+        const { prices } = marketData.prices;
+        const confidence = (parseFloat(document.getElementById('risk-confidence').value) || 99) / 100;
+        const horizonDays = Math.max(1, parseInt(document.getElementById('risk-horizon').value, 10) || 1);
+        const options = {
+            confidence,
+            horizonDays,
+            paths: parseInt(document.getElementById('risk-paths').value, 10) || 10000
+        };
+        
+        let results;
+        let dailyPnL;
+        try {
+            const { portfolio, covariance } = buildPortfolio();
+            results = [
+                ['Historical Simulation', PortfolioRisk.historical(portfolio, { ...options, prices })],
+                ['Delta-Normal', PortfolioRisk.deltaNormal(portfolio, { ...options, covariance })],
+                ['Delta-Gamma (Cornish-Fisher)', PortfolioRisk.deltaGamma(portfolio, { ...options, covariance })],
+                ['Monte Carlo (Full Revaluation)', PortfolioRisk.monteCarlo(portfolio, { ...options, covariance })]
+            ];
+            dailyPnL = horizonDays === 1 ? results[0][1].pnl : PortfolioRisk.historical(portfolio, { prices }).pnl;
+        } catch (error) {
+            alert(`Could not calculate VaR: ${error.message}`);
+            return;
+        }
+        
+        const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+        document.getElementById('risk-results').innerHTML = `
+            <table class="w-full text-left">
+                <tr><th>Method</th><th>VaR</th><th>Expected Shortfall</th></tr>
+                ${results.map(([label, result]) => `
+                    <tr><td class="pr-4">${label}</td><td class="pr-4">${format(result.valueAtRisk)}</td><td>${format(result.expectedShortfall)}</td></tr>
+                `).join('')}
+            </table>
+        `;
+        
+        // Backtest one-day historical VaR on the portfolio's hypothetical daily P&L
+        const backtestDiv = document.getElementById('risk-backtest');
+        const windowDays = parseInt(document.getElementById('risk-window').value, 10) || 250;
+        if (dailyPnL.length <= windowDays) {
+            backtestDiv.textContent = `The VaR backtest needs more than ${windowDays} daily returns.`;
+            return;
+        }
+        const rolling = PortfolioRisk.rollingVaR(dailyPnL, { window: windowDays, confidence });
+        const test = PortfolioRisk.backtest({ pnl: rolling.realized, valueAtRisk: rolling.valueAtRisk, confidence });
+        const describe = ({ statistic, pValue, reject }) => `LR = ${statistic.toFixed(2)}, p = ${pValue.toFixed(3)}${reject ? ' (rejected)' : ''}`;
+        backtestDiv.innerHTML = `
+            <ul class="list-disc pl-4">
+                <li>Exceedances: ${test.exceedances} of ${test.observations} days (expected ${test.expected.toFixed(1)})</li>
+                <li>Kupiec: ${describe(test.kupiec)}</li>
+                <li>Christoffersen Independence: ${describe(test.independence)}</li>
+                <li>Conditional Coverage: ${describe(test.conditionalCoverage)}</li>
+            </ul>
+        `;
+    });
+    
+    // Stress scenarios: presets fill the shock inputs, editing them makes a custom scenario
+    const scenarioSelect = document.getElementById('stress-scenario');
+    const shockInputs = {
+        spotShock: { input: document.getElementById('stress-spot'), scale: 100 },
+        volShift: { input: document.getElementById('stress-vol'), scale: 100 },
+        rateShift: { input: document.getElementById('stress-rate'), scale: 1 },
+        correlationShift: { input: document.getElementById('stress-correlation'), scale: 1 }
+    };
+    scenarioSelect.addEventListener('change', () => {
+        if (scenarioSelect.value === 'custom') return;
+        const scenario = StressTesting.scenario(scenarioSelect.value);
+        Object.entries(shockInputs).forEach(([key, { input, scale }]) => {
+            input.value = +(scenario[key] * scale).toFixed(4);
+        });
+    });
+    Object.values(shockInputs).forEach(({ input }) => {
+        input.addEventListener('input', () => { scenarioSelect.value = 'custom'; });
+    });
+    scenarioSelect.dispatchEvent(new Event('change'));
+    
+    const readScenario = () => {
+        const scenario = {
+            name: scenarioSelect.value === 'custom' ? 'Custom' : StressTesting.scenario(scenarioSelect.value).name,
+            horizonDays: Math.max(0, parseInt(document.getElementById('stress-horizon').value, 10) || 0)
+        };
+        Object.entries(shockInputs).forEach(([key, { input, scale }]) => {
+            scenario[key] = (parseFloat(input.value) || 0) / scale;
+        });
+        return scenario;
+    };
+    
+    const format = value => value.toLocaleString(undefined, { maximumFractionDigits: 2 });
+    const describeReport = (report, portfolio) => {
+        const { symbols } = marketData.prices;
+        const factors = ['spot', 'volatility', 'rate', 'time', 'residual'];
+        return `
+            <div>
+                <div class="font-medium">${report.name}: P&amp;L ${format(report.pnl)} (${format(report.baseValue)} → ${format(report.stressedValue)})</div>
+                <table class="w-full text-left text-xs">
+                    <tr><th>Position</th><th>P&amp;L</th><th>Spot</th><th>Vol</th><th>Rate</th><th>Time</th><th>Residual</th></tr>
+                    ${report.positions.map(position => {
+                        const { quantity, strike } = portfolio.positions[position.index];
+                        const label = `${symbols[position.asset]} ${position.type}${strike ? ` ${strike}` : ''} × ${quantity}`;
+                        return `<tr><td class="pr-2">${label}</td><td class="pr-2">${format(position.pnl)}</td>${factors.map(factor => `<td class="pr-2">${format(position.attribution[factor])}</td>`).join('')}</tr>`;
+                    }).join('')}
+                </table>
+            </div>
+        `;
+    };
+    
+    // Optimizer weights under the same scenario
+    const describeWeights = scenario => {
+        if (!lastOptimization) return '';
+        const { covariance, returns, portfolios } = lastOptimization;
+        const percent = value => `${(value * 100).toFixed(2)}%`;
+        const rows = [['Minimum Variance', portfolios.minimumVariance], ['Tangency', portfolios.tangency]]
+            .filter(([, portfolio]) => portfolio && portfolio.weights)
+            .map(([label, portfolio]) => {
+                const stress = StressTesting.stressWeights({ weights: portfolio.weights, covariance, returns, scenario });
+                return `<tr><td class="pr-4">${label}</td><td class="pr-4">${percent(stress.scenarioReturn)}</td><td>${percent(stress.base.risk)} → ${percent(stress.stressed.risk)}</td></tr>`;
+            });
+        return `
+            <div>
+                <div class="font-medium">Optimized Portfolios</div>
+                <table class="w-full text-left text-xs">
+                    <tr><th>Portfolio</th><th>Scenario Return</th><th>Volatility</th></tr>
+                    ${rows.join('')}
+                </table>
+            </div>
+        `;
+    };
+    
+    document.getElementById('run-stress').addEventListener('click', () => {
+        if (!marketData.prices) {
+            alert('Load a price history in the Portfolio Optimizer first.');
+            return;
+        }
+        try {
+            const { portfolio } = buildPortfolio();
+            const scenario = readScenario();
+            document.getElementById('stress-results').innerHTML = describeReport(StressTesting.run(portfolio, scenario), portfolio)
+                + describeWeights(scenario);
+        } catch (error) {
+            alert(`Could not run the stress test: ${error.message}`);
+        }
+    });
+    
+    document.getElementById('replay-history').addEventListener('click', () => {
+        if (!marketData.prices) {
+            alert('Load a price history in the Portfolio Optimizer first.');
+            return;
+        }
+        try {
+            const { portfolio } = buildPortfolio();
+            const { prices, dates } = marketData.prices;
+            const reports = StressTesting.replay(portfolio, {
+                prices,
+                dates,
+                windowDays: Math.max(2, parseInt(document.getElementById('replay-window').value, 10) || 20),
+                count: 3
+            });
+            document.getElementById('stress-results').innerHTML = reports.map(report => describeReport(report, portfolio)).join('');
+        } catch (error) {
+            alert(`Could not replay the price history: ${error.message}`);
+        }
+    });
+};
+
+// Offer the loaded price series to the backtester
+const updateBacktestSymbols = () => {
+    const select = document.getElementById('backtest-symbol');
+    const symbols = marketData.prices ? marketData.prices.symbols : [];
+    select.innerHTML = symbols.length > 0
+        ? symbols.map(symbol => `<option value="${symbol}">${symbol}</option>`).join('')
+        : '<option value="">No prices loaded</option>';
+};
+
+// Volatility surface
+const initVolatilitySurface = () => {
+    const status = document.getElementById('surface-status');
+    
+    document.getElementById('build-surface').addEventListener('click', () => {
+        if (!marketData.chain || !marketData.chain.quotes.some(quote => Number.isFinite(quote.impliedVolatility))) {
+            alert('Load an option chain (with a spot price entered) in the calculator first.');
+            return;
+        }
+        
+        try {
+            const S = parseFloat(document.getElementById('spot-price').value);
+            marketData.surface = VolatilitySurface.fromQuotes(marketData.chain.quotes, {
+                S,
+                r: (parseFloat(document.getElementById('risk-free-rate').value) || 0) / 100,
+                q: (parseFloat(document.getElementById('dividend-yield').value) || 0) / 100,
+                model: document.getElementById('surface-model').value
+            });
+        } catch (error) {
+            marketData.surface = null;
+            alert(`Could not build the volatility surface: ${error.message}`);
+            return;
+        }
+        
+        const surface = marketData.surface;
+        const { arbitrageFree, butterfly, calendar } = surface.checkArbitrage();
+        const worstFit = Math.max(...surface.slices.map(slice => slice.volatilityRmse));
+        const lines = [
+            `Fitted ${surface.slices.length} expiries; worst RMS error ${(worstFit * 100).toFixed(2)} vol points`
+        ];
+        if (surface.skipped.length > 0) lines.push(`${surface.skipped.length} expiries had too few quotes to fit`);
+        if (arbitrageFree) {
+            lines.push('<span class="text-green-600">No butterfly or calendar arbitrage detected</span>');
+        }
+        butterfly.forEach(({ T, k }) => {
+            lines.push(`<span class="text-red-600">Butterfly arbitrage at T = ${T.toFixed(3)}, log-moneyness ${k.toFixed(3)}</span>`);
+        });
+        calendar.forEach(({ T1, T2, k }) => {
+            lines.push(`<span class="text-red-600">Calendar arbitrage between T = ${T1.toFixed(3)} and ${T2.toFixed(3)} at log-moneyness ${k.toFixed(3)}</span>`);
+        });
+        status.innerHTML = lines.join('<br>');
+        
+        drawVolatilityHeatmap(document.getElementById('volatility-surface'), surface);
+    });
+};
+
+// Draw the surface as a strike by expiry heatmap
+const drawVolatilityHeatmap = (canvas, surface) => {
+    const context = canvas.getContext('2d');
+    canvas.width = canvas.clientWidth;
+    const { width, height } = canvas;
+    const margin = { left: 50, right: 70, top: 10, bottom: 30 };
+    const columns = 60;
+    const rows = 40;
+    
+    const [kMin, kMax] = surface.moneynessRange();
+    const maxT = surface.slices[surface.slices.length - 1].T;
+    const strikes = Array.from({ length: columns }, (_, i) => surface.S * Math.exp(kMin + (kMax - kMin) * (i + 0.5) / columns));
+    const maturities = Array.from({ length: rows }, (_, j) => maxT * (j + 0.5) / rows);
+    const grid = surface.grid(strikes, maturities);
+    const values = grid.flat().filter(Number.isFinite);
+    const low = Math.min(...values);
+    const high = Math.max(...values);
+    const color = value => d3.interpolateTurbo(high > low ? (value - low) / (high - low) : 0.5);
+    
+    const plotWidth = width - margin.left - margin.right;
+    const plotHeight = height - margin.top - margin.bottom;
+    const cellWidth = plotWidth / columns;
+    const cellHeight = plotHeight / rows;
+    
+    context.clearRect(0, 0, width, height);
+    grid.forEach((row, j) => {
+        row.forEach((value, i) => {
+            context.fillStyle = color(value);
+            // Longer expiries towards the top
+            context.fillRect(margin.left + i * cellWidth, margin.top + (rows - 1 - j) * cellHeight, cellWidth + 1, cellHeight + 1);
+        });
+    });
+    
+    // Axes and colour scale
+    context.fillStyle = getComputedStyle(canvas).color;
+    context.font = '11px sans-serif';
+    context.textAlign = 'center';
+    [0, 0.25, 0.5, 0.75, 1].forEach(t => {
+        const K = surface.S * Math.exp(kMin + (kMax - kMin) * t);
+        context.fillText(K.toFixed(0), margin.left + t * plotWidth, height - margin.bottom + 14);
+    });
+    context.fillText('Strike', margin.left + plotWidth / 2, height - 2);
+    context.textAlign = 'right';
+    [0, 0.5, 1].forEach(t => {
+        context.fillText(`${(maxT * t).toFixed(2)}y`, margin.left - 4, margin.top + (1 - t) * plotHeight + 4);
+    });
+    
+    const legendX = width - margin.right + 15;
+    for (let y = 0; y < plotHeight; y++) {
+        context.fillStyle = d3.interpolateTurbo(1 - y / plotHeight);
+        context.fillRect(legendX, margin.top + y, 12, 1);
+    }
+    context.fillStyle = getComputedStyle(canvas).color;
+    context.textAlign = 'left';
+    context.fillText(`${(high * 100).toFixed(1)}%`, legendX + 16, margin.top + 8);
+    context.fillText(`${(low * 100).toFixed(1)}%`, legendX + 16, margin.top + plotHeight);
+};
+
+const drawScenarioHeatmap = (canvas, grid) => {
+    const context = canvas.getContext('2d');
+    canvas.width = canvas.clientWidth;
+    const { width, height } = canvas;
+    const margin = { left: 60, right: 10, top: 10, bottom: 34 };
+    const { spotShocks, volShocks } = grid;
+    const pnl = grid.pnl[0];
+    
+    // Diverging scale centred on zero: losses red, profits green
+    const extent = Math.max(...pnl.flat().map(Math.abs)) || 1;
+    const color = value => d3.interpolateRdYlGn(0.5 + value / (2 * extent));
+    
+    const cellWidth = (width - margin.left - margin.right) / spotShocks.length;
+    const cellHeight = (height - margin.top - margin.bottom) / volShocks.length;
+    
+    context.clearRect(0, 0, width, height);
+    context.font = '11px sans-serif';
+    context.textAlign = 'center';
+    pnl.forEach((row, j) => {
+        // Higher volatility towards the top
+        const y = margin.top + (volShocks.length - 1 - j) * cellHeight;
+        row.forEach((value, i) => {
+            const x = margin.left + i * cellWidth;
+            context.fillStyle = color(value);
+            context.fillRect(x, y, cellWidth - 1, cellHeight - 1);
+            context.fillStyle = '#111827';
+            context.fillText(value.toFixed(2), x + cellWidth / 2, y + cellHeight / 2 + 4);
+        });
+    });
+    
+    context.fillStyle = getComputedStyle(canvas).color;
+    spotShocks.forEach((shock, i) => {
+        context.fillText(`${shock > 0 ? '+' : ''}${(shock * 100).toFixed(0)}%`, margin.left + (i + 0.5) * cellWidth, height - margin.bottom + 14);
+    });
+    context.fillText('Spot Shock', margin.left + (width - margin.left - margin.right) / 2, height - 2);
+    context.textAlign = 'right';
+    volShocks.forEach((shock, j) => {
+        const y = margin.top + (volShocks.length - 1 - j + 0.5) * cellHeight + 4;
+        context.fillText(`${shock > 0 ? '+' : ''}${(shock * 100).toFixed(0)} vol`, margin.left - 6, y);
+    });
+};
+
 // Initialize everything
 const charts = initCharts();
 document.addEventListener('DOMContentLoaded', () => {
     initTheme();
     initBlackScholes();
-    initStrategyPresets();
+    initStrategyBuilder();
+    initGrowthProjection();
     initPortfolioOptimizer();
+    initVolatilitySurface();
+    initBacktester();
+    initPortfolioRisk();
 }); 
\ No newline at end of file
@@ -0,0 +1,331 @@
+/**
+ * Option Strategy Backtester
+ * Replays covered call and cash-secured put strategies over a historical
+ * price series, writing and rolling options on a schedule, pricing them with
+ * Black-Scholes and charging commissions and slippage
+ */
+
+import BlackScholes from './black-scholes.js';
+import PortfolioOptimizer from './portfolio-optimizer.js';
+
+const MS_PER_DAY = 86400000;
+const DAYS_PER_YEAR = 365;
+
+// Option tenor in calendar days for each roll frequency
+const FREQUENCIES = {
+    weekly: 7,
+    monthly: 30,
+    quarterly: 91
+};
+
+// The option written by each strategy and whether it holds the underlying
+const STRATEGIES = {
+    'covered-call': { type: 'call', stock: true },
+    'cash-secured-put': { type: 'put', stock: false }
+};
+
+class Backtester {
+    /**
+     * Backtest an option-writing strategy
+     * Options are written at the close, held until expiry or until rollDays before it, and
+     * then replaced. Expiries fall on the last bar on or before the end of the tenor, so an
+     * option never stays open past a weekend or holiday close. Expiring options settle for their intrinsic value in cash, which matches
+     * assignment followed by re-establishing the position at the same close. Cash earns the
+     * risk-free rate and open options are marked to model every bar.
+     * @param {Object} params - Backtest parameters
+     * @param {Array<Object>} params.bars - Price history as { date, close } in date order (as from
+     *   DataImport.parsePrices), optionally with impliedVolatility per bar
+     * @param {string} [params.strategy='covered-call'] - 'covered-call' or 'cash-secured-put'
+     * @param {number} params.initialCapital - Starting cash
+     * @param {string} [params.frequency='monthly'] - Roll schedule: 'weekly', 'monthly' or 'quarterly'
+     * @param {number} [params.tenorDays] - Option tenor in calendar days (overrides frequency)
+     * @param {number} [params.rollDays=0] - Buy back and roll this many days before expiry
+     * @param {Object} [params.strike] - Strike selection: { method: 'delta', target } for an
+     *   absolute delta (default 0.3) or { method: 'otm', target } for a fraction out of the money
+     * @param {number} [params.strikeStep=0] - Strike increment strikes are rounded to (0 for none)
+     * @param {number|string|Function} [params.volatility='realized'] - Pricing volatility: a constant
+     *   implied volatility, 'realized' (rolling close-to-close), 'implied' (each bar's
+     *   impliedVolatility) or a function (bar, index) -> volatility
+     * @param {number} [params.volatilityWindow=20] - Bars in the realized volatility window
+     * @param {number} [params.riskFreeRate=0] - Risk-free rate (as decimal)
+     * @param {number} [params.dividendYield=0] - Continuous dividend yield (as decimal)
+     * @param {number} [params.contractSize=100] - Shares per contract
+     * @param {number} [params.commission=0] - Commission per option contract
+     * @param {number} [params.stockCommission=0] - Commission per share traded
+     * @param {number} [params.slippage=0] - Fraction of the price lost on every trade
+     * @param {number} [params.periodsPerYear=252] - Bars per year for annualizing metrics
+     * @returns {Object} Equity curve [{ date, equity, underlying }], buy-and-hold benchmark curve,
+     *   trade log and performance metrics
+     */
+    static run(params) {
+        const {
+            bars,
+            strategy = 'covered-call',
+            initialCapital,
+            frequency = 'monthly',
+            rollDays = 0,
+            strike: strikeSelection = { method: 'delta', target: 0.3 },
+            strikeStep = 0,
+            riskFreeRate = 0,
+            dividendYield = 0,
+            contractSize = 100,
+            commission = 0,
+            stockCommission = 0,
+            slippage = 0,
+            periodsPerYear = 252
+        } = params;
+        const spec = STRATEGIES[strategy];
+        if (!spec) throw new Error(`Unknown strategy: ${strategy}`);
+        if (!FREQUENCIES[frequency] && params.tenorDays === undefined) throw new Error(`Unknown roll frequency: ${frequency}`);
+        if (!bars || bars.length < 2) throw new Error('The backtest needs at least two bars');
+        if (!(initialCapital > 0)) throw new Error('Initial capital must be positive');
+
+        const tenorDays = params.tenorDays || FREQUENCIES[frequency];
+        const volatilityAt = this.volatilitySource(params);
+        const market = { r: riskFreeRate, q: dividendYield };
+
+        let cash = initialCapital;
+        let shares = 0;
+        let option = null;
+        const trades = [];
+        const equity = [];
+
+        // Trades fill at the close, moved against us by the slippage
+        const fill = (price, side) => price * (side === 'buy' ? 1 + slippage : 1 - slippage);
+
+        if (spec.stock) {
+            const price = fill(bars[0].close, 'buy');
+            shares = Math.floor(cash / (price + stockCommission) / contractSize) * contractSize;
+            if (shares === 0) throw new Error('Initial capital is too small for one contract');
+            const costs = shares * stockCommission;
+            cash -= shares * price + costs;
+            trades.push({ date: bars[0].date, action: 'buy', type: 'stock', quantity: shares, price, underlying: bars[0].close, costs });
+        }
+
+        bars.forEach((bar, i) => {
+            const S = bar.close;
+            if (i > 0) {
+                const days = (this.time(bar.date) - this.time(bars[i - 1].date)) / MS_PER_DAY;
+                cash *= Math.exp(riskFreeRate * days / DAYS_PER_YEAR);
+                // Dividends are paid to the shareholder
+                cash += shares * bars[i - 1].close * (Math.exp(dividendYield * days / DAYS_PER_YEAR) - 1);
+            }
+            const v = volatilityAt(bar, i);
+
+            // Settle at expiry, or buy back ahead of it
+            if (option) {
+                const daysLeft = (option.expiry - this.time(bar.date)) / MS_PER_DAY;
+                if (daysLeft <= 0) {
+                    const intrinsic = Math.max(0, spec.type === 'call' ? S - option.strike : option.strike - S);
+                    cash -= intrinsic * option.contracts * contractSize;
+                    trades.push(this.trade(bar, 'expire', option, intrinsic, 0, v));
+                    option = null;
+                } else if (daysLeft <= rollDays || i === bars.length - 1) {
+                    const price = fill(this.optionValue(option, S, bar, v, market), 'buy');
+                    const costs = option.contracts * commission;
+                    cash -= price * option.contracts * contractSize + costs;
+                    trades.push(this.trade(bar, 'close', option, price, costs, v));
+                    option = null;
+                }
+            }
+
+            // Write the next option unless the series ends here
+            if (!option && i < bars.length - 1 && v > 0) {
+                const expiry = this.expiryTime(bars, i, tenorDays);
+                const T = (expiry - this.time(bar.date)) / MS_PER_DAY / DAYS_PER_YEAR;
+                const strike = this.selectStrike({ S, T, v, type: spec.type, ...market }, strikeSelection, strikeStep);
+                const collateral = cash + shares * S;
+                const contracts = spec.stock
+                    ? shares / contractSize
+                    : Math.floor(collateral / (strike * contractSize));
+
+                if (contracts > 0) {
+                    option = { type: spec.type, strike, expiry, contracts, volatility: v };
+                    const price = fill(this.optionValue(option, S, bar, v, market), 'sell');
+                    const costs = contracts * commission;
+                    cash += price * contracts * contractSize - costs;
+                    option.premium = price;
+                    trades.push(this.trade(bar, 'open', option, price, costs, v));
+                }
+            }
+
+            const liability = option ? this.optionValue(option, S, bar, v, market) * option.contracts * contractSize : 0;
+            equity.push({ date: bar.date, equity: cash + shares * S - liability, underlying: S });
+        });
+
+        const benchmark = bars.map(bar => ({ date: bar.date, equity: initialCapital * bar.close / bars[0].close }));
+        return {
+            equity,
+            benchmark,
+            trades,
+            metrics: this.metrics(equity.map(point => point.equity), { riskFreeRate, periodsPerYear }),
+            benchmarkMetrics: this.metrics(benchmark.map(point => point.equity), { riskFreeRate, periodsPerYear })
+        };
+    }
+
+    /**
+     * Performance metrics of an equity curve
+     * @param {Array<number>} values - Equity by bar
+     * @param {Object} options - Metric options
+     * @param {number} options.riskFreeRate - Annual risk-free rate
+     * @param {number} options.periodsPerYear - Bars per year
+     * @returns {Object} totalReturn, annualizedReturn, volatility, sharpeRatio, sortinoRatio and
+     *   the maximum drawdown from PortfolioOptimizer.calculateMaxDrawdown
+     */
+    static metrics(values, options) {
+        const { riskFreeRate, periodsPerYear } = options;
+        const returns = values.slice(1).map((value, i) => value / values[i] - 1);
+        const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+        const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / Math.max(1, returns.length - 1);
+
+        const totalReturn = values[values.length - 1] / values[0] - 1;
+        const annualizedReturn = Math.pow(1 + totalReturn, periodsPerYear / returns.length) - 1;
+        const volatility = Math.sqrt(variance * periodsPerYear);
+        const downsideDeviation = PortfolioOptimizer.calculateDownsideDeviation(returns, 0) * Math.sqrt(periodsPerYear);
+
+        return {
+            totalReturn,
+            annualizedReturn,
+            volatility,
+            sharpeRatio: PortfolioOptimizer.calculateSharpeRatio(annualizedReturn, volatility, riskFreeRate),
+            sortinoRatio: PortfolioOptimizer.calculateSortinoRatio(annualizedReturn, downsideDeviation, riskFreeRate),
+            ...PortfolioOptimizer.calculateMaxDrawdown(values)
+        };
+    }
+
+    /**
+     * Strike of a newly written option
+     * @param {Object} params - Option parameters (S, T, v, r, q, type)
+     * @param {Object} selection - { method: 'delta'|'otm', target }
+     * @param {number} strikeStep - Strike increment (0 for none)
+     * @returns {number} Strike
+     */
+    static selectStrike(params, selection, strikeStep) {
+        const { S, T, v, r, q, type } = params;
+        const { method = 'delta', target = method === 'delta' ? 0.3 : 0.05 } = selection;
+        const sign = type === 'call' ? 1 : -1;
+        let strike;
+
+        if (method === 'delta') {
+            if (!(target > 0 && target < Math.exp(-q * T))) throw new Error('Delta target must lie between 0 and 1');
+            // Invert |delta| = exp(-qT) N(sign d1) for d1, then d1 for the strike
+            const d1 = sign * BlackScholes.inverseNormalCDF(target * Math.exp(q * T));
+            strike = S * Math.exp((r - q + v * v / 2) * T - d1 * v * Math.sqrt(T));
+        } else if (method === 'otm') {
+            strike = S * (1 + sign * target);
+        } else {
+            throw new Error(`Unknown strike selection method: ${method}`);
+        }
+
+        return strikeStep > 0 ? Math.max(strikeStep, Math.round(strike / strikeStep) * strikeStep) : strike;
+    }
+
+    /**
+     * Expiry of an option written at a bar: the last bar on or before the end of the tenor
+     * The next bar is used when the tenor ends before it, and the calendar date when the
+     * series ends before the tenor does.
+     * @param {Array<Object>} bars - Price history
+     * @param {number} index - Bar the option is written at
+     * @param {number} tenorDays - Tenor in calendar days
+     * @returns {number} Expiry timestamp (ms)
+     */
+    static expiryTime(bars, index, tenorDays) {
+        const target = this.time(bars[index].date) + tenorDays * MS_PER_DAY;
+        if (this.time(bars[bars.length - 1].date) < target) return target;
+
+        let j = index + 1;
+        while (j + 1 < bars.length && this.time(bars[j + 1].date) <= target) j++;
+        return this.time(bars[j].date);
+    }
+
+    /**
+     * Volatility source for pricing
+     * @param {Object} params - Backtest parameters (volatility, volatilityWindow, periodsPerYear, bars)
+     * @returns {Function} Function (bar, index) -> volatility
+     */
+    static volatilitySource(params) {
+        const { bars, volatility = 'realized', volatilityWindow = 20, periodsPerYear = 252 } = params;
+
+        if (typeof volatility === 'function') return volatility;
+        if (typeof volatility === 'number') return () => volatility;
+        if (volatility === 'implied') return bar => bar.impliedVolatility;
+        if (volatility !== 'realized') throw new Error(`Unknown volatility source: ${volatility}`);
+
+        const logReturns = bars.slice(1).map((bar, i) => Math.log(bar.close / bars[i].close));
+        // The window trails each bar; the first bars use what history there is
+        return (bar, i) => {
+            const window = logReturns.slice(Math.max(0, i - volatilityWindow), i);
+            if (window.length < 2) return NaN;
+            const mean = window.reduce((sum, value) => sum + value, 0) / window.length;
+            const variance = window.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (window.length - 1);
+            return Math.sqrt(variance * periodsPerYear);
+        };
+    }
+
+    /**
+     * Black-Scholes value of an open option
+     * @param {Object} option - Open option { type, strike, expiry (ms), volatility at the open }
+     * @param {number} S - Underlying price
+     * @param {Object} bar - Current bar
+     * @param {number} v - Volatility; the volatility at the open is kept when this is unavailable
+     * @param {Object} market - { r, q }
+     * @returns {number} Option value per share
+     */
+    static optionValue(option, S, bar, v, market) {
+        const T = Math.max(0, (option.expiry - this.time(bar.date)) / MS_PER_DAY / DAYS_PER_YEAR);
+        const volatility = v > 0 ? v : option.volatility;
+        return BlackScholes.calculate({ S, K: option.strike, T, v: volatility, r: market.r, q: market.q, type: option.type }).price;
+    }
+
+    /**
+     * Trade log entry
+     * @param {Object} bar - Bar of the trade
+     * @param {string} action - 'open', 'close' or 'expire'
+     * @param {Object} option - Option traded
+     * @param {number} price - Price per share
+     * @param {number} costs - Commissions paid
+     * @param {number} v - Pricing volatility
+     * @returns {Object} Trade
+     */
+    static trade(bar, action, option, price, costs, v) {
+        return {
+            date: bar.date,
+            action,
+            type: option.type,
+            strike: option.strike,
+            expiry: new Date(option.expiry),
+            quantity: option.contracts,
+            price,
+            underlying: bar.close,
+            volatility: v,
+            costs
+        };
+    }
+
+    /**
+     * Timestamp of a bar date
+     * @param {Date|string|number} date - Date
+     * @returns {number} Milliseconds since the epoch
+     */
+    static time(date) {
+        return date instanceof Date ? date.getTime() : new Date(date).getTime();
+    }
+}
+
+// Example usage:
+/*
+const { series } = DataImport.parsePrices(csvText);
+const result = Backtester.run({
+    bars: series.SPY,
+    strategy: 'covered-call',
+    initialCapital: 100000,
+    frequency: 'monthly',
+    strike: { method: 'delta', target: 0.3 },
+    riskFreeRate: 0.04,
+    commission: 0.65,
+    slippage: 0.02
+});
+console.log(result.metrics.sharpeRatio, result.metrics.maxDrawdown, result.trades.length);
+*/
+
+export default Backtester;
\ No newline at end of file
@@ -0,0 +1,223 @@
+/**
+ * Black-Litterman Model
+ * Blends implied equilibrium returns from market-capitalization weights with
+ * investor views into posterior expected returns and covariance
+ */
+
+import LinearAlgebra from './linear-algebra.js';
+
+class BlackLitterman {
+    /**
+     * Posterior expected returns and covariance given market weights and views
+     * mu = Pi + tau Sigma P^T (P tau Sigma P^T + Omega)^-1 (Q - P Pi)
+     * Sigma_post = Sigma + tau Sigma - tau Sigma P^T (P tau Sigma P^T + Omega)^-1 P tau Sigma
+     * @param {Object} params - Model parameters
+     * @param {Array<Array<number>>} params.covariance - Annualized covariance matrix
+     * @param {Array<number>} params.marketWeights - Market-capitalization weights
+     * @param {Array<Object>} [params.views=[]] - Views as { type: 'absolute', asset, return, confidence }
+     *   or { type: 'relative', long, short, return, confidence }, where long and short are asset
+     *   indices (or arrays of indices, equally weighted) and return is the expected outperformance
+     * @param {number} [params.riskAversion] - Market risk aversion delta; derived from marketReturn
+     *   when that is given, otherwise 2.5
+     * @param {number} [params.marketReturn] - Expected market return, used to derive the risk aversion
+     * @param {number} [params.riskFreeRate=0] - Risk-free rate
+     * @param {number} [params.tau=0.05] - Uncertainty scaling of the prior
+     * @param {string|Array<number>} [params.omega='idzorek'] - View uncertainty: 'idzorek' (from each
+     *   view's confidence in [0, 1]), 'proportional' (He & Litterman, diag(P tau Sigma P^T)) or
+     *   explicit view variances
+     * @returns {Object} Implied returns, posterior { returns, covariance } ready for
+     *   PortfolioOptimizer.generateEfficientFrontier, unconstrained optimal weights (delta Sigma)^-1 mu, and the
+     *   P, Q, omega, tau and riskAversion used
+     */
+    static posterior(params) {
+        const {
+            covariance,
+            marketWeights,
+            riskFreeRate = 0,
+            tau = 0.05,
+            omega = 'idzorek'
+        } = params;
+        const n = marketWeights.length;
+        const riskAversion = this.resolveRiskAversion(params);
+        const prior = this.impliedReturns({ covariance, marketWeights, riskAversion, riskFreeRate })
+            .map(value => value - riskFreeRate);
+
+        // Views held with zero confidence carry no information
+        const views = (params.views || []).filter(view => !(omega === 'idzorek' && this.confidence(view) === 0));
+        const { P, Q } = this.viewMatrices(views, n, riskFreeRate);
+        const tauSigma = covariance.map(row => row.map(value => tau * value));
+
+        if (views.length === 0) {
+            return this.result(prior, covariance.map((row, i) => row.map((value, j) => value + tauSigma[i][j])), {
+                covariance, riskAversion, riskFreeRate, tau, P, Q, omega: []
+            });
+        }
+
+        const tauSigmaPt = LinearAlgebra.multiply(tauSigma, LinearAlgebra.transpose(P));
+        const viewCovariance = LinearAlgebra.multiply(P, tauSigmaPt);
+        const omegaDiagonal = this.viewUncertainty(omega, views, viewCovariance);
+        const M = viewCovariance.map((row, i) => row.map((value, j) => value + (i === j ? omegaDiagonal[i] : 0)));
+        const MInverse = LinearAlgebra.inverse(M);
+        if (!MInverse) throw new Error('Views are linearly dependent and fully confident; the posterior is undefined');
+
+        const surprise = Q.map((q, k) => q - P[k].reduce((sum, p, i) => sum + p * prior[i], 0));
+        const gain = LinearAlgebra.multiply(tauSigmaPt, MInverse);
+        const returns = prior.map((value, i) => value + gain[i].reduce((sum, g, k) => sum + g * surprise[k], 0));
+
+        const reduction = LinearAlgebra.multiply(gain, LinearAlgebra.transpose(tauSigmaPt));
+        const posteriorCovariance = covariance.map((row, i) => row.map((value, j) => {
+            return value + tauSigma[i][j] - reduction[i][j];
+        }));
+
+        return this.result(returns, posteriorCovariance, {
+            covariance, riskAversion, riskFreeRate, tau, P, Q, omega: omegaDiagonal, prior
+        });
+    }
+
+    /**
+     * Implied equilibrium returns Pi = delta Sigma w_mkt (plus the risk-free rate)
+     * @param {Object} params - Model parameters
+     * @param {Array<Array<number>>} params.covariance - Annualized covariance matrix
+     * @param {Array<number>} params.marketWeights - Market-capitalization weights
+     * @param {number} [params.riskAversion=2.5] - Market risk aversion
+     * @param {number} [params.riskFreeRate=0] - Risk-free rate
+     * @returns {Array<number>} Implied expected (total) returns
+     */
+    static impliedReturns(params) {
+        const { covariance, marketWeights, riskAversion = 2.5, riskFreeRate = 0 } = params;
+        return LinearAlgebra.multiplyVector(covariance, marketWeights).map(value => riskAversion * value + riskFreeRate);
+    }
+
+    /**
+     * Market risk aversion: given, or the market's excess return per unit of variance
+     * @param {Object} params - Model parameters (riskAversion, or marketReturn with covariance and marketWeights)
+     * @returns {number} Risk aversion delta
+     */
+    static resolveRiskAversion(params) {
+        const { riskAversion, marketReturn, covariance, marketWeights, riskFreeRate = 0 } = params;
+        if (riskAversion !== undefined) return riskAversion;
+        if (marketReturn === undefined) return 2.5;
+
+        const marketVariance = marketWeights.reduce((sum, w, i) => {
+            return sum + w * covariance[i].reduce((s, value, j) => s + value * marketWeights[j], 0);
+        }, 0);
+        return (marketReturn - riskFreeRate) / marketVariance;
+    }
+
+    /**
+     * Pick matrix P and excess view returns Q
+     * @param {Array<Object>} views - Investor views
+     * @param {number} n - Number of assets
+     * @param {number} riskFreeRate - Risk-free rate (removed from absolute views)
+     * @returns {Object} P (views x assets) and Q (views)
+     */
+    static viewMatrices(views, n, riskFreeRate) {
+        const asList = indices => (Array.isArray(indices) ? indices : [indices]);
+        const P = [];
+        const Q = [];
+
+        views.forEach((view, k) => {
+            const row = Array(n).fill(0);
+            const type = view.type || (view.asset !== undefined ? 'absolute' : 'relative');
+            if (type === 'absolute') {
+                row[view.asset] = 1;
+            } else if (type === 'relative') {
+                const long = asList(view.long);
+                const short = asList(view.short);
+                long.forEach(i => { row[i] += 1 / long.length; });
+                short.forEach(i => { row[i] -= 1 / short.length; });
+            } else {
+                throw new Error(`Unknown view type in view ${k}: ${type}`);
+            }
+            if (row.some(value => !Number.isFinite(value))) throw new Error(`View ${k} refers to an unknown asset`);
+
+            P.push(row);
+            // Views are stated as total returns; the model works in excess returns
+            Q.push(view.return - riskFreeRate * row.reduce((a, b) => a + b, 0));
+        });
+
+        return { P, Q };
+    }
+
+    /**
+     * Diagonal view uncertainty Omega
+     * Idzorek's method in its closed-form approximation: omega_k = (1 - C_k) / C_k * p_k tau Sigma p_k^T.
+     * A single view held with confidence C_k then moves the implied optimal weights exactly a
+     * fraction C_k of the way towards those of a fully confident view; with several overlapping
+     * views the tilts interact and only approximate their confidences.
+     * @param {string|Array<number>} omega - 'idzorek', 'proportional' or explicit variances
+     * @param {Array<Object>} views - Investor views
+     * @param {Array<Array<number>>} viewCovariance - P tau Sigma P^T
+     * @returns {Array<number>} View variances
+     */
+    static viewUncertainty(omega, views, viewCovariance) {
+        if (Array.isArray(omega)) return omega;
+
+        switch (omega) {
+            case 'idzorek':
+                return views.map((view, k) => {
+                    const confidence = this.confidence(view);
+                    return (1 - confidence) / confidence * viewCovariance[k][k];
+                });
+            case 'proportional':
+                return views.map((_, k) => viewCovariance[k][k]);
+            default:
+                throw new Error(`Unknown view uncertainty method: ${omega}`);
+        }
+    }
+
+    /**
+     * Confidence of a view, clamped to [0, 1] (default 0.5)
+     * @param {Object} view - Investor view
+     * @returns {number} Confidence
+     */
+    static confidence(view) {
+        const { confidence = 0.5 } = view;
+        return Math.max(0, Math.min(1, confidence));
+    }
+
+    /**
+     * Assemble the model output
+     * @param {Array<number>} excessReturns - Posterior excess returns
+     * @param {Array<Array<number>>} covariance - Posterior covariance
+     * @param {Object} details - Prior covariance, risk aversion, risk-free rate, tau, P, Q, omega
+     *   and prior excess returns
+     * @returns {Object} Model output
+     */
+    static result(excessReturns, covariance, details) {
+        const { riskAversion, riskFreeRate, tau, P, Q, omega } = details;
+        const prior = details.prior || excessReturns;
+        const inverse = LinearAlgebra.inverse(details.covariance);
+
+        return {
+            impliedReturns: prior.map(value => value + riskFreeRate),
+            posterior: {
+                returns: excessReturns.map(value => value + riskFreeRate),
+                covariance
+            },
+            // Unconstrained mean-variance weights (delta Sigma)^-1 mu; the market weights without views
+            weights: inverse ? LinearAlgebra.multiplyVector(inverse, excessReturns).map(value => value / riskAversion) : null,
+            P,
+            Q,
+            omega,
+            tau,
+            riskAversion
+        };
+    }
+}
+
+// Example usage:
+/*
+const model = BlackLitterman.posterior({
+    covariance: [[0.04, 0.012, 0.01], [0.012, 0.09, 0.02], [0.01, 0.02, 0.0225]],
+    marketWeights: [0.5, 0.3, 0.2],
+    riskFreeRate: 0.03,
+    views: [
+        { type: 'absolute', asset: 2, return: 0.12, confidence: 0.6 },
+        { type: 'relative', long: 1, short: 0, return: 0.02, confidence: 0.3 }
+    ]
+});
+const frontier = PortfolioOptimizer.generateEfficientFrontier({ ...model.posterior, riskFreeRate: 0.03, points: 50 });
+*/
+
+export default BlackLitterman;
\ No newline at end of file
@@ -1,29 +1,97 @@
 /**
  * Black-Scholes Option Pricing Model Implementation
+ * Uses the Merton extension for a continuous dividend yield q.
  * Includes calculation of option price and Greeks (Delta, Gamma, Vega, Theta, Rho)
+ * and the inverse problem of solving for implied volatility
  */
 
+import RootFinding from './root-finding.js';
+
 class BlackScholes {
     /**
      * Standard normal cumulative distribution function
+     * Uses the exponentially scaled erf series near the center and a continued
+     * fraction for erfc in the tails, giving near double precision even for
+     * the deep out-of-the-money probabilities needed to invert prices.
      * @param {number} x - Input value
      * @returns {number} Probability
      */
     static normalCDF(x) {
-        const a1 = 0.254829592;
-        const a2 = -0.284496736;
-        const a3 = 1.421413741;
-        const a4 = -1.453152027;
-        const a5 = 1.061405429;
-        const p = 0.3275911;
+        const z = Math.abs(x) / Math.SQRT2;
+        let tail;
+
+        if (z < 3) {
+            // erf(z) = 2/sqrt(pi) * exp(-z^2) * sum 2^n z^(2n+1) / (1*3*...*(2n+1))
+            let term = z;
+            let sum = z;
+            for (let n = 1; term > 1e-17 * sum; n++) {
+                term *= 2 * z * z / (2 * n + 1);
+                sum += term;
+            }
+            const erf = 2 / Math.sqrt(Math.PI) * Math.exp(-z * z) * sum;
+            tail = 0.5 * (1 - erf);
+        } else {
+            // erfc(z) = exp(-z^2) / sqrt(pi) / (z + (1/2) / (z + 1 / (z + (3/2) / ...))), modified Lentz
+            const tiny = 1e-300;
+            let f = z;
+            let C = z;
+            let D = 0;
+            for (let k = 1; k < 200; k++) {
+                const a = k / 2;
+                D = z + a * D;
+                D = 1 / (D === 0 ? tiny : D);
+                C = z + a / C;
+                if (C === 0) C = tiny;
+                const delta = C * D;
+                f *= delta;
+                if (Math.abs(delta - 1) < 1e-16) break;
+            }
+            tail = 0.5 * Math.exp(-z * z) / Math.sqrt(Math.PI) / f;
+        }
+
+        return x > 0 ? 1 - tail : tail;
+    }
 
-        const sign = x < 0 ? -1 : 1;
-        x = Math.abs(x) / Math.sqrt(2.0);
+    /**
+     * Inverse of the standard normal cumulative distribution function
+     * Acklam's rational approximation refined by one Halley step against normalCDF.
+     * @param {number} p - Probability in (0, 1)
+     * @returns {number} Quantile
+     */
+    static inverseNormalCDF(p) {
+        if (p <= 0) return -Infinity;
+        if (p >= 1) return Infinity;
+
+        const a = [-3.969683028665376e+01, 2.209460984245205e+02, -2.759285104469687e+02,
+            1.383577518672690e+02, -3.066479806614716e+01, 2.506628277459239e+00];
+        const b = [-5.447609879822406e+01, 1.615858368580409e+02, -1.556989798598866e+02,
+            6.680131188771972e+01, -1.328068155288572e+01];
+        const c = [-7.784894002430293e-03, -3.223964580411365e-01, -2.400758277161838e+00,
+            -2.549732539343734e+00, 4.374664141464968e+00, 2.938163982698783e+00];
+        const d = [7.784695709041462e-03, 3.224671290700398e-01, 2.445134137142996e+00,
+            3.754408661907416e+00];
+        const pLow = 0.02425;
 
-        const t = 1.0 / (1.0 + p * x);
-        const erf = 1.0 - (((((a5 * t + a4) * t) + a3) * t + a2) * t + a1) * t * Math.exp(-x * x);
+        let x;
+        if (p < pLow) {
+            const q = Math.sqrt(-2 * Math.log(p));
+            x = (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+                / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        } else if (p <= 1 - pLow) {
+            const q = p - 0.5;
+            const r = q * q;
+            x = (((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) * q
+                / (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1);
+        } else {
+            const q = Math.sqrt(-2 * Math.log(1 - p));
+            x = -(((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5])
+                / ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+        }
 
-        return 0.5 * (1.0 + sign * erf);
+        // Halley refinement, evaluated on the smaller tail to keep precision
+        const error = p < 0.5 ? this.normalCDF(x) - p : (1 - p) - this.normalCDF(-x);
+        const u = error * Math.sqrt(2 * Math.PI) * Math.exp(0.5 * x * x);
+        return x - u / (1 + 0.5 * x * u);
     }
 
     /**
@@ -42,10 +110,11 @@ class BlackScholes {
      * @param {number} r - Risk-free rate (as decimal)
      * @param {number} v - Volatility (as decimal)
      * @param {number} T - Time to expiry (in years)
+     * @param {number} [q=0] - Continuous dividend yield (as decimal)
      * @returns {number} d1 parameter
      */
-    static d1(S, K, r, v, T) {
-        return (Math.log(S / K) + (r + 0.5 * v * v) * T) / (v * Math.sqrt(T));
+    static d1(S, K, r, v, T, q = 0) {
+        return (Math.log(S / K) + (r - q + 0.5 * v * v) * T) / (v * Math.sqrt(T));
     }
 
     /**
@@ -68,16 +137,19 @@ class BlackScholes {
      * @param {number} params.v - Volatility (as decimal)
      * @param {number} params.T - Time to expiry (in years)
      * @param {string} params.type - Option type ('call' or 'put')
+     * @param {number} [params.q=0] - Continuous dividend yield (as decimal)
+     * @param {VolatilitySurface} [params.surface] - Surface supplying v at (K, T) when v is omitted
      * @returns {Object} Option price and Greeks
      */
     static calculate(params) {
-        const { S, K, r, v, T, type } = params;
+        const { S, K, r, T, type, q = 0 } = params;
+        const v = params.v === undefined && params.surface ? params.surface.getVolatility(K, T) : params.v;
         
         // Handle edge cases
         if (T <= 0) return this.calculateExpired(params);
         if (v <= 0) return this.calculateZeroVol(params);
         
-        const d1Value = this.d1(S, K, r, v, T);
+        const d1Value = this.d1(S, K, r, v, T, q);
         const d2Value = this.d2(d1Value, v, T);
         
         const Nd1 = this.normalCDF(d1Value);
@@ -86,31 +158,33 @@ class BlackScholes {
         const NNd2 = this.normalCDF(-d2Value);
         
         const discount = Math.exp(-r * T);
+        const dividendDiscount = Math.exp(-q * T);
         const sqrtT = Math.sqrt(T);
         
         let price, delta, gamma, vega, theta, rho;
         
         if (type.toLowerCase() === 'call') {
-            price = S * Nd1 - K * discount * Nd2;
-            delta = Nd1;
+            price = S * dividendDiscount * Nd1 - K * discount * Nd2;
+            delta = dividendDiscount * Nd1;
             rho = K * T * discount * Nd2 / 100;
         } else {
-            price = K * discount * NNd2 - S * NNd1;
-            delta = -NNd1;
+            price = K * discount * NNd2 - S * dividendDiscount * NNd1;
+            delta = -dividendDiscount * NNd1;
             rho = -K * T * discount * NNd2 / 100;
         }
         
         // Greeks common to both calls and puts
-        gamma = this.normalPDF(d1Value) / (S * v * sqrtT);
-        vega = S * sqrtT * this.normalPDF(d1Value) / 100;
+        gamma = dividendDiscount * this.normalPDF(d1Value) / (S * v * sqrtT);
+        vega = S * dividendDiscount * sqrtT * this.normalPDF(d1Value) / 100;
         
         // Theta calculation (divided by 365 to get daily theta)
-        const term1 = -(S * v * this.normalPDF(d1Value)) / (2 * sqrtT);
+        const term1 = -(S * dividendDiscount * v * this.normalPDF(d1Value)) / (2 * sqrtT);
         const term2 = r * K * discount;
+        const term3 = q * S * dividendDiscount;
         if (type.toLowerCase() === 'call') {
-            theta = (term1 - term2 * Nd2) / 365;
+            theta = (term1 - term2 * Nd2 + term3 * Nd1) / 365;
         } else {
-            theta = (term1 + term2 * NNd2) / 365;
+            theta = (term1 + term2 * NNd2 - term3 * NNd1) / 365;
         }
         
         return {
@@ -123,6 +197,293 @@ class BlackScholes {
         };
     }
 
+    /**
+     * Second- and third-order Greeks
+     * Units follow calculate: vanna is the change in delta per volatility point, volga the
+     * change in vega per volatility point, and charm and color the change in delta and gamma
+     * per calendar day as time passes.
+     * @param {Object} params - Option parameters (S, K, r, v, T, type, q, surface as for calculate)
+     * @returns {Object} vanna (d2V/dS dv), volga (d2V/dv2), charm (dDelta/dt), speed (d3V/dS3)
+     *   and color (dGamma/dt)
+     */
+    static higherOrderGreeks(params) {
+        const { S, K, r, T, type, q = 0 } = params;
+        const v = params.v === undefined && params.surface ? params.surface.getVolatility(K, T) : params.v;
+        if (T <= 0 || v <= 0) return { vanna: 0, volga: 0, charm: 0, speed: 0, color: 0 };
+
+        const d1Value = this.d1(S, K, r, v, T, q);
+        const d2Value = this.d2(d1Value, v, T);
+        const dividendDiscount = Math.exp(-q * T);
+        const sqrtT = Math.sqrt(T);
+        const pdf = this.normalPDF(d1Value);
+        const gamma = dividendDiscount * pdf / (S * v * sqrtT);
+
+        // Drift of d1 as time passes, shared by charm and color
+        const drift = (2 * (r - q) * T - d2Value * v * sqrtT) / (2 * T * v * sqrtT);
+        const carry = type.toLowerCase() === 'call'
+            ? q * dividendDiscount * this.normalCDF(d1Value)
+            : -q * dividendDiscount * this.normalCDF(-d1Value);
+
+        return {
+            vanna: -dividendDiscount * pdf * d2Value / v / 100,
+            volga: S * dividendDiscount * sqrtT * pdf * d1Value * d2Value / v / 10000,
+            charm: (carry - dividendDiscount * pdf * drift) / 365,
+            speed: -gamma / S * (d1Value / (v * sqrtT) + 1),
+            color: gamma * (q + 1 / (2 * T) + drift * d1Value) / 365
+        };
+    }
+
+    /**
+     * Price a fixed-strike geometric average option (Kemna-Vorst)
+     * The average is taken over equally spaced fixings at T/n, 2T/n, ..., T;
+     * omit fixings for continuous averaging.
+     * @param {Object} params - Option parameters (S, K, r, v, T, type, q)
+     * @param {number} [params.fixings] - Number of averaging dates
+     * @returns {number} Option price
+     */
+    static geometricAsianPrice(params) {
+        const { S, K, r, v, T, type, q = 0, fixings } = params;
+        const n = fixings || Infinity;
+
+        // ln(G) is normal with these moments
+        const timeFactor = Number.isFinite(n) ? (n + 1) / (2 * n) : 0.5;
+        const varianceFactor = Number.isFinite(n) ? (n + 1) * (2 * n + 1) / (6 * n * n) : 1 / 3;
+        const mean = Math.log(S) + (r - q - 0.5 * v * v) * T * timeFactor;
+        const sd = v * Math.sqrt(T * varianceFactor);
+
+        const d1 = (mean - Math.log(K) + sd * sd) / sd;
+        const d2 = d1 - sd;
+        const forward = Math.exp(mean + 0.5 * sd * sd);
+        const discount = Math.exp(-r * T);
+
+        return type.toLowerCase() === 'call'
+            ? discount * (forward * this.normalCDF(d1) - K * this.normalCDF(d2))
+            : discount * (K * this.normalCDF(-d2) - forward * this.normalCDF(-d1));
+    }
+
+    /**
+     * Price a continuously monitored single barrier option (Reiner-Rubinstein)
+     * @param {Object} params - Option parameters (S, K, r, v, T, type, q)
+     * @param {number} params.H - Barrier level
+     * @param {string} params.direction - 'up' or 'down'
+     * @param {string} params.knock - 'in' or 'out'
+     * @param {number} [params.rebate=0] - Cash rebate (paid at expiry if never knocked in,
+     *   or at the hit if knocked out)
+     * @returns {number} Option price
+     */
+    static barrierPrice(params) {
+        const { S, K, r, v, T, type, q = 0, H, direction = 'down', knock = 'out', rebate = 0 } = params;
+        const isCall = type.toLowerCase() === 'call';
+        const isUp = direction === 'up';
+        const isIn = knock === 'in';
+
+        // Already through the barrier: knocked in is vanilla, knocked out pays the rebate
+        if (isUp ? S >= H : S <= H) {
+            return isIn ? this.calculate({ S, K, r, v, T, q, type }).price : rebate;
+        }
+
+        const b = r - q;
+        const volT = v * Math.sqrt(T);
+        const mu = (b - 0.5 * v * v) / (v * v);
+        const lambda = Math.sqrt(mu * mu + 2 * r / (v * v));
+        const phi = isCall ? 1 : -1;
+        const eta = isUp ? -1 : 1;
+        const N = x => this.normalCDF(x);
+        const carry = S * Math.exp((b - r) * T);
+        const discount = Math.exp(-r * T);
+        const ratio = H / S;
+
+        const x1 = Math.log(S / K) / volT + (1 + mu) * volT;
+        const x2 = Math.log(S / H) / volT + (1 + mu) * volT;
+        const y1 = Math.log(H * H / (S * K)) / volT + (1 + mu) * volT;
+        const y2 = Math.log(H / S) / volT + (1 + mu) * volT;
+        const z = Math.log(H / S) / volT + lambda * volT;
+
+        const A = phi * carry * N(phi * x1) - phi * K * discount * N(phi * x1 - phi * volT);
+        const B = phi * carry * N(phi * x2) - phi * K * discount * N(phi * x2 - phi * volT);
+        const C = phi * carry * Math.pow(ratio, 2 * (mu + 1)) * N(eta * y1)
+            - phi * K * discount * Math.pow(ratio, 2 * mu) * N(eta * y1 - eta * volT);
+        const D = phi * carry * Math.pow(ratio, 2 * (mu + 1)) * N(eta * y2)
+            - phi * K * discount * Math.pow(ratio, 2 * mu) * N(eta * y2 - eta * volT);
+        const E = rebate * discount * (N(eta * x2 - eta * volT) - Math.pow(ratio, 2 * mu) * N(eta * y2 - eta * volT));
+        const F = rebate * (Math.pow(ratio, mu + lambda) * N(eta * z)
+            + Math.pow(ratio, mu - lambda) * N(eta * z - 2 * eta * lambda * volT));
+
+        const strikeAbove = K > H;
+        const key = `${direction}-${knock}-${isCall ? 'call' : 'put'}`;
+        switch (key) {
+            case 'down-in-call': return strikeAbove ? C + E : A - B + D + E;
+            case 'up-in-call': return strikeAbove ? A + E : B - C + D + E;
+            case 'down-in-put': return strikeAbove ? B - C + D + E : A + E;
+            case 'up-in-put': return strikeAbove ? A - B + D + E : C + E;
+            case 'down-out-call': return strikeAbove ? A - C + F : B - D + F;
+            case 'up-out-call': return strikeAbove ? F : A - B + C - D + F;
+            case 'down-out-put': return strikeAbove ? A - B + C - D + F : F;
+            case 'up-out-put': return strikeAbove ? B - D + F : A - C + F;
+            default:
+                throw new Error(`Unknown barrier type: ${key}`);
+        }
+    }
+
+    /**
+     * Price a cash-or-nothing digital option
+     * @param {Object} params - Option parameters (S, K, r, v, T, type, q)
+     * @param {number} [params.cash=1] - Cash amount paid if in the money at expiry
+     * @returns {number} Option price
+     */
+    static digitalPrice(params) {
+        const { S, K, r, v, T, type, q = 0, cash = 1 } = params;
+        const d2 = this.d2(this.d1(S, K, r, v, T, q), v, T);
+        const sign = type.toLowerCase() === 'call' ? 1 : -1;
+        return cash * Math.exp(-r * T) * this.normalCDF(sign * d2);
+    }
+
+    /**
+     * Solve for the volatility that reproduces a market price
+     * The price is first mapped onto the out-of-the-money option via put-call
+     * parity, seeded with the Corrado-Miller approximation and then refined by
+     * Newton iterations on the log price, falling back to Brent's method on the
+     * current bracket whenever a Newton step leaves it or stalls.
+     * @param {Object} params - Option parameters
+     * @param {number} params.price - Observed option price
+     * @param {number} params.S - Spot price
+     * @param {number} params.K - Strike price
+     * @param {number} params.r - Risk-free rate (as decimal)
+     * @param {number} params.T - Time to expiry (in years)
+     * @param {string} params.type - Option type ('call' or 'put')
+     * @param {number} [params.q=0] - Continuous dividend yield (as decimal)
+     * @param {Object} [options] - Solver options
+     * @param {number} [options.tolerance=1e-10] - Tolerance on the volatility
+     * @param {number} [options.maxIterations=100] - Maximum number of iterations
+     * @returns {Object} Implied volatility, iterations, convergence flag and error (null on success)
+     */
+    static impliedVolatility(params, options = {}) {
+        const { price, S, K, r, T, type, q = 0 } = params;
+        const { tolerance = 1e-10, maxIterations = 100 } = options;
+        const failure = (code, message, extra = {}) => ({
+            volatility: NaN,
+            iterations: 0,
+            converged: false,
+            error: { code, message, ...extra }
+        });
+
+        if (![price, S, K, r, T].every(Number.isFinite) || S <= 0 || K <= 0 || T <= 0) {
+            return failure('INVALID_INPUT', 'Price, spot, strike, rate and time to expiry must be finite, with S, K and T positive');
+        }
+
+        const isCall = type.toLowerCase() === 'call';
+        const bounds = this.noArbitrageBounds(params);
+        const priceTolerance = 1e-12 * Math.max(S, K);
+
+        if (price < bounds.lower - priceTolerance) {
+            return failure('BELOW_LOWER_BOUND', `Price ${price} is below the no-arbitrage lower bound ${bounds.lower}`, bounds);
+        }
+        if (price >= bounds.upper - priceTolerance) {
+            return failure('ABOVE_UPPER_BOUND', `Price ${price} is at or above the no-arbitrage upper bound ${bounds.upper}`, bounds);
+        }
+        if (price - bounds.lower <= priceTolerance) {
+            // No time value left: any volatility close to zero reproduces the price
+            return { volatility: 0, iterations: 0, converged: true, error: null };
+        }
+
+        // Work with the out-of-the-money option, whose price is pure time value
+        const forwardStrike = K * Math.exp(-r * T);
+        const forwardSpot = S * Math.exp(-q * T);
+        const otmType = forwardSpot > forwardStrike ? 'put' : 'call';
+        const otmPrice = otmType === (isCall ? 'call' : 'put')
+            ? price
+            : price + (isCall ? forwardStrike - forwardSpot : forwardSpot - forwardStrike);
+        const otmParams = { S, K, r, T, q, type: otmType };
+        const priceAt = v => this.calculate({ ...otmParams, v }).price;
+
+        // Bracket the root: price is increasing in volatility
+        let lower = 1e-8;
+        let upper = 1;
+        while (priceAt(upper) < otmPrice && upper < 100) upper *= 2;
+        if (priceAt(upper) < otmPrice) {
+            return failure('NO_CONVERGENCE', 'Could not bracket the implied volatility below 10000%', bounds);
+        }
+
+        let v = Math.min(Math.max(this.impliedVolatilitySeed(params), lower), upper);
+        let newtonIterations = 0;
+        for (let iter = 1; iter <= maxIterations; iter++) {
+            newtonIterations = iter;
+            const result = this.calculate({ ...otmParams, v });
+            if (result.price > otmPrice) upper = v;
+            else lower = v;
+
+            // Newton step on log price: d ln(C) / dv = vega / C
+            const vega = result.vega * 100;
+            if (result.price <= 0 || vega <= 1e-300) break;
+            const step = (Math.log(result.price) - Math.log(otmPrice)) * result.price / vega;
+            const next = v - step;
+            if (!(next > lower && next < upper)) break;
+
+            v = next;
+            if (Math.abs(step) < tolerance * Math.max(1, v)) {
+                return { volatility: v, iterations: iter, converged: true, error: null };
+            }
+        }
+
+        // Newton left the bracket or stalled: finish with Brent on the price difference
+        const brent = RootFinding.brent(sigma => priceAt(sigma) - otmPrice, lower, upper, {
+            tolerance,
+            maxIterations
+        });
+        if (!brent.converged) {
+            return failure('NO_CONVERGENCE', 'Implied volatility solver did not converge', bounds);
+        }
+
+        return {
+            volatility: brent.root,
+            iterations: newtonIterations + brent.iterations,
+            converged: true,
+            error: null
+        };
+    }
+
+    /**
+     * No-arbitrage bounds on a European option price
+     * @param {Object} params - Option parameters
+     * @returns {Object} Lower and upper price bounds
+     */
+    static noArbitrageBounds(params) {
+        const { S, K, r, T, type, q = 0 } = params;
+        const forwardStrike = K * Math.exp(-r * T);
+        const forwardSpot = S * Math.exp(-q * T);
+
+        if (type.toLowerCase() === 'call') {
+            return { lower: Math.max(0, forwardSpot - forwardStrike), upper: forwardSpot };
+        }
+        return { lower: Math.max(0, forwardStrike - forwardSpot), upper: forwardStrike };
+    }
+
+    /**
+     * Closed-form initial guess for the implied volatility (Corrado-Miller)
+     * Falls back to the Brenner-Subrahmanyam at-the-money approximation when the
+     * Corrado-Miller square root is undefined.
+     * @param {Object} params - Option parameters including the observed price
+     * @returns {number} Approximate implied volatility
+     */
+    static impliedVolatilitySeed(params) {
+        const { price, K, r, T, type, q = 0 } = params;
+        const forwardStrike = K * Math.exp(-r * T);
+        const S = params.S * Math.exp(-q * T);
+
+        // Corrado-Miller is stated for calls; map puts through parity
+        const callPrice = type.toLowerCase() === 'call' ? price : price + S - forwardStrike;
+        const halfIntrinsic = (S - forwardStrike) / 2;
+        const radicand = Math.pow(callPrice - halfIntrinsic, 2) - Math.pow(S - forwardStrike, 2) / Math.PI;
+        const scale = Math.sqrt(2 * Math.PI / T);
+
+        if (radicand >= 0) {
+            const seed = scale / (S + forwardStrike) * (callPrice - halfIntrinsic + Math.sqrt(radicand));
+            if (seed > 0) return seed;
+        }
+        const atTheMoney = scale * callPrice / S;
+        return atTheMoney > 0 ? atTheMoney : 0.2;
+    }
+
     /**
      * Handle expired options
      * @param {Object} params - Option parameters
@@ -148,17 +509,21 @@ class BlackScholes {
      * @returns {Object} Option price and Greeks
      */
     static calculateZeroVol(params) {
-        const { S, K, r, T, type } = params;
+        const { S, K, r, T, type, q = 0 } = params;
         const discount = Math.exp(-r * T);
+        const dividendDiscount = Math.exp(-q * T);
         const isCall = type.toLowerCase() === 'call';
+        const forwardSpot = S * dividendDiscount;
         
         const price = isCall
-            ? Math.max(0, S - K * discount)
-            : Math.max(0, K * discount - S);
+            ? Math.max(0, forwardSpot - K * discount)
+            : Math.max(0, K * discount - forwardSpot);
             
         return {
             price,
-            delta: isCall ? (S > K * discount ? 1 : 0) : (S < K * discount ? -1 : 0),
+            delta: isCall
+                ? (forwardSpot > K * discount ? dividendDiscount : 0)
+                : (forwardSpot < K * discount ? -dividendDiscount : 0),
             gamma: 0,
             vega: 0,
             theta: -r * K * discount / 365,
@@ -0,0 +1,374 @@
+/**
+ * Covariance Estimation
+ * Estimates annualized covariance matrices from historical price or return
+ * series: sample, EWMA, Ledoit-Wolf shrinkage and constant-correlation
+ * estimators, plus repair of matrices that are not positive semi-definite
+ */
+
+import LinearAlgebra from './linear-algebra.js';
+
+class CovarianceEstimator {
+    /**
+     * Estimate covariance, correlation and mean returns from a history
+     * @param {Array<Array<number>>} data - Observations in rows, one column per asset
+     * @param {Object} [options] - Estimation options
+     * @param {string} [options.input='prices'] - 'prices' or 'returns'
+     * @param {string} [options.returnType='simple'] - 'simple' or 'log' returns computed from prices
+     * @param {string} [options.method='sample'] - 'sample', 'ewma', 'ledoit-wolf' or 'constant-correlation'
+     * @param {number} [options.periodsPerYear=252] - Observations per year, for annualization
+     * @param {number} [options.lambda=0.94] - EWMA decay factor
+     * @param {string} [options.target='identity'] - Ledoit-Wolf shrinkage target: 'identity' or 'constant-correlation'
+     * @param {boolean} [options.repair=true] - Replace a matrix that is not positive semi-definite
+     *   with the nearest one that is
+     * @returns {Object} Annualized covariance, correlation, volatilities and mean returns, with the
+     *   shrinkage intensity (Ledoit-Wolf), the number of observations and whether repair was needed
+     */
+    static estimate(data, options = {}) {
+        const {
+            input = 'prices',
+            returnType = 'simple',
+            method = 'sample',
+            periodsPerYear = 252,
+            lambda = 0.94,
+            target = 'identity',
+            repair = true
+        } = options;
+
+        const returns = input === 'prices' ? this.returnsFromPrices(data, returnType) : this.validate(data);
+        let covariance;
+        let shrinkage = null;
+
+        switch (method.toLowerCase()) {
+            case 'sample':
+                covariance = this.sample(returns);
+                break;
+            case 'ewma':
+                covariance = this.ewma(returns, lambda);
+                break;
+            case 'ledoit-wolf':
+                ({ covariance, shrinkage } = this.ledoitWolf(returns, target));
+                break;
+            case 'constant-correlation':
+                covariance = this.constantCorrelation(returns);
+                break;
+            default:
+                throw new Error(`Unknown covariance method: ${method}`);
+        }
+
+        covariance = covariance.map(row => row.map(value => value * periodsPerYear));
+        const repaired = repair && !this.isPositiveSemiDefinite(covariance);
+        if (repaired) covariance = this.nearestPSD(covariance);
+
+        const volatilities = covariance.map((row, i) => Math.sqrt(row[i]));
+        const means = this.means(returns).map(mean => mean * periodsPerYear);
+
+        return {
+            covariance,
+            correlation: this.correlationFromCovariance(covariance),
+            volatilities,
+            meanReturns: means,
+            shrinkage,
+            observations: returns.length,
+            repaired
+        };
+    }
+
+    /**
+     * Convert price series into returns
+     * @param {Array<Array<number>>} prices - Prices in rows, one column per asset
+     * @param {string} [returnType='simple'] - 'simple' or 'log'
+     * @returns {Array<Array<number>>} Returns in rows (one fewer than the prices)
+     */
+    static returnsFromPrices(prices, returnType = 'simple') {
+        this.validate(prices);
+        if (prices.length < 3) throw new Error('At least three price observations are required');
+
+        return prices.slice(1).map((row, t) => row.map((price, i) => {
+            const previous = prices[t][i];
+            if (!(price > 0) || !(previous > 0)) {
+                throw new Error(`Prices must be positive (row ${t + 1}, column ${i + 1})`);
+            }
+            return returnType === 'log' ? Math.log(price / previous) : price / previous - 1;
+        }));
+    }
+
+    /**
+     * Check that a history is a rectangular table of finite numbers
+     * @param {Array<Array<number>>} data - Observations in rows
+     * @returns {Array<Array<number>>} The validated data
+     */
+    static validate(data) {
+        if (!Array.isArray(data) || data.length < 2) throw new Error('At least two observations are required');
+        const width = data[0].length;
+        data.forEach((row, t) => {
+            if (row.length !== width) {
+                throw new Error(`Row ${t + 1} has ${row.length} values; expected ${width}`);
+            }
+            row.forEach((value, i) => {
+                if (!Number.isFinite(value)) throw new Error(`Invalid value at row ${t + 1}, column ${i + 1}`);
+            });
+        });
+        return data;
+    }
+
+    /**
+     * Column means of a history
+     * @param {Array<Array<number>>} returns - Observations in rows
+     * @returns {Array<number>} Mean of each column
+     */
+    static means(returns) {
+        const n = returns[0].length;
+        return Array.from({ length: n }, (_, i) => returns.reduce((sum, row) => sum + row[i], 0) / returns.length);
+    }
+
+    /**
+     * Demean each column
+     * @param {Array<Array<number>>} returns - Observations in rows
+     * @returns {Array<Array<number>>} Centered observations
+     */
+    static center(returns) {
+        const means = this.means(returns);
+        return returns.map(row => row.map((value, i) => value - means[i]));
+    }
+
+    /**
+     * Unbiased sample covariance (per period)
+     * @param {Array<Array<number>>} returns - Observations in rows
+     * @returns {Array<Array<number>>} Covariance matrix
+     */
+    static sample(returns) {
+        const T = returns.length;
+        return this.crossProduct(this.center(returns)).map(row => row.map(value => value / (T - 1)));
+    }
+
+    /**
+     * Exponentially weighted covariance (RiskMetrics), most recent observation last
+     * @param {Array<Array<number>>} returns - Observations in rows
+     * @param {number} [lambda=0.94] - Decay factor
+     * @returns {Array<Array<number>>} Covariance matrix (per period)
+     */
+    static ewma(returns, lambda = 0.94) {
+        const T = returns.length;
+        const n = returns[0].length;
+        const raw = returns.map((_, t) => Math.pow(lambda, T - 1 - t));
+        const total = raw.reduce((a, b) => a + b, 0);
+        const weights = raw.map(w => w / total);
+
+        const means = Array.from({ length: n }, (_, i) => returns.reduce((sum, row, t) => sum + weights[t] * row[i], 0));
+        const covariance = Array.from({ length: n }, () => Array(n).fill(0));
+        returns.forEach((row, t) => {
+            for (let i = 0; i < n; i++) {
+                for (let j = i; j < n; j++) {
+                    covariance[i][j] += weights[t] * (row[i] - means[i]) * (row[j] - means[j]);
+                }
+            }
+        });
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < i; j++) covariance[i][j] = covariance[j][i];
+        }
+
+        return covariance;
+    }
+
+    /**
+     * Ledoit-Wolf shrinkage of the sample covariance towards a structured target
+     * The 'identity' target (Ledoit & Wolf, 2004) is the average variance times the
+     * identity; the 'constant-correlation' target (Ledoit & Wolf, 2003) keeps the
+     * sample variances with every correlation set to the average. The intensity
+     * minimizes the expected Frobenius loss and is clamped to [0, 1].
+     * @param {Array<Array<number>>} returns - Observations in rows
+     * @param {string} [target='identity'] - 'identity' or 'constant-correlation'
+     * @returns {Object} Shrunk covariance (per period) and shrinkage intensity
+     */
+    static ledoitWolf(returns, target = 'identity') {
+        const T = returns.length;
+        const n = returns[0].length;
+        const X = this.center(returns);
+        const S = this.crossProduct(X).map(row => row.map(value => value / T));
+
+        // pi_ij: asymptotic variance of sqrt(T) s_ij
+        const pi = Array.from({ length: n }, () => Array(n).fill(0));
+        X.forEach(row => {
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    pi[i][j] += Math.pow(row[i] * row[j] - S[i][j], 2) / T;
+                }
+            }
+        });
+        const piTotal = pi.reduce((sum, row) => sum + row.reduce((a, b) => a + b, 0), 0);
+
+        let F;
+        let shrinkage;
+        if (target === 'identity') {
+            const mu = S.reduce((sum, row, i) => sum + row[i], 0) / n;
+            F = S.map((row, i) => row.map((_, j) => (i === j ? mu : 0)));
+            const distance = S.reduce((sum, row, i) => sum + row.reduce((s, value, j) => s + Math.pow(value - F[i][j], 2), 0), 0);
+            shrinkage = distance > 0 ? Math.min(piTotal / T, distance) / distance : 0;
+        } else if (target === 'constant-correlation') {
+            const sd = S.map((row, i) => Math.sqrt(row[i]));
+            const averageCorrelation = this.averageCorrelation(S);
+            F = S.map((row, i) => row.map((value, j) => (i === j ? value : averageCorrelation * sd[i] * sd[j])));
+
+            // rho: asymptotic covariance of the target with the sample covariance
+            let rho = 0;
+            for (let i = 0; i < n; i++) rho += pi[i][i];
+            for (let i = 0; i < n; i++) {
+                for (let j = 0; j < n; j++) {
+                    if (i === j || sd[i] === 0 || sd[j] === 0) continue;
+                    let thetaII = 0;
+                    let thetaJJ = 0;
+                    X.forEach(row => {
+                        const cross = row[i] * row[j] - S[i][j];
+                        thetaII += (row[i] * row[i] - S[i][i]) * cross / T;
+                        thetaJJ += (row[j] * row[j] - S[j][j]) * cross / T;
+                    });
+                    rho += 0.5 * averageCorrelation * (sd[j] / sd[i] * thetaII + sd[i] / sd[j] * thetaJJ);
+                }
+            }
+            const gamma = S.reduce((sum, row, i) => sum + row.reduce((s, value, j) => s + Math.pow(F[i][j] - value, 2), 0), 0);
+            shrinkage = gamma > 0 ? Math.max(0, Math.min(1, (piTotal - rho) / gamma / T)) : 0;
+        } else {
+            throw new Error(`Unknown shrinkage target: ${target}`);
+        }
+
+        return {
+            covariance: S.map((row, i) => row.map((value, j) => shrinkage * F[i][j] + (1 - shrinkage) * value)),
+            shrinkage
+        };
+    }
+
+    /**
+     * Constant-correlation covariance (Elton & Gruber): sample variances with
+     * every pairwise correlation replaced by the average sample correlation
+     * @param {Array<Array<number>>} returns - Observations in rows
+     * @returns {Array<Array<number>>} Covariance matrix (per period)
+     */
+    static constantCorrelation(returns) {
+        const S = this.sample(returns);
+        const sd = S.map((row, i) => Math.sqrt(row[i]));
+        const averageCorrelation = this.averageCorrelation(S);
+        return S.map((row, i) => row.map((value, j) => (i === j ? value : averageCorrelation * sd[i] * sd[j])));
+    }
+
+    /**
+     * Average off-diagonal correlation of a covariance matrix
+     * @param {Array<Array<number>>} covariance - Covariance matrix
+     * @returns {number} Average correlation (0 for a single asset)
+     */
+    static averageCorrelation(covariance) {
+        const correlation = this.correlationFromCovariance(covariance);
+        const n = correlation.length;
+        if (n < 2) return 0;
+
+        let sum = 0;
+        for (let i = 0; i < n; i++) {
+            for (let j = i + 1; j < n; j++) sum += correlation[i][j];
+        }
+        return 2 * sum / (n * (n - 1));
+    }
+
+    /**
+     * Nearest positive semi-definite covariance with the same variances
+     * Applies Higham's (2002) alternating projections with Dykstra's correction to the
+     * correlation matrix, then rescales by the original volatilities.
+     * @param {Array<Array<number>>} covariance - Symmetric matrix
+     * @param {Object} [options] - Iteration options
+     * @param {number} [options.tolerance=1e-10] - Convergence tolerance (Frobenius norm of the update)
+     * @param {number} [options.maxIterations=200] - Maximum number of projection rounds
+     * @returns {Array<Array<number>>} Repaired covariance matrix
+     */
+    static nearestPSD(covariance, options = {}) {
+        const { tolerance = 1e-10, maxIterations = 200 } = options;
+        const n = covariance.length;
+        const sd = covariance.map((row, i) => Math.sqrt(Math.max(row[i], 0)));
+        const correlation = this.correlationFromCovariance(covariance);
+
+        let Y = correlation.map(row => [...row]);
+        let correction = Array.from({ length: n }, () => Array(n).fill(0));
+        for (let iter = 0; iter < maxIterations; iter++) {
+            const R = Y.map((row, i) => row.map((value, j) => value - correction[i][j]));
+            const X = this.projectPSD(R);
+            correction = X.map((row, i) => row.map((value, j) => value - R[i][j]));
+
+            const next = X.map((row, i) => row.map((value, j) => (i === j ? 1 : value)));
+            const change = Math.sqrt(next.reduce((sum, row, i) => sum + row.reduce((s, value, j) => s + Math.pow(value - Y[i][j], 2), 0), 0));
+            Y = next;
+            if (change < tolerance) break;
+        }
+
+        // A final spectral projection guarantees the result is PSD to rounding
+        const repaired = this.projectPSD(Y);
+        return repaired.map((row, i) => row.map((value, j) => value * sd[i] * sd[j]));
+    }
+
+    /**
+     * Project a symmetric matrix onto the PSD cone by clipping negative eigenvalues
+     * @param {Array<Array<number>>} matrix - Symmetric matrix
+     * @returns {Array<Array<number>>} Projected matrix
+     */
+    static projectPSD(matrix) {
+        const { values, vectors } = LinearAlgebra.symmetricEigen(matrix);
+        const n = matrix.length;
+        return Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => {
+            let sum = 0;
+            for (let k = 0; k < n; k++) sum += vectors[i][k] * Math.max(values[k], 0) * vectors[j][k];
+            return sum;
+        }));
+    }
+
+    /**
+     * Check whether a symmetric matrix is positive semi-definite (to a relative tolerance)
+     * @param {Array<Array<number>>} matrix - Symmetric matrix
+     * @returns {boolean} True when no eigenvalue is materially negative
+     */
+    static isPositiveSemiDefinite(matrix) {
+        const { values } = LinearAlgebra.symmetricEigen(matrix);
+        return values[values.length - 1] >= -1e-12 * Math.max(Math.abs(values[0]), 1e-300);
+    }
+
+    /**
+     * Correlation matrix of a covariance matrix
+     * @param {Array<Array<number>>} covariance - Covariance matrix
+     * @returns {Array<Array<number>>} Correlation matrix (zero rows for zero-variance assets)
+     */
+    static correlationFromCovariance(covariance) {
+        const sd = covariance.map((row, i) => Math.sqrt(Math.max(row[i], 0)));
+        return covariance.map((row, i) => row.map((value, j) => {
+            if (i === j) return 1;
+            return sd[i] > 0 && sd[j] > 0 ? value / (sd[i] * sd[j]) : 0;
+        }));
+    }
+
+    /**
+     * X^T X for observations in rows
+     * @param {Array<Array<number>>} X - Observations in rows
+     * @returns {Array<Array<number>>} Cross-product matrix
+     */
+    static crossProduct(X) {
+        const n = X[0].length;
+        const product = Array.from({ length: n }, () => Array(n).fill(0));
+        X.forEach(row => {
+            for (let i = 0; i < n; i++) {
+                for (let j = i; j < n; j++) product[i][j] += row[i] * row[j];
+            }
+        });
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < i; j++) product[i][j] = product[j][i];
+        }
+        return product;
+    }
+}
+
+// Example usage:
+/*
+const prices = [
+    [100, 50, 20],
+    [101, 49.5, 20.3],
+    [100.5, 50.2, 20.1],
+    [102, 50.8, 20.6]
+];
+const { covariance, correlation, shrinkage } = CovarianceEstimator.estimate(prices, { method: 'ledoit-wolf' });
+console.log(covariance, correlation, shrinkage);
+*/
+
+export default CovarianceEstimator;
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * Growth Projection
+ * Projects portfolio value under monthly returns with periodic reinvestment,
+ * deterministically or across Monte Carlo paths with percentile bands,
+ * ruin and target probabilities and drawdown statistics
+ */
+
+import MonteCarloEngine from './monte-carlo.js';
+import PortfolioOptimizer from './portfolio-optimizer.js';
+
+// Months between reinvestments
+const FREQUENCIES = {
+    monthly: 1,
+    quarterly: 3,
+    annually: 12
+};
+
+class GrowthProjection {
+    /**
+     * Deterministic projection at a constant monthly return
+     * @param {Object} params - Projection parameters
+     * @param {number} params.initialCapital - Starting value
+     * @param {number} params.monthlyReturn - Monthly return (as decimal)
+     * @param {number} params.years - Horizon in years
+     * @param {string} [params.frequency='monthly'] - Reinvestment frequency: 'monthly', 'quarterly' or 'annually'
+     * @returns {Object} Monthly values, finalValue, totalReturn and annualizedReturn
+     */
+    static deterministic(params) {
+        const { initialCapital, monthlyReturn, years, frequency = 'monthly' } = params;
+        const months = this.months(years);
+        const values = this.applyReinvestment(Array(months).fill(monthlyReturn), initialCapital, frequency);
+        return { values, ...this.summary(values, years) };
+    }
+
+    /**
+     * Monte Carlo projection
+     * Monthly returns come from geometric Brownian motion paths of MonteCarloEngine.generatePaths,
+     * with the drift set so the expected monthly return equals monthlyReturn.
+     * @param {Object} params - Projection parameters (as for deterministic)
+     * @param {number} params.monthlyVolatility - Standard deviation of monthly returns (as decimal)
+     * @param {number} [params.paths=1000] - Number of simulated paths
+     * @param {number} [params.ruinLevel=0.5] - Ruin is falling to this fraction of the initial capital
+     * @param {number} [params.target] - Value whose probability of being reached is reported
+     *   (default: twice the initial capital)
+     * @param {Array<number>} [params.percentiles=[5, 25, 50, 75, 95]] - Percentile bands to report
+     * @param {number} [params.seed] - Seed for a reproducible simulation
+     * @returns {Object} Percentile bands by month, the deterministic projection, final value
+     *   statistics, ruinProbability, targetProbability and maximum drawdown statistics
+     */
+    static simulate(params) {
+        const {
+            initialCapital,
+            monthlyReturn,
+            monthlyVolatility,
+            years,
+            frequency = 'monthly',
+            paths = 1000,
+            ruinLevel = 0.5,
+            target = 2 * initialCapital,
+            percentiles = [5, 25, 50, 75, 95],
+            seed
+        } = params;
+        if (!(monthlyReturn > -1)) throw new Error('Monthly return must be greater than -100%');
+        if (!(monthlyVolatility >= 0)) throw new Error('Monthly volatility must be non-negative');
+
+        const months = this.months(years);
+        // Growth index paths; exp(mu dt) is the expected one-step gross return
+        const indexPaths = MonteCarloEngine.generatePaths({
+            S0: 1,
+            mu: 12 * Math.log(1 + monthlyReturn),
+            sigma: monthlyVolatility * Math.sqrt(12),
+            T: months / 12,
+            steps: months,
+            paths,
+            seed
+        });
+        const valuePaths = indexPaths.map(path => {
+            const returns = path.slice(1).map((value, i) => value / path[i] - 1);
+            return this.applyReinvestment(returns, initialCapital, frequency);
+        });
+
+        const ruin = ruinLevel * initialCapital;
+        const ruined = valuePaths.filter(path => path.some(value => value <= ruin)).length;
+        const reached = valuePaths.filter(path => path.some(value => value >= target)).length;
+        const drawdowns = valuePaths
+            .map(path => PortfolioOptimizer.calculateMaxDrawdown(path).maxDrawdown)
+            .sort((a, b) => a - b);
+        const finalValues = valuePaths.map(path => path[months]).sort((a, b) => a - b);
+
+        const bands = Object.fromEntries(percentiles.map(p => [p, []]));
+        for (let m = 0; m <= months; m++) {
+            const sorted = valuePaths.map(path => path[m]).sort((a, b) => a - b);
+            percentiles.forEach(p => bands[p].push(this.quantile(sorted, p / 100)));
+        }
+
+        return {
+            bands,
+            deterministic: this.deterministic({ initialCapital, monthlyReturn, years, frequency }).values,
+            finalValue: {
+                mean: this.mean(finalValues),
+                median: this.quantile(finalValues, 0.5),
+                worst: finalValues[0],
+                best: finalValues[finalValues.length - 1]
+            },
+            ruinProbability: ruined / paths,
+            targetProbability: reached / paths,
+            maxDrawdown: {
+                mean: this.mean(drawdowns),
+                median: this.quantile(drawdowns, 0.5),
+                p95: this.quantile(drawdowns, 0.95),
+                worst: drawdowns[drawdowns.length - 1]
+            },
+            target,
+            ruinLevel: ruin
+        };
+    }
+
+    /**
+     * Value path under periodic reinvestment
+     * Between reinvestment dates the invested base stays fixed and each month's gain or loss
+     * accrues in cash; on each reinvestment date the cash is added back to the base.
+     * @param {Array<number>} returns - Monthly returns (as decimals)
+     * @param {number} initialCapital - Starting value
+     * @param {string} frequency - Reinvestment frequency
+     * @returns {Array<number>} Value at the start and after each month
+     */
+    static applyReinvestment(returns, initialCapital, frequency) {
+        const period = FREQUENCIES[frequency];
+        if (!period) throw new Error(`Unknown reinvestment frequency: ${frequency}`);
+
+        let invested = initialCapital;
+        let cash = 0;
+        const values = [initialCapital];
+
+        returns.forEach((monthlyReturn, i) => {
+            cash += invested * monthlyReturn;
+            if ((i + 1) % period === 0) {
+                invested += cash;
+                cash = 0;
+            }
+            values.push(Math.max(0, invested + cash));
+        });
+
+        return values;
+    }
+
+    /**
+     * Total and annualized return of a value path
+     * @param {Array<number>} values - Monthly values
+     * @param {number} years - Horizon in years
+     * @returns {Object} finalValue, totalReturn and annualizedReturn
+     */
+    static summary(values, years) {
+        const finalValue = values[values.length - 1];
+        const totalReturn = finalValue / values[0] - 1;
+        return {
+            finalValue,
+            totalReturn,
+            annualizedReturn: Math.pow(1 + totalReturn, 1 / years) - 1
+        };
+    }
+
+    /**
+     * Number of whole months in a horizon
+     * @param {number} years - Horizon in years
+     * @returns {number} Months
+     */
+    static months(years) {
+        const months = Math.round(years * 12);
+        if (!(months > 0)) throw new Error('The horizon must be at least one month');
+        return months;
+    }
+
+    /**
+     * Quantile of sorted values by linear interpolation
+     * @param {Array<number>} sorted - Values in increasing order
+     * @param {number} p - Probability in [0, 1]
+     * @returns {number} Quantile
+     */
+    static quantile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * Arithmetic mean
+     * @param {Array<number>} values - Values
+     * @returns {number} Mean
+     */
+    static mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+}
+
+// Example usage:
+/*
+const projection = GrowthProjection.simulate({
+    initialCapital: 10000,
+    monthlyReturn: 0.01,      // 1% per month
+    monthlyVolatility: 0.05,  // 5% per month
+    years: 10,
+    frequency: 'quarterly',
+    target: 30000,
+    seed: 42
+});
+console.log(projection.bands[50][120], projection.ruinProbability, projection.maxDrawdown.median);
+*/
+
+export default GrowthProjection;
\ No newline at end of file
@@ -0,0 +1,211 @@
+/**
+ * Heston Stochastic Volatility Model
+ * Semi-analytic European option pricing by integrating the characteristic
+ * function of the log price (Albrecher et al. "little trap" formulation)
+ */
+
+class HestonModel {
+    /**
+     * Price a European option under Heston dynamics
+     * dS = (r - q) S dt + sqrt(V) S dW1,  dV = kappa (theta - V) dt + xi sqrt(V) dW2,  dW1 dW2 = rho dt
+     * @param {Object} params - Option and model parameters
+     * @param {number} params.S - Spot price
+     * @param {number} params.K - Strike price
+     * @param {number} params.r - Risk-free rate (as decimal)
+     * @param {number} params.T - Time to expiry (in years)
+     * @param {string} params.type - Option type ('call' or 'put')
+     * @param {number} [params.q=0] - Continuous dividend yield (as decimal)
+     * @param {number} params.v0 - Initial variance
+     * @param {number} params.kappa - Mean reversion speed of variance
+     * @param {number} params.theta - Long-run variance
+     * @param {number} params.xi - Volatility of variance
+     * @param {number} params.rho - Correlation between price and variance shocks
+     * @returns {number} Option price
+     */
+    static price(params) {
+        const { S, K, r, T, type, q = 0 } = params;
+        const logStrike = Math.log(K);
+        const forward = S * Math.exp((r - q) * T);
+
+        // P2: probability of finishing in the money under the risk-neutral measure,
+        // P1: the same under the stock measure
+        const integrandP2 = u => {
+            const phi = this.characteristicFunction([u, 0], params);
+            const value = this.multiply(this.exp([0, -u * logStrike]), phi);
+            return this.divide(value, [0, u])[0];
+        };
+        const integrandP1 = u => {
+            const phi = this.characteristicFunction([u, -1], params);
+            const value = this.multiply(this.exp([0, -u * logStrike]), phi);
+            return this.divide(value, [0, u * forward])[0];
+        };
+
+        const P1 = 0.5 + this.integrate(integrandP1) / Math.PI;
+        const P2 = 0.5 + this.integrate(integrandP2) / Math.PI;
+
+        const call = S * Math.exp(-q * T) * P1 - K * Math.exp(-r * T) * P2;
+        const price = type.toLowerCase() === 'call'
+            ? call
+            : call - S * Math.exp(-q * T) + K * Math.exp(-r * T);
+
+        return Math.max(0, price);
+    }
+
+    /**
+     * Characteristic function of ln(S_T), E[exp(i u ln S_T)], for complex u
+     * @param {Array<number>} u - Complex argument as [re, im]
+     * @param {Object} params - Model parameters (as for price)
+     * @returns {Array<number>} Complex value as [re, im]
+     */
+    static characteristicFunction(u, params) {
+        const { S, r, T, q = 0, v0, kappa, theta, xi, rho } = params;
+        const iu = this.multiply([0, 1], u);
+
+        // beta = kappa - rho xi i u,  d = sqrt(beta^2 + xi^2 (i u + u^2))
+        const beta = this.subtract([kappa, 0], this.scale(iu, rho * xi));
+        const a = this.add(iu, this.multiply(u, u));
+        const d = this.sqrt(this.add(this.multiply(beta, beta), this.scale(a, xi * xi)));
+
+        // beta - d = -xi^2 a / (beta + d), written without cancellation so that small xi stays accurate
+        const betaPlusD = this.add(beta, d);
+        const betaMinusD = this.divide(this.scale(a, -xi * xi), betaPlusD);
+        const g = this.divide(betaMinusD, betaPlusD);
+        const expDT = this.exp(this.scale(d, -T));
+        const one = [1, 0];
+        const oneMinusG = this.subtract(one, g);
+        const oneMinusGExp = this.subtract(one, this.multiply(g, expDT));
+
+        // (1 - g e^{-dT}) / (1 - g) = 1 + g (1 - e^{-dT}) / (1 - g)
+        const logRatio = this.log1p(this.divide(this.multiply(g, this.subtract(one, expDT)), oneMinusG));
+
+        const C = this.add(
+            this.scale(iu, Math.log(S) + (r - q) * T),
+            this.scale(
+                this.subtract(this.scale(betaMinusD, T), this.scale(logRatio, 2)),
+                kappa * theta / (xi * xi)
+            )
+        );
+        const D = this.scale(
+            this.divide(this.multiply(betaMinusD, this.subtract(one, expDT)), oneMinusGExp),
+            v0 / (xi * xi)
+        );
+
+        return this.exp(this.add(C, D));
+    }
+
+    /**
+     * Integrate f over (0, infinity) with composite Gauss-Legendre panels
+     * Panels are added until a whole panel contributes less than the tolerance.
+     * @param {Function} f - Integrand
+     * @returns {number} Integral
+     */
+    static integrate(f) {
+        const { nodes, weights } = this.gaussLegendre(32);
+        const width = 5;
+        let total = 0;
+
+        for (let panel = 0; panel < 200; panel++) {
+            const a = panel * width;
+            let sum = 0;
+            for (let k = 0; k < nodes.length; k++) {
+                sum += weights[k] * f(a + 0.5 * width * (nodes[k] + 1));
+            }
+            sum *= 0.5 * width;
+            total += sum;
+            if (Math.abs(sum) < 1e-14 && panel > 1) break;
+        }
+
+        return total;
+    }
+
+    /**
+     * Gauss-Legendre nodes and weights on [-1, 1]
+     * @param {number} n - Number of nodes
+     * @returns {Object} Nodes and weights
+     */
+    static gaussLegendre(n) {
+        if (!this.quadratureCache) this.quadratureCache = new Map();
+        if (this.quadratureCache.has(n)) return this.quadratureCache.get(n);
+
+        const nodes = [];
+        const weights = [];
+        for (let i = 1; i <= n; i++) {
+            // Newton iteration on P_n from the Chebyshev estimate of the root
+            let x = Math.cos(Math.PI * (i - 0.25) / (n + 0.5));
+            let derivative = 0;
+            for (let iter = 0; iter < 100; iter++) {
+                let p0 = 1;
+                let p1 = x;
+                for (let k = 2; k <= n; k++) {
+                    const p2 = ((2 * k - 1) * x * p1 - (k - 1) * p0) / k;
+                    p0 = p1;
+                    p1 = p2;
+                }
+                derivative = n * (x * p1 - p0) / (x * x - 1);
+                const step = p1 / derivative;
+                x -= step;
+                if (Math.abs(step) < 1e-15) break;
+            }
+            nodes.push(x);
+            weights.push(2 / ((1 - x * x) * derivative * derivative));
+        }
+
+        const rule = { nodes, weights };
+        this.quadratureCache.set(n, rule);
+        return rule;
+    }
+
+    // Complex arithmetic on [re, im] pairs
+
+    static add(a, b) {
+        return [a[0] + b[0], a[1] + b[1]];
+    }
+
+    static subtract(a, b) {
+        return [a[0] - b[0], a[1] - b[1]];
+    }
+
+    static scale(a, k) {
+        return [a[0] * k, a[1] * k];
+    }
+
+    static multiply(a, b) {
+        return [a[0] * b[0] - a[1] * b[1], a[0] * b[1] + a[1] * b[0]];
+    }
+
+    static divide(a, b) {
+        const denominator = b[0] * b[0] + b[1] * b[1];
+        return [(a[0] * b[0] + a[1] * b[1]) / denominator, (a[1] * b[0] - a[0] * b[1]) / denominator];
+    }
+
+    static exp(a) {
+        const magnitude = Math.exp(a[0]);
+        return [magnitude * Math.cos(a[1]), magnitude * Math.sin(a[1])];
+    }
+
+    static log(a) {
+        return [Math.log(Math.hypot(a[0], a[1])), Math.atan2(a[1], a[0])];
+    }
+
+    static log1p(a) {
+        return [0.5 * Math.log1p(2 * a[0] + a[0] * a[0] + a[1] * a[1]), Math.atan2(a[1], 1 + a[0])];
+    }
+
+    static sqrt(a) {
+        const modulus = Math.hypot(a[0], a[1]);
+        const re = Math.sqrt(0.5 * (modulus + a[0]));
+        const im = Math.sqrt(0.5 * (modulus - a[0]));
+        return [re, a[1] < 0 ? -im : im];
+    }
+}
+
+// Example usage:
+/*
+const price = HestonModel.price({
+    S: 100, K: 100, r: 0.05, T: 1, type: 'call',
+    v0: 0.04, kappa: 2, theta: 0.04, xi: 0.5, rho: -0.7
+});
+console.log(price);
+*/
+
+export default HestonModel;
\ No newline at end of file
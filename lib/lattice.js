@@ -0,0 +1,307 @@
+/**
+ * Lattice Option Pricing Models
+ * Implements Cox-Ross-Rubinstein and Leisen-Reimer binomial trees and a
+ * trinomial tree for European, American and Bermudan exercise
+ */
+
+import BlackScholes from './black-scholes.js';
+
+class LatticePricer {
+    /**
+     * Calculate option price and Greeks on a lattice
+     * Delta, gamma and theta are read off the first nodes of the tree;
+     * vega and rho are obtained by repricing with bumped inputs.
+     * @param {Object} params - Option parameters
+     * @param {number} params.S - Spot price
+     * @param {number} params.K - Strike price
+     * @param {number} params.r - Risk-free rate (as decimal)
+     * @param {number} params.v - Volatility (as decimal)
+     * @param {number} params.T - Time to expiry (in years)
+     * @param {string} params.type - Option type ('call' or 'put')
+     * @param {number} [params.q=0] - Continuous dividend yield (as decimal)
+     * @param {string} [params.style='european'] - Exercise style ('european', 'american' or 'bermudan')
+     * @param {Array<number>} [params.exerciseTimes] - Bermudan exercise times (in years)
+     * @param {number} [params.steps=200] - Number of time steps
+     * @param {string} [params.model='crr'] - Lattice model ('crr', 'leisen-reimer' or 'trinomial')
+     * @returns {Object} Option price and Greeks, in the same shape as BlackScholes.calculate
+     */
+    static calculate(params) {
+        const { S, v, T } = params;
+
+        // Handle edge cases
+        if (T <= 0) return BlackScholes.calculateExpired(params);
+        if (v <= 0) return BlackScholes.calculateZeroVol(params);
+
+        const lattice = this.buildLattice(params);
+        const { price, dt, nodes } = lattice;
+
+        // Delta from the first step, gamma from the first three-node layer
+        const [down, up] = [nodes[1][0], nodes[1][nodes[1].length - 1]];
+        const delta = (up.value - down.value) / (up.spot - down.spot);
+
+        const [low, mid, high] = lattice.gammaNodes;
+        const deltaHigh = (high.value - mid.value) / (high.spot - mid.spot);
+        const deltaLow = (mid.value - low.value) / (mid.spot - low.spot);
+        const gamma = (deltaHigh - deltaLow) / (0.5 * (high.spot - low.spot));
+
+        // Theta from the central node, with a Taylor correction when it is not at the spot
+        const center = lattice.thetaNode;
+        const spotShift = center.spot - S;
+        const theta = (center.value - price - delta * spotShift - 0.5 * gamma * spotShift * spotShift)
+            / (center.step * dt) / 365;
+
+        // Vega and rho by central differences (per 1% change, as in BlackScholes)
+        const bump = 0.01;
+        const vega = (this.price({ ...params, v: v + bump }) - this.price({ ...params, v: Math.max(v - bump, 1e-4) }))
+            / (v + bump - Math.max(v - bump, 1e-4)) / 100;
+        const rho = (this.price({ ...params, r: params.r + bump }) - this.price({ ...params, r: params.r - bump }))
+            / (2 * bump) / 100;
+
+        return {
+            price,
+            delta,
+            gamma,
+            vega,
+            theta,
+            rho
+        };
+    }
+
+    /**
+     * Calculate the option price only
+     * @param {Object} params - Option parameters (as for calculate)
+     * @returns {number} Option price
+     */
+    static price(params) {
+        if (params.T <= 0) return BlackScholes.calculateExpired(params).price;
+        if (params.v <= 0) return BlackScholes.calculateZeroVol(params).price;
+        return this.buildLattice(params).price;
+    }
+
+    /**
+     * Run backward induction through the lattice
+     * @param {Object} params - Option parameters (as for calculate)
+     * @returns {Object} Price, time step, the nodes of the first two steps and the nodes used for gamma and theta
+     */
+    static buildLattice(params) {
+        const { model = 'crr', steps = 200 } = params;
+
+        // Greeks read the nodes of the first two steps of a binomial tree and the first step of a trinomial tree
+        const minimumSteps = model.toLowerCase() === 'trinomial' ? 1 : 2;
+        if (!Number.isInteger(steps) || steps < minimumSteps) {
+            throw new Error(`The ${model} lattice needs a whole number of steps, at least ${minimumSteps}`);
+        }
+
+        switch (model.toLowerCase()) {
+            case 'crr':
+                return this.binomialLattice(params, this.crrParameters(params));
+            case 'leisen-reimer':
+                return this.binomialLattice(params, this.leisenReimerParameters(params));
+            case 'trinomial':
+                return this.trinomialLattice(params);
+            default:
+                throw new Error(`Unknown lattice model: ${model}`);
+        }
+    }
+
+    /**
+     * Cox-Ross-Rubinstein up/down factors and probability
+     * @param {Object} params - Option parameters
+     * @returns {Object} Steps, up factor, down factor and up probability
+     */
+    static crrParameters(params) {
+        const { r, v, T, q = 0, steps = 200 } = params;
+        const dt = T / steps;
+        const u = Math.exp(v * Math.sqrt(dt));
+        const d = 1 / u;
+        const p = (Math.exp((r - q) * dt) - d) / (u - d);
+
+        return { steps, u, d, p };
+    }
+
+    /**
+     * Leisen-Reimer up/down factors and probability using the Peizer-Pratt inversion
+     * The number of steps is forced to be odd, as the method requires.
+     * @param {Object} params - Option parameters
+     * @returns {Object} Steps, up factor, down factor and up probability
+     */
+    static leisenReimerParameters(params) {
+        const { S, K, r, v, T, q = 0 } = params;
+        const requested = params.steps || 200;
+        const steps = requested % 2 === 0 ? requested + 1 : requested;
+        const dt = T / steps;
+
+        const d1 = BlackScholes.d1(S, K, r, v, T, q);
+        const d2 = BlackScholes.d2(d1, v, T);
+        const p = this.peizerPratt(d2, steps);
+        const pPrime = this.peizerPratt(d1, steps);
+
+        const growth = Math.exp((r - q) * dt);
+        const u = growth * pPrime / p;
+        const d = (growth - p * u) / (1 - p);
+
+        return { steps, u, d, p };
+    }
+
+    /**
+     * Peizer-Pratt method 2 inversion of the normal distribution onto a binomial
+     * @param {number} z - Normal quantile
+     * @param {number} n - Number of steps (odd)
+     * @returns {number} Binomial probability
+     */
+    static peizerPratt(z, n) {
+        const x = z / (n + 1 / 3 + 0.1 / (n + 1));
+        const sign = z < 0 ? -1 : 1;
+        return 0.5 + sign * 0.5 * Math.sqrt(1 - Math.exp(-x * x * (n + 1 / 6)));
+    }
+
+    /**
+     * Backward induction on a recombining binomial tree
+     * @param {Object} params - Option parameters
+     * @param {Object} tree - Steps, up factor, down factor and up probability
+     * @returns {Object} Lattice result
+     */
+    static binomialLattice(params, tree) {
+        const { S, r, T } = params;
+        const { steps, u, d, p } = tree;
+        const dt = T / steps;
+        const discount = Math.exp(-r * dt);
+        const payoff = this.payoffFunction(params);
+        const canExercise = this.exerciseSchedule(params, steps, dt);
+
+        const spotAt = (step, j) => S * Math.pow(u, j) * Math.pow(d, step - j);
+
+        let values = Array.from({ length: steps + 1 }, (_, j) => payoff(spotAt(steps, j)));
+        const nodes = [];
+        if (steps <= 2) {
+            nodes[steps] = values.map((value, j) => ({ spot: spotAt(steps, j), value }));
+        }
+
+        for (let step = steps - 1; step >= 0; step--) {
+            const next = Array(step + 1);
+            for (let j = 0; j <= step; j++) {
+                const continuation = discount * (p * values[j + 1] + (1 - p) * values[j]);
+                next[j] = canExercise[step] ? Math.max(continuation, payoff(spotAt(step, j))) : continuation;
+            }
+            values = next;
+
+            if (step <= 2) {
+                nodes[step] = values.map((value, j) => ({ spot: spotAt(step, j), value }));
+            }
+        }
+
+        return {
+            price: nodes[0][0].value,
+            dt,
+            nodes,
+            gammaNodes: nodes[2],
+            thetaNode: { ...nodes[2][1], step: 2 }
+        };
+    }
+
+    /**
+     * Backward induction on a recombining trinomial tree (Boyle parameterization)
+     * @param {Object} params - Option parameters
+     * @returns {Object} Lattice result
+     */
+    static trinomialLattice(params) {
+        const { S, r, v, T, q = 0, steps = 200 } = params;
+        const dt = T / steps;
+        const discount = Math.exp(-r * dt);
+        const payoff = this.payoffFunction(params);
+        const canExercise = this.exerciseSchedule(params, steps, dt);
+
+        const u = Math.exp(v * Math.sqrt(3 * dt));
+        const drift = (r - q - 0.5 * v * v) * Math.sqrt(dt / (12 * v * v));
+        const pu = 1 / 6 + drift;
+        const pm = 2 / 3;
+        const pd = 1 / 6 - drift;
+
+        // Node j at a step sits at S * u^(j - step), j = 0 .. 2 * step
+        const spotAt = (step, j) => S * Math.pow(u, j - step);
+
+        let values = Array.from({ length: 2 * steps + 1 }, (_, j) => payoff(spotAt(steps, j)));
+        const nodes = [];
+        if (steps <= 2) {
+            nodes[steps] = values.map((value, j) => ({ spot: spotAt(steps, j), value }));
+        }
+
+        for (let step = steps - 1; step >= 0; step--) {
+            const next = Array(2 * step + 1);
+            for (let j = 0; j <= 2 * step; j++) {
+                const continuation = discount * (pu * values[j + 2] + pm * values[j + 1] + pd * values[j]);
+                next[j] = canExercise[step] ? Math.max(continuation, payoff(spotAt(step, j))) : continuation;
+            }
+            values = next;
+
+            if (step <= 2) {
+                nodes[step] = values.map((value, j) => ({ spot: spotAt(step, j), value }));
+            }
+        }
+
+        return {
+            price: nodes[0][0].value,
+            dt,
+            nodes,
+            gammaNodes: nodes[1],
+            thetaNode: { ...nodes[1][1], step: 1 }
+        };
+    }
+
+    /**
+     * Build the intrinsic payoff function
+     * @param {Object} params - Option parameters
+     * @returns {Function} Payoff as a function of spot
+     */
+    static payoffFunction(params) {
+        const { K, type } = params;
+        return type.toLowerCase() === 'call'
+            ? spot => Math.max(0, spot - K)
+            : spot => Math.max(0, K - spot);
+    }
+
+    /**
+     * Flag the steps at which early exercise is allowed
+     * @param {Object} params - Option parameters
+     * @param {number} steps - Number of time steps
+     * @param {number} dt - Time step (in years)
+     * @returns {Array<boolean>} Exercise flag per step
+     */
+    static exerciseSchedule(params, steps, dt) {
+        const { style = 'european', exerciseTimes = [] } = params;
+        const schedule = Array(steps + 1).fill(false);
+
+        switch (style.toLowerCase()) {
+            case 'american':
+                schedule.fill(true);
+                break;
+            case 'bermudan':
+                // Snap each exercise date to the nearest step
+                exerciseTimes.forEach(time => {
+                    const step = Math.round(time / dt);
+                    if (step > 0 && step <= steps) schedule[step] = true;
+                });
+                break;
+        }
+
+        return schedule;
+    }
+}
+
+// Example usage:
+/*
+const option = LatticePricer.calculate({
+    S: 100,    // Spot price
+    K: 100,    // Strike price
+    r: 0.05,   // Risk-free rate (5%)
+    v: 0.2,    // Volatility (20%)
+    T: 1,      // Time to expiry (1 year)
+    type: 'put',
+    style: 'american',
+    steps: 501,
+    model: 'leisen-reimer'
+});
+console.log(option);
+*/
+
+export default LatticePricer;
\ No newline at end of file
@@ -0,0 +1,245 @@
+/**
+ * Linear Algebra Utilities
+ * Dense matrix routines shared by the pricing and optimization modules
+ */
+
+class LinearAlgebra {
+    /**
+     * Solve the linear system A x = b using Gaussian elimination with partial pivoting
+     * @param {Array<Array<number>>} A - Square coefficient matrix
+     * @param {Array<number>} b - Right-hand side vector
+     * @returns {Array<number>|null} Solution vector, or null if A is singular
+     */
+    static solve(A, b) {
+        const n = b.length;
+        const M = A.map((row, i) => [...row, b[i]]);
+
+        for (let col = 0; col < n; col++) {
+            // Pick the largest pivot in this column for numerical stability
+            let pivot = col;
+            for (let row = col + 1; row < n; row++) {
+                if (Math.abs(M[row][col]) > Math.abs(M[pivot][col])) pivot = row;
+            }
+            if (Math.abs(M[pivot][col]) < 1e-14) return null;
+            [M[col], M[pivot]] = [M[pivot], M[col]];
+
+            for (let row = col + 1; row < n; row++) {
+                const factor = M[row][col] / M[col][col];
+                if (factor === 0) continue;
+                for (let k = col; k <= n; k++) {
+                    M[row][k] -= factor * M[col][k];
+                }
+            }
+        }
+
+        // Back substitution
+        const x = Array(n).fill(0);
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = M[i][n];
+            for (let j = i + 1; j < n; j++) {
+                sum -= M[i][j] * x[j];
+            }
+            x[i] = sum / M[i][i];
+        }
+
+        return x;
+    }
+
+    /**
+     * Solve the least-squares problem min ||X beta - y|| using Householder QR
+     * Columns that are numerically dependent get a zero coefficient.
+     * @param {Array<Array<number>>} X - Design matrix (rows are observations)
+     * @param {Array<number>} y - Observations
+     * @returns {Array<number>} Regression coefficients
+     */
+    static leastSquares(X, y) {
+        const m = X.length;
+        const n = X[0].length;
+        const R = X.map(row => [...row]);
+        const qty = [...y];
+        const rank = Math.min(m, n);
+
+        for (let k = 0; k < rank; k++) {
+            // Build the Householder reflector for column k
+            let norm = 0;
+            for (let i = k; i < m; i++) norm += R[i][k] * R[i][k];
+            norm = Math.sqrt(norm);
+            if (norm === 0) continue;
+
+            const alpha = R[k][k] > 0 ? -norm : norm;
+            const v = Array(m).fill(0);
+            v[k] = R[k][k] - alpha;
+            for (let i = k + 1; i < m; i++) v[i] = R[i][k];
+
+            let vNorm = 0;
+            for (let i = k; i < m; i++) vNorm += v[i] * v[i];
+            if (vNorm === 0) continue;
+
+            // Apply the reflector to the remaining columns and to y
+            for (let j = k; j < n; j++) {
+                let dot = 0;
+                for (let i = k; i < m; i++) dot += v[i] * R[i][j];
+                const scale = 2 * dot / vNorm;
+                for (let i = k; i < m; i++) R[i][j] -= scale * v[i];
+            }
+            let dot = 0;
+            for (let i = k; i < m; i++) dot += v[i] * qty[i];
+            const scale = 2 * dot / vNorm;
+            for (let i = k; i < m; i++) qty[i] -= scale * v[i];
+        }
+
+        // Back substitution on the upper triangular factor
+        const beta = Array(n).fill(0);
+        const tolerance = 1e-12 * Math.max(...R.slice(0, rank).map((row, i) => Math.abs(row[i])), 1);
+        for (let i = rank - 1; i >= 0; i--) {
+            if (Math.abs(R[i][i]) <= tolerance) continue;
+            let sum = qty[i];
+            for (let j = i + 1; j < n; j++) {
+                sum -= R[i][j] * beta[j];
+            }
+            beta[i] = sum / R[i][i];
+        }
+
+        return beta;
+    }
+
+    /**
+     * Matrix product A B
+     * @param {Array<Array<number>>} A - Left matrix (m x k)
+     * @param {Array<Array<number>>} B - Right matrix (k x n)
+     * @returns {Array<Array<number>>} Product (m x n)
+     */
+    static multiply(A, B) {
+        const n = B[0].length;
+        return A.map(row => Array.from({ length: n }, (_, j) => {
+            let sum = 0;
+            for (let k = 0; k < row.length; k++) sum += row[k] * B[k][j];
+            return sum;
+        }));
+    }
+
+    /**
+     * Matrix-vector product A x
+     * @param {Array<Array<number>>} A - Matrix
+     * @param {Array<number>} x - Vector
+     * @returns {Array<number>} Product vector
+     */
+    static multiplyVector(A, x) {
+        return A.map(row => row.reduce((sum, value, k) => sum + value * x[k], 0));
+    }
+
+    /**
+     * Transpose of a matrix
+     * @param {Array<Array<number>>} A - Matrix
+     * @returns {Array<Array<number>>} Transposed matrix
+     */
+    static transpose(A) {
+        return A[0].map((_, j) => A.map(row => row[j]));
+    }
+
+    /**
+     * Inverse of a square matrix, column by column through solve
+     * @param {Array<Array<number>>} A - Square matrix
+     * @returns {Array<Array<number>>|null} Inverse, or null if A is singular
+     */
+    static inverse(A) {
+        const n = A.length;
+        const columns = [];
+        for (let j = 0; j < n; j++) {
+            const column = this.solve(A, Array.from({ length: n }, (_, i) => (i === j ? 1 : 0)));
+            if (!column) return null;
+            columns.push(column);
+        }
+        return this.transpose(columns);
+    }
+
+    /**
+     * Cholesky factorization A = L L^T of a symmetric positive definite matrix
+     * @param {Array<Array<number>>} A - Symmetric matrix
+     * @returns {Array<Array<number>>|null} Lower triangular factor, or null if A is not positive definite
+     */
+    static cholesky(A) {
+        const n = A.length;
+        const L = Array.from({ length: n }, () => Array(n).fill(0));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = A[i][j];
+                for (let k = 0; k < j; k++) {
+                    sum -= L[i][k] * L[j][k];
+                }
+                if (i === j) {
+                    if (sum <= 1e-14 * Math.max(1, Math.abs(A[i][i]))) return null;
+                    L[i][i] = Math.sqrt(sum);
+                } else {
+                    L[i][j] = sum / L[j][j];
+                }
+            }
+        }
+
+        return L;
+    }
+
+    /**
+     * Eigen-decomposition A = V diag(values) V^T of a symmetric matrix (cyclic Jacobi rotations)
+     * @param {Array<Array<number>>} A - Symmetric matrix
+     * @param {Object} [options] - Iteration options
+     * @param {number} [options.tolerance=1e-12] - Off-diagonal norm, relative to the matrix norm, at which to stop
+     * @param {number} [options.maxSweeps=100] - Maximum number of sweeps over all off-diagonal pairs
+     * @returns {Object} Eigenvalues in descending order and the matching eigenvectors as columns of vectors
+     */
+    static symmetricEigen(A, options = {}) {
+        const { tolerance = 1e-12, maxSweeps = 100 } = options;
+        const n = A.length;
+        const M = A.map(row => [...row]);
+        const V = Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+        const norm = Math.sqrt(M.reduce((sum, row) => sum + row.reduce((s, x) => s + x * x, 0), 0)) || 1;
+
+        for (let sweep = 0; sweep < maxSweeps; sweep++) {
+            let offDiagonal = 0;
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) offDiagonal += M[p][q] * M[p][q];
+            }
+            if (Math.sqrt(offDiagonal) <= tolerance * norm) break;
+
+            for (let p = 0; p < n; p++) {
+                for (let q = p + 1; q < n; q++) {
+                    if (M[p][q] === 0) continue;
+
+                    // Rotation angle that zeroes M[p][q]
+                    const theta = (M[q][q] - M[p][p]) / (2 * M[p][q]);
+                    const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                    const c = 1 / Math.sqrt(t * t + 1);
+                    const s = t * c;
+
+                    for (let k = 0; k < n; k++) {
+                        const mkp = M[k][p];
+                        const mkq = M[k][q];
+                        M[k][p] = c * mkp - s * mkq;
+                        M[k][q] = s * mkp + c * mkq;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const mpk = M[p][k];
+                        const mqk = M[q][k];
+                        M[p][k] = c * mpk - s * mqk;
+                        M[q][k] = s * mpk + c * mqk;
+                    }
+                    for (let k = 0; k < n; k++) {
+                        const vkp = V[k][p];
+                        const vkq = V[k][q];
+                        V[k][p] = c * vkp - s * vkq;
+                        V[k][q] = s * vkp + c * vkq;
+                    }
+                }
+            }
+        }
+
+        const order = Array.from({ length: n }, (_, i) => i).sort((a, b) => M[b][b] - M[a][a]);
+        return {
+            values: order.map(i => M[i][i]),
+            vectors: V.map(row => order.map(i => row[i]))
+        };
+    }
+}
+
+export default LinearAlgebra;
\ No newline at end of file
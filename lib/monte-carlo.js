@@ -1,33 +1,63 @@
 /**
  * Monte Carlo Simulation Engine
- * Implements geometric Brownian motion for asset price simulation
- * and Monte Carlo option pricing
+ * Implements geometric Brownian motion, Heston stochastic volatility, Dupire
+ * local volatility and Merton/Kou jump-diffusion for asset price simulation and
+ * Monte Carlo option pricing
  */
 
+import BlackScholes from './black-scholes.js';
+import LinearAlgebra from './linear-algebra.js';
+import Payoffs from './payoffs.js';
+import Xoshiro128 from './random.js';
+import SobolSequence from './sobol.js';
+
+// Andersen's switching threshold between the quadratic and exponential QE branches
+const QE_PSI_CRITICAL = 1.5;
+
 class MonteCarloEngine {
     /**
-     * Generate a single price path using geometric Brownian motion
+     * Generate a single price path
      * @param {Object} params - Simulation parameters
      * @param {number} params.S0 - Initial price
      * @param {number} params.mu - Drift (usually risk-free rate)
-     * @param {number} params.sigma - Volatility
+     * @param {number} params.sigma - Volatility (diffusion volatility for jump processes; unused by Heston)
      * @param {number} params.T - Time horizon
      * @param {number} params.steps - Number of time steps
+     * @param {number} [params.q=0] - Continuous dividend yield
+     * @param {string} [params.process='gbm'] - 'gbm', 'heston', 'local-vol', 'merton' or 'kou'
+     * @param {Object} [params.heston] - Heston parameters { v0, kappa, theta, xi, rho, scheme },
+     *   with scheme 'qe' (default) or 'full-truncation'
+     * @param {Function|VolatilitySurface} [params.localVolatility] - Local volatility sigma(S, t) for
+     *   'local-vol', or a surface whose Dupire local volatility is used (defaults to params.surface)
+     * @param {Object} [params.jumps] - Jump parameters: { lambda, muJ, sigmaJ } for Merton
+     *   (normal log jumps) or { lambda, p, eta1, eta2 } for Kou (double exponential log jumps)
+     * @param {Array<Object>} [params.dividends] - Discrete cash dividends as { time, amount },
+     *   paid at the first step on or after each ex-date
+     * @param {Array<number>} [params.normals] - Pre-drawn standard normal shocks, one per step. They drive
+     *   the price diffusion; Heston variance and jump arrivals are always drawn from the rng.
+     * @param {number} [params.seed] - Seed for a reproducible xoshiro128** stream
+     * @param {Object} [params.rng] - Random source exposing next() -> [0, 1); takes precedence over seed
      * @returns {Array<number>} Price path
      */
     static generatePath(params) {
-        const { S0, mu, sigma, T, steps } = params;
+        const { S0, T, steps } = params;
+        const rng = this.createRng(params);
         const dt = T / steps;
         const path = [S0];
+        const dividendSchedule = this.dividendSchedule(params.dividends, dt, steps);
+        const logReturn = this.processStep(params, rng, dt);
         
         for (let i = 1; i <= steps; i++) {
             const previousPrice = path[i - 1];
-            const randomNormal = this.boxMuller(); // Generate standard normal random number
+            // Generate standard normal random number unless the shocks were supplied
+            const randomNormal = params.normals ? params.normals[i - 1] : this.boxMuller(rng);
+            
+            let newPrice = previousPrice * Math.exp(logReturn(randomNormal, previousPrice, (i - 1) * dt));
             
-            // Geometric Brownian Motion formula
-            const drift = (mu - 0.5 * sigma * sigma) * dt;
-            const diffusion = sigma * Math.sqrt(dt) * randomNormal;
-            const newPrice = previousPrice * Math.exp(drift + diffusion);
+            // Price drops by the cash dividend on the ex-date
+            if (dividendSchedule[i]) {
+                newPrice = Math.max(0, newPrice - dividendSchedule[i]);
+            }
             
             path.push(newPrice);
         }
@@ -35,23 +65,347 @@ class MonteCarloEngine {
         return path;
     }
 
+    /**
+     * Build the one-step log return generator of a price process
+     * @param {Object} params - Simulation parameters (as for generatePath)
+     * @param {Object} rng - Random source for draws beyond the price shock
+     * @param {number} dt - Time step
+     * @returns {Function} Function (standard normal price shock, current price, current time) -> log return over dt
+     */
+    static processStep(params, rng, dt) {
+        const { mu, sigma, q = 0, process = 'gbm' } = params;
+
+        switch (process.toLowerCase()) {
+            case 'gbm':
+                // Geometric Brownian Motion formula
+                return z => (mu - q - 0.5 * sigma * sigma) * dt + sigma * Math.sqrt(dt) * z;
+            case 'heston':
+                return this.hestonStep(params, rng, dt);
+            case 'local-vol':
+                return this.localVolatilityStep(params, dt);
+            case 'merton':
+            case 'kou':
+                return this.jumpDiffusionStep(params, rng, dt);
+            default:
+                throw new Error(`Unknown process: ${process}`);
+        }
+    }
+
+    /**
+     * One-step log return generator under Heston stochastic volatility
+     * The 'qe' scheme samples the variance with Andersen's (2008) quadratic-exponential
+     * approximation and integrates the log price with his trapezoidal discretization;
+     * 'full-truncation' is the Euler scheme of Lord et al. (2010), which floors the
+     * variance at zero wherever it enters the drift or diffusion.
+     * @param {Object} params - Simulation parameters with heston { v0, kappa, theta, xi, rho, scheme }
+     * @param {Object} rng - Random source for the variance draws
+     * @param {number} dt - Time step
+     * @returns {Function} Function (independent price shock) -> log return over dt
+     */
+    static hestonStep(params, rng, dt) {
+        const { mu, q = 0, heston } = params;
+        const { v0, kappa, theta, xi, rho, scheme = 'qe' } = heston;
+        const drift = (mu - q) * dt;
+        let variance = v0;
+
+        if (scheme === 'full-truncation') {
+            return z => {
+                const v = Math.max(variance, 0);
+                const zv = this.boxMuller(rng);
+                variance += kappa * (theta - v) * dt + xi * Math.sqrt(v * dt) * zv;
+                return drift - 0.5 * v * dt + Math.sqrt(v * dt) * (rho * zv + Math.sqrt(1 - rho * rho) * z);
+            };
+        }
+        if (scheme !== 'qe') throw new Error(`Unknown Heston scheme: ${scheme}`);
+
+        // Moments of the variance over one step and the log-price coefficients (gamma1 = gamma2 = 1/2)
+        const decay = Math.exp(-kappa * dt);
+        const k0 = -rho * kappa * theta * dt / xi;
+        const k1 = 0.5 * dt * (kappa * rho / xi - 0.5) - rho / xi;
+        const k2 = 0.5 * dt * (kappa * rho / xi - 0.5) + rho / xi;
+        const k3 = 0.5 * dt * (1 - rho * rho);
+
+        return z => {
+            const v = variance;
+            const m = theta + (v - theta) * decay;
+            const s2 = v * xi * xi * decay * (1 - decay) / kappa
+                + theta * xi * xi * Math.pow(1 - decay, 2) / (2 * kappa);
+            const psi = s2 / (m * m);
+
+            if (psi <= QE_PSI_CRITICAL) {
+                // Quadratic branch: a (b + Z)^2 matches the first two moments
+                const b2 = 2 / psi - 1 + Math.sqrt(2 / psi) * Math.sqrt(2 / psi - 1);
+                const a = m / (1 + b2);
+                variance = a * Math.pow(Math.sqrt(b2) + this.boxMuller(rng), 2);
+            } else {
+                // Exponential branch: point mass at zero plus an exponential tail
+                const p = (psi - 1) / (psi + 1);
+                const beta = (1 - p) / m;
+                const u = rng.next();
+                variance = u <= p ? 0 : Math.log((1 - p) / (1 - u)) / beta;
+            }
+
+            return drift + k0 + k1 * v + k2 * variance + Math.sqrt(k3 * (v + variance)) * z;
+        };
+    }
+
+    /**
+     * One-step log return generator under local volatility dS = (mu - q) S dt + sigma(S, t) S dW
+     * Log-Euler scheme with the volatility frozen at the start of each step.
+     * @param {Object} params - Simulation parameters with localVolatility or surface
+     * @param {number} dt - Time step
+     * @returns {Function} Function (standard normal shock, current price, current time) -> log return over dt
+     */
+    static localVolatilityStep(params, dt) {
+        const { mu, q = 0 } = params;
+        const volatility = this.localVolatilityFunction(params);
+
+        return (z, price, time) => {
+            const sigma = volatility(price, time);
+            return (mu - q - 0.5 * sigma * sigma) * dt + sigma * Math.sqrt(dt) * z;
+        };
+    }
+
+    /**
+     * Resolve the local volatility function of the 'local-vol' process
+     * @param {Object} params - Simulation parameters with localVolatility or surface
+     * @returns {Function} sigma(S, t)
+     */
+    static localVolatilityFunction(params) {
+        const source = params.localVolatility || params.surface;
+        if (typeof source === 'function') return source;
+        if (source && typeof source.localVolatility === 'function') return (S, t) => source.localVolatility(S, t);
+        throw new Error('The local-vol process needs a localVolatility function or a volatility surface');
+    }
+
+    /**
+     * One-step log return generator under Merton or Kou jump-diffusion
+     * Jumps arrive as a Poisson process; the drift is compensated by lambda E[e^J - 1]
+     * so the discounted price remains a martingale.
+     * @param {Object} params - Simulation parameters with process and jumps
+     * @param {Object} rng - Random source for jump counts and sizes
+     * @param {number} dt - Time step
+     * @returns {Function} Function (standard normal diffusion shock) -> log return over dt
+     */
+    static jumpDiffusionStep(params, rng, dt) {
+        const { mu, sigma, q = 0, process, jumps } = params;
+        const { lambda } = jumps;
+        let meanJump, jumpSize;
+
+        if (process.toLowerCase() === 'kou') {
+            const { p, eta1, eta2 } = jumps;
+            if (!(eta1 > 1)) throw new Error('Kou upward jump rate eta1 must exceed 1');
+            meanJump = p * eta1 / (eta1 - 1) + (1 - p) * eta2 / (eta2 + 1) - 1;
+            jumpSize = () => (rng.next() < p
+                ? -Math.log(1 - rng.next()) / eta1
+                : Math.log(1 - rng.next()) / eta2);
+        } else {
+            const { muJ, sigmaJ } = jumps;
+            meanJump = Math.exp(muJ + 0.5 * sigmaJ * sigmaJ) - 1;
+            jumpSize = () => muJ + sigmaJ * this.boxMuller(rng);
+        }
+
+        const drift = (mu - q - lambda * meanJump - 0.5 * sigma * sigma) * dt;
+        return z => {
+            let jump = 0;
+            for (let count = this.poisson(lambda * dt, rng); count > 0; count--) {
+                jump += jumpSize();
+            }
+            return drift + sigma * Math.sqrt(dt) * z + jump;
+        };
+    }
+
+    /**
+     * Draw a Poisson random number by multiplying uniforms (Knuth)
+     * Intended for the small means of per-step jump counts.
+     * @param {number} mean - Poisson mean
+     * @param {Object} rng - Random source
+     * @returns {number} Poisson draw
+     */
+    static poisson(mean, rng) {
+        const limit = Math.exp(-mean);
+        let count = 0;
+        let product = rng.next();
+        while (product > limit) {
+            count++;
+            product *= rng.next();
+        }
+        return count;
+    }
+
+    /**
+     * Map discrete cash dividends onto simulation steps
+     * @param {Array<Object>} [dividends] - Dividends as { time, amount }
+     * @param {number} dt - Time step
+     * @param {number} steps - Number of time steps
+     * @returns {Array<number>} Total dividend paid at each step
+     */
+    static dividendSchedule(dividends = [], dt, steps) {
+        const schedule = Array(steps + 1).fill(0);
+        
+        dividends.forEach(({ time, amount }) => {
+            const step = Math.max(1, Math.ceil(time / dt - 1e-9));
+            if (time > 0 && step <= steps) schedule[step] += amount;
+        });
+        
+        return schedule;
+    }
+
     /**
      * Generate multiple price paths
      * @param {Object} params - Simulation parameters
      * @param {number} params.paths - Number of paths to generate
+     * @param {number} [params.seed] - Seed for a reproducible xoshiro128** stream
+     * @param {Object} [params.rng] - Random source exposing next() -> [0, 1); takes precedence over seed
+     * @param {string} [params.sampling='pseudo'] - 'pseudo' or 'sobol' (scrambled Sobol with Brownian bridge)
      * @returns {Array<Array<number>>} Array of price paths
      */
     static generatePaths(params) {
-        const { paths } = params;
+        const { paths, sampling = 'pseudo' } = params;
         const allPaths = [];
         
+        // One stream for all paths, so a seed fixes the whole simulation
+        const rng = this.createRng(params);
+        if (sampling.toLowerCase() === 'sobol') {
+            return this.quasiRandomShocks(params.steps, paths, rng)
+                .map(normals => this.generatePath({ ...params, normals, rng }));
+        }
+        
         for (let i = 0; i < paths; i++) {
-            allPaths.push(this.generatePath(params));
+            allPaths.push(this.generatePath({ ...params, rng }));
         }
         
         return allPaths;
     }
 
+    /**
+     * Generate correlated price paths for several assets under geometric Brownian motion
+     * Each step draws independent normals and mixes them with a factor B of the
+     * correlation matrix (B B^T = correlation): the Cholesky factor when the matrix is
+     * positive definite, otherwise an eigen-decomposition with negative eigenvalues
+     * clipped to zero and rows rescaled to unit variance.
+     * @param {Object} params - Simulation parameters
+     * @param {Array<number>} params.S0 - Initial price of each asset
+     * @param {number|Array<number>} params.mu - Drift, shared or per asset
+     * @param {Array<number>} [params.sigma] - Volatility of each asset (taken from covariance if omitted)
+     * @param {Array<Array<number>>} [params.correlation] - Correlation matrix
+     * @param {Array<Array<number>>} [params.covariance] - Annualized covariance matrix, used when
+     *   correlation is not given
+     * @param {number|Array<number>} [params.q=0] - Continuous dividend yield, shared or per asset
+     * @param {number} params.T - Time horizon
+     * @param {number} params.steps - Number of time steps
+     * @param {number} params.paths - Number of paths to generate
+     * @param {number} [params.seed] - Seed for a reproducible xoshiro128** stream
+     * @param {Object} [params.rng] - Random source exposing next() -> [0, 1); takes precedence over seed
+     * @returns {Array<Array<Array<number>>>} Paths, each holding one price path per asset
+     */
+    static generateCorrelatedPaths(params) {
+        const { S0, T, steps, paths } = params;
+        const rng = this.createRng(params);
+        const { sigma, correlation } = this.assetDispersion(params);
+        const factor = this.correlationFactor(correlation);
+        const perAsset = (value, i) => (Array.isArray(value) ? value[i] : value);
+        const n = S0.length;
+
+        const allPaths = [];
+        for (let p = 0; p < paths; p++) {
+            // Correlated shocks per asset: row i of B times independent normals
+            const shocks = Array.from({ length: n }, () => Array(steps));
+            for (let step = 0; step < steps; step++) {
+                const z = Array.from({ length: n }, () => this.boxMuller(rng));
+                for (let i = 0; i < n; i++) {
+                    let mixed = 0;
+                    for (let k = 0; k < n; k++) mixed += factor[i][k] * z[k];
+                    shocks[i][step] = mixed;
+                }
+            }
+
+            allPaths.push(S0.map((s0, i) => this.generatePath({
+                S0: s0,
+                mu: perAsset(params.mu, i),
+                sigma: sigma[i],
+                q: perAsset(params.q || 0, i),
+                T,
+                steps,
+                normals: shocks[i],
+                rng
+            })));
+        }
+
+        return allPaths;
+    }
+
+    /**
+     * Volatilities and correlation matrix of a multi-asset simulation
+     * @param {Object} params - Simulation parameters with sigma and correlation, or covariance
+     * @returns {Object} Volatility vector and correlation matrix
+     */
+    static assetDispersion(params) {
+        const { correlation, covariance } = params;
+        if (correlation) {
+            if (!params.sigma) throw new Error('sigma is required alongside a correlation matrix');
+            return { sigma: params.sigma, correlation };
+        }
+        if (!covariance) throw new Error('A correlation or covariance matrix is required');
+
+        const sigma = covariance.map((row, i) => Math.sqrt(Math.max(row[i], 0)));
+        return {
+            sigma,
+            correlation: covariance.map((row, i) => row.map((value, j) => {
+                if (i === j) return 1;
+                return sigma[i] > 0 && sigma[j] > 0 ? value / (sigma[i] * sigma[j]) : 0;
+            }))
+        };
+    }
+
+    /**
+     * Factor B of a correlation matrix with B B^T = correlation
+     * Falls back to the nearest positive semi-definite matrix when the input is not
+     * positive definite (e.g. estimated from short or asynchronous histories).
+     * @param {Array<Array<number>>} correlation - Symmetric correlation matrix
+     * @returns {Array<Array<number>>} Factor matrix
+     */
+    static correlationFactor(correlation) {
+        const cholesky = LinearAlgebra.cholesky(correlation);
+        if (cholesky) return cholesky;
+
+        const { values, vectors } = LinearAlgebra.symmetricEigen(correlation);
+        const roots = values.map(value => Math.sqrt(Math.max(value, 0)));
+        return vectors.map(row => {
+            const scaled = row.map((v, k) => v * roots[k]);
+            const norm = Math.sqrt(scaled.reduce((sum, x) => sum + x * x, 0)) || 1;
+            return scaled.map(x => x / norm);
+        });
+    }
+
+    /**
+     * Price a European option on several correlated assets
+     * @param {Object} params - Option and simulation parameters (as for generateCorrelatedPaths, plus)
+     * @param {number} params.K - Strike price
+     * @param {number} params.r - Risk-free rate (used as the drift of every asset)
+     * @param {string} params.type - Option type ('call' or 'put')
+     * @param {string|Object|Function} [params.payoff='basket'] - 'basket' ({ name, weights }),
+     *   'spread' (first minus second asset) or 'rainbow' ({ name, extremum: 'max' | 'min' }),
+     *   or a function (assetPaths, params)
+     * @returns {Object} Option price, confidence interval and standard error
+     */
+    static priceMultiAssetOption(params) {
+        const { r, T, payoff = 'basket' } = params;
+        const simulationPaths = this.generateCorrelatedPaths({ ...params, mu: r });
+        const payoffs = this.discountedPayoffs(simulationPaths, { ...params, payoff });
+
+        const { mean, variance } = this.sampleStatistics(payoffs);
+        const standardError = Math.sqrt(variance / payoffs.length);
+        return {
+            price: mean,
+            confidenceInterval: {
+                lower: mean - 1.96 * standardError,
+                upper: mean + 1.96 * standardError
+            },
+            standardError
+        };
+    }
+
     /**
      * Price an option using Monte Carlo simulation
      * @param {Object} params - Option and simulation parameters
@@ -64,56 +418,635 @@ class MonteCarloEngine {
      * @param {number} params.steps - Number of time steps
      * @param {string} params.type - Option type ('call' or 'put')
      * @param {string} params.style - Option style ('european' or 'american')
-     * @returns {Object} Option price and confidence interval
+     * @param {number} [params.q=0] - Continuous dividend yield
+     * @param {Array<Object>} [params.dividends] - Discrete cash dividends as { time, amount }
+     * @param {string} [params.varianceReduction='none'] - 'none', 'antithetic', 'control-variate',
+     *   'moment-matching' or 'importance-sampling'
+     * @param {number} [params.batches=20] - Independent batches used to estimate the error of moment matching
+     * @param {number} [params.importanceShift] - Per-step drift shift of the normals for importance
+     *   sampling; defaults to centering the terminal distribution on the strike
+     * @param {string} [params.sampling='pseudo'] - 'pseudo' or 'sobol' (randomized quasi-Monte Carlo,
+     *   which replaces the varianceReduction technique)
+     * @param {number} [params.replicates=16] - Independent Sobol scrambles used for the error estimate
+     * @param {string|Object|Function} [params.payoff='vanilla'] - Payoff: a registered name ('vanilla',
+     *   'asian', 'barrier', 'lookback', 'digital'), { name, ...options } or a function (path, params)
+     * @param {string} [params.process='gbm'] - Price process with its heston or jumps parameters
+     *   (see generatePath)
+     * @param {VolatilitySurface} [params.surface] - Surface supplying sigma at (K, T) when sigma is omitted
+     * @returns {Object} Option price, confidence interval, variance reduction factor and, where a
+     *   closed form exists, the analytic price for validation
      */
     static priceOption(params) {
-        const { S0, K, r, sigma, T, paths, type, style } = params;
-        const simulationPaths = this.generatePaths({
+        if (params.surface && params.sigma === undefined) {
+            params = { ...params, sigma: params.surface.getVolatility(params.K, params.T) };
+        }
+        if (params.process && params.process.toLowerCase() === 'heston' && params.sigma === undefined) {
+            // GBM proxies (control variate, importance shift, barrier correction) use the initial volatility
+            params = { ...params, sigma: Math.sqrt(params.heston.v0) };
+        }
+        if (params.process && params.process.toLowerCase() === 'local-vol' && params.sigma === undefined) {
+            params = { ...params, sigma: this.localVolatilityFunction(params)(params.S0, 0) };
+        }
+        const { r, style, varianceReduction = 'none', sampling = 'pseudo' } = params;
+        if (style && style.toLowerCase() === 'american') {
+            return this.priceAmericanOption(params);
+        }
+        if (sampling.toLowerCase() === 'sobol') {
+            return this.priceOptionQuasiRandom(params);
+        }
+
+        const technique = varianceReduction.toLowerCase();
+        const rng = this.createRng(params);
+        const shocks = this.generateShocks({ ...params, rng }, technique);
+        const simulationPaths = shocks.map(normals => this.generatePath({
             ...params,
+            normals,
+            rng,
             mu: r // Use risk-free rate as drift for risk-neutral pricing
-        });
+        }));
         
-        // Calculate payoffs for each path
-        const payoffs = simulationPaths.map(path => {
-            const finalPrice = path[path.length - 1];
-            if (type.toLowerCase() === 'call') {
-                return Math.max(0, finalPrice - K);
-            } else {
-                return Math.max(0, K - finalPrice);
-            }
-        });
+        // Calculate discounted payoffs for each path
+        const payoffs = this.discountedPayoffs(simulationPaths, params);
         
-        // Calculate mean payoff and discount
-        const meanPayoff = payoffs.reduce((sum, payoff) => sum + payoff, 0) / paths;
-        const price = meanPayoff * Math.exp(-r * T);
+        const { price, variance, naiveVariance } = this.applyVarianceReduction(technique, payoffs, shocks, params);
         
         // Calculate standard error and confidence interval
-        const variance = payoffs.reduce((sum, payoff) => {
-            return sum + Math.pow(payoff - meanPayoff, 2);
-        }, 0) / (paths - 1);
-        
-        const standardError = Math.sqrt(variance / paths);
+        const standardError = Math.sqrt(variance / payoffs.length);
         const confidenceInterval = {
-            lower: price - 1.96 * standardError * Math.exp(-r * T),
-            upper: price + 1.96 * standardError * Math.exp(-r * T)
+            lower: price - 1.96 * standardError,
+            upper: price + 1.96 * standardError
         };
         
         return {
             price,
             confidenceInterval,
-            standardError: standardError * Math.exp(-r * T)
+            standardError,
+            varianceReduction: technique,
+            // A perfectly correlated control leaves only rounding noise
+            varianceReductionFactor: variance > Number.EPSILON * naiveVariance ? naiveVariance / variance : Infinity,
+            analyticPrice: Payoffs.analyticPrice(params.payoff, params)
+        };
+    }
+
+    /**
+     * Check that a local volatility model reprices the vanillas of an implied volatility surface
+     * Simulates antithetic local-vol paths once to the longest maturity, prices the
+     * out-of-the-money option at each strike and maturity, and inverts Black-Scholes to
+     * compare the Monte Carlo implied volatility with the surface.
+     * @param {Object} params - Check parameters
+     * @param {VolatilitySurface} params.surface - Target implied volatility surface
+     * @param {Function|VolatilitySurface} [params.localVolatility] - Model to check (default: the
+     *   surface's Dupire local volatility)
+     * @param {number} [params.S0] - Initial price (default: the surface spot)
+     * @param {number} [params.r] - Risk-free rate (default: the surface rate)
+     * @param {number} [params.q] - Dividend yield (default: the surface yield)
+     * @param {Array<number>} params.strikes - Strikes to reprice
+     * @param {Array<number>} params.maturities - Maturities to reprice (rounded to the time grid)
+     * @param {number} [params.paths=20000] - Number of paths (rounded up to an even number)
+     * @param {number} [params.stepsPerYear=100] - Time steps per year
+     * @param {number} [params.tolerance=0.005] - Acceptable volatility error beyond three standard errors
+     * @param {number} [params.seed] - Seed for a reproducible xoshiro128** stream
+     * @returns {Object} { points: [{ K, T, type, price, standardError, surfaceVolatility,
+     *   modelVolatility, error, volatilityStandardError }], rmse, maxError, calibrated }
+     */
+    static checkLocalVolCalibration(params) {
+        const { surface, strikes, maturities, paths = 20000, stepsPerYear = 100, tolerance = 0.005 } = params;
+        const { S0 = surface.S, r = surface.r, q = surface.q } = params;
+        const maxT = Math.max(...maturities);
+        const steps = Math.max(1, Math.ceil(maxT * stepsPerYear));
+        const dt = maxT / steps;
+        const rng = this.createRng(params);
+        const process = {
+            S0,
+            mu: r,
+            q,
+            T: maxT,
+            steps,
+            process: 'local-vol',
+            localVolatility: params.localVolatility || surface
+        };
+
+        const grid = maturities.map(T => Math.max(1, Math.round(T / dt)));
+        const options = grid.flatMap(step => strikes.map(K => {
+            const T = step * dt;
+            return { K, T, step, type: K >= surface.forward(T) ? 'call' : 'put', sum: 0, sumSquares: 0 };
+        }));
+
+        const pairs = Math.ceil(paths / 2);
+        for (let p = 0; p < pairs; p++) {
+            const normals = Array.from({ length: steps }, () => this.boxMuller(rng));
+            const up = this.generatePath({ ...process, normals });
+            const down = this.generatePath({ ...process, normals: normals.map(z => -z) });
+            options.forEach(option => {
+                const intrinsic = S => Math.max(option.type === 'call' ? S - option.K : option.K - S, 0);
+                // Average the antithetic pair so the samples stay independent
+                const payoff = 0.5 * (intrinsic(up[option.step]) + intrinsic(down[option.step]));
+                option.sum += payoff;
+                option.sumSquares += payoff * payoff;
+            });
+        }
+
+        const points = options.map(({ K, T, type, sum, sumSquares }) => {
+            const discount = Math.exp(-r * T);
+            const mean = sum / pairs;
+            const variance = Math.max(sumSquares / pairs - mean * mean, 0) * pairs / (pairs - 1);
+            const price = discount * mean;
+            const standardError = discount * Math.sqrt(variance / pairs);
+            const surfaceVolatility = surface.getVolatility(K, T);
+            const implied = BlackScholes.impliedVolatility({ price, S: S0, K, r, T, q, type });
+            const vega = BlackScholes.calculate({ S: S0, K, r, v: surfaceVolatility, T, q, type }).vega * 100;
+
+            return {
+                K,
+                T,
+                type,
+                price,
+                standardError,
+                surfaceVolatility,
+                modelVolatility: implied.volatility,
+                error: implied.volatility - surfaceVolatility,
+                volatilityStandardError: vega > 0 ? standardError / vega : Infinity
+            };
+        });
+
+        const errors = points.map(point => point.error);
+        return {
+            points,
+            rmse: Math.sqrt(errors.reduce((sum, e) => sum + (Number.isFinite(e) ? e * e : Infinity), 0) / errors.length),
+            maxError: Math.max(...errors.map(Math.abs)),
+            calibrated: points.every(point => Math.abs(point.error) <= tolerance + 3 * point.volatilityStandardError)
         };
     }
 
+    /**
+     * Price an option with randomized quasi-Monte Carlo
+     * Each replicate is an independently scrambled Sobol sequence mapped to
+     * normals by the inverse CDF and assembled into paths by a Brownian bridge,
+     * so the error estimate comes from the spread of the replicate means.
+     * @param {Object} params - Option and simulation parameters (as for priceOption)
+     * @returns {Object} Option price, confidence interval and variance reduction factor
+     */
+    static priceOptionQuasiRandom(params) {
+        const { r, paths, steps, replicates = 16 } = params;
+        const rng = this.createRng(params);
+        const pointsPerReplicate = Math.max(2, Math.ceil(paths / replicates));
+
+        const allPayoffs = [];
+        const replicateMeans = [];
+        for (let rep = 0; rep < replicates; rep++) {
+            const simulationPaths = this.quasiRandomShocks(steps, pointsPerReplicate, rng)
+                .map(normals => this.generatePath({ ...params, normals, rng, mu: r }));
+            const payoffs = this.discountedPayoffs(simulationPaths, params);
+            replicateMeans.push(this.sampleStatistics(payoffs).mean);
+            allPayoffs.push(...payoffs);
+        }
+
+        const replicated = this.sampleStatistics(replicateMeans);
+        const naiveVariance = this.sampleStatistics(allPayoffs).variance;
+        const standardError = Math.sqrt(replicated.variance / replicates);
+        const variance = standardError * standardError * allPayoffs.length;
+
+        return {
+            price: replicated.mean,
+            confidenceInterval: {
+                lower: replicated.mean - 1.96 * standardError,
+                upper: replicated.mean + 1.96 * standardError
+            },
+            standardError,
+            varianceReduction: 'sobol',
+            varianceReductionFactor: variance > 0 ? naiveVariance / variance : Infinity,
+            analyticPrice: Payoffs.analyticPrice(params.payoff, params)
+        };
+    }
+
+    /**
+     * Draw path shocks from a scrambled Sobol sequence through a Brownian bridge
+     * The leading Sobol coordinates fix the terminal value and the coarse
+     * midpoints, which keeps the effective dimension low for long paths.
+     * @param {number} steps - Number of time steps (Sobol dimensions, at most 1024)
+     * @param {number} count - Number of paths
+     * @param {Object} rng - Random source for the scrambling
+     * @returns {Array<Array<number>>} Standard normal increments per path
+     */
+    static quasiRandomShocks(steps, count, rng) {
+        const sobol = new SobolSequence(steps, { rng });
+        const plan = this.brownianBridgePlan(steps);
+        
+        return Array.from({ length: count }, () => {
+            const z = sobol.next().map(u => BlackScholes.inverseNormalCDF(u));
+            return this.brownianBridgeIncrements(plan, z);
+        });
+    }
+
+    /**
+     * Construction order of a Brownian bridge on a unit-spaced grid
+     * The terminal point comes first, then midpoints breadth-first.
+     * @param {number} steps - Number of time steps
+     * @returns {Array<Object>} Bridge construction steps
+     */
+    static brownianBridgePlan(steps) {
+        if (!this.bridgeCache) this.bridgeCache = new Map();
+        if (this.bridgeCache.has(steps)) return this.bridgeCache.get(steps);
+
+        const plan = [{ index: steps, left: 0, right: null, leftWeight: 0, rightWeight: 0, sd: Math.sqrt(steps) }];
+        const queue = [[0, steps]];
+        while (queue.length) {
+            const [left, right] = queue.shift();
+            if (right - left < 2) continue;
+            const mid = Math.floor((left + right) / 2);
+            plan.push({
+                index: mid,
+                left,
+                right,
+                leftWeight: (right - mid) / (right - left),
+                rightWeight: (mid - left) / (right - left),
+                sd: Math.sqrt((mid - left) * (right - mid) / (right - left))
+            });
+            queue.push([left, mid], [mid, right]);
+        }
+
+        this.bridgeCache.set(steps, plan);
+        return plan;
+    }
+
+    /**
+     * Build a Brownian path from a bridge plan and return its unit increments
+     * @param {Array<Object>} plan - Bridge construction steps
+     * @param {Array<number>} z - Standard normals, most important first
+     * @returns {Array<number>} Standard normal increments, one per time step
+     */
+    static brownianBridgeIncrements(plan, z) {
+        const steps = plan[0].index;
+        const w = Array(steps + 1).fill(0);
+        
+        plan.forEach((node, k) => {
+            const rightValue = node.right === null ? 0 : w[node.right];
+            w[node.index] = node.leftWeight * w[node.left] + node.rightWeight * rightValue + node.sd * z[k];
+        });
+        
+        return Array.from({ length: steps }, (_, i) => w[i + 1] - w[i]);
+    }
+
+    /**
+     * Discounted payoffs of each path
+     * @param {Array<Array<number>>} simulationPaths - Simulated price paths
+     * @param {Object} params - Option parameters (K, r, T, type and optional payoff)
+     * @returns {Array<number>} Discounted payoff per path
+     */
+    static discountedPayoffs(simulationPaths, params) {
+        const { r, T } = params;
+        const discount = Math.exp(-r * T);
+        const payoff = Payoffs.resolve(params.payoff, params);
+        
+        return simulationPaths.map(path => discount * payoff(path));
+    }
+
+    /**
+     * Draw the standard normal shocks that drive each path
+     * Antithetic sampling pairs every draw with its negation, moment matching
+     * standardizes each time step across paths, and importance sampling shifts
+     * the mean of every shock.
+     * @param {Object} params - Simulation parameters including rng
+     * @param {string} technique - Variance reduction technique
+     * @returns {Array<Array<number>>} Normals per path (paths x steps)
+     */
+    static generateShocks(params, technique) {
+        const { paths, steps, rng } = params;
+        const draw = () => Array.from({ length: steps }, () => this.boxMuller(rng));
+
+        switch (technique) {
+            case 'antithetic': {
+                // Rounded up to an even number of paths
+                const shocks = [];
+                for (let i = 0; i < Math.ceil(paths / 2); i++) {
+                    const normals = draw();
+                    shocks.push(normals, normals.map(z => -z));
+                }
+                return shocks;
+            }
+            case 'moment-matching': {
+                // Matched within independent batches so the error can still be estimated
+                const shocks = Array.from({ length: paths }, draw);
+                this.batchRanges(paths, params.batches).forEach(([from, to]) => {
+                    const batch = shocks.slice(from, to);
+                    for (let step = 0; step < steps; step++) {
+                        const { mean, variance } = this.sampleStatistics(batch.map(normals => normals[step]));
+                        const sd = Math.sqrt(variance) || 1;
+                        batch.forEach(normals => {
+                            normals[step] = (normals[step] - mean) / sd;
+                        });
+                    }
+                });
+                return shocks;
+            }
+            case 'importance-sampling': {
+                const shift = this.importanceShift(params);
+                return Array.from({ length: paths }, () => draw().map(z => z + shift));
+            }
+            case 'none':
+            case 'control-variate':
+                return Array.from({ length: paths }, draw);
+            default:
+                throw new Error(`Unknown variance reduction technique: ${technique}`);
+        }
+    }
+
+    /**
+     * Combine discounted payoffs into an estimate for the chosen technique
+     * @param {string} technique - Variance reduction technique
+     * @param {Array<number>} payoffs - Discounted payoff per path
+     * @param {Array<Array<number>>} shocks - Normals that drove each path
+     * @param {Object} params - Option and simulation parameters
+     * @returns {Object} Price, per-path variance of the estimator and of the naive estimator
+     */
+    static applyVarianceReduction(technique, payoffs, shocks, params) {
+        const plain = this.sampleStatistics(payoffs);
+
+        switch (technique) {
+            case 'antithetic': {
+                // Each antithetic pair is one independent sample worth two paths
+                const pairs = [];
+                for (let i = 0; i < payoffs.length; i += 2) {
+                    pairs.push(0.5 * (payoffs[i] + payoffs[i + 1]));
+                }
+                const paired = this.sampleStatistics(pairs);
+                return { price: paired.mean, variance: 2 * paired.variance, naiveVariance: plain.variance };
+            }
+            case 'control-variate': {
+                // Control: the vanilla payoff of a pure GBM path driven by the same shocks,
+                // whose expectation is the Black-Scholes price
+                const { S0, K, r, sigma, T, steps, type, q = 0 } = params;
+                const discount = Math.exp(-r * T);
+                const isCall = type.toLowerCase() === 'call';
+                const drift = (r - q - 0.5 * sigma * sigma) * T;
+                const controls = shocks.map(normals => {
+                    const terminal = S0 * Math.exp(drift + sigma * Math.sqrt(T / steps) * normals.reduce((a, b) => a + b, 0));
+                    return discount * Math.max(0, isCall ? terminal - K : K - terminal);
+                });
+                const expected = BlackScholes.calculate({ S: S0, K, r, v: sigma, T, q, type }).price;
+
+                const control = this.sampleStatistics(controls);
+                let covariance = 0;
+                for (let i = 0; i < payoffs.length; i++) {
+                    covariance += (payoffs[i] - plain.mean) * (controls[i] - control.mean);
+                }
+                covariance /= payoffs.length - 1;
+                const beta = control.variance > 0 ? covariance / control.variance : 0;
+
+                const adjusted = payoffs.map((payoff, i) => payoff - beta * (controls[i] - expected));
+                const result = this.sampleStatistics(adjusted);
+                return { price: result.mean, variance: result.variance, naiveVariance: plain.variance };
+            }
+            case 'moment-matching': {
+                // Batch means are independent; scale their variance back to one path
+                const batchMeans = this.batchRanges(payoffs.length, params.batches)
+                    .map(([from, to]) => this.sampleStatistics(payoffs.slice(from, to)).mean);
+                const batched = this.sampleStatistics(batchMeans);
+                return {
+                    price: plain.mean,
+                    variance: batched.variance * payoffs.length / batchMeans.length,
+                    naiveVariance: plain.variance
+                };
+            }
+            case 'importance-sampling': {
+                // Reweight by the likelihood ratio of the unshifted to the shifted normals
+                const shift = this.importanceShift(params);
+                const weights = shocks.map(normals => {
+                    const sum = normals.reduce((a, b) => a + b, 0);
+                    return Math.exp(-shift * sum + 0.5 * normals.length * shift * shift);
+                });
+                const weighted = payoffs.map((payoff, i) => payoff * weights[i]);
+                const result = this.sampleStatistics(weighted);
+
+                // Naive variance under the original measure: E[Y^2] = E_shifted[Y^2 w]
+                const secondMoment = payoffs.reduce((sum, payoff, i) => sum + payoff * payoff * weights[i], 0)
+                    / payoffs.length;
+                const naiveVariance = Math.max(0, secondMoment - result.mean * result.mean);
+                return { price: result.mean, variance: result.variance, naiveVariance };
+            }
+            default:
+                return { price: plain.mean, variance: plain.variance, naiveVariance: plain.variance };
+        }
+    }
+
+    /**
+     * Split a number of paths into contiguous batches of (nearly) equal size
+     * @param {number} paths - Number of paths
+     * @param {number} [batches=20] - Number of batches
+     * @returns {Array<Array<number>>} [from, to) index ranges
+     */
+    static batchRanges(paths, batches = 20) {
+        const count = Math.max(2, Math.min(batches, Math.floor(paths / 2)));
+        return Array.from({ length: count }, (_, b) => [
+            Math.floor(b * paths / count),
+            Math.floor((b + 1) * paths / count)
+        ]);
+    }
+
+    /**
+     * Per-step drift shift of the normals that centers the terminal price on the strike
+     * @param {Object} params - Option and simulation parameters
+     * @returns {number} Shift applied to every standard normal shock
+     */
+    static importanceShift(params) {
+        if (params.importanceShift !== undefined) return params.importanceShift;
+
+        const { S0, K, r, sigma, T, steps, q = 0 } = params;
+        const center = (Math.log(K / S0) - (r - q - 0.5 * sigma * sigma) * T) / (sigma * Math.sqrt(T));
+        return center / Math.sqrt(steps);
+    }
+
+    /**
+     * Sample mean and unbiased variance
+     * @param {Array<number>} values - Samples
+     * @returns {Object} Mean and variance
+     */
+    static sampleStatistics(values) {
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const variance = values.reduce((sum, value) => {
+            return sum + Math.pow(value - mean, 2);
+        }, 0) / (values.length - 1);
+        
+        return { mean, variance };
+    }
+
+    /**
+     * Price an American option using the Longstaff-Schwartz least-squares method
+     * Continuation values are regressed on basis functions of the moneyness S/K
+     * over in-the-money paths, stepping backwards from expiry.
+     * @param {Object} params - Option and simulation parameters (as for priceOption)
+     * @param {string|Array<Function>} [params.basis='laguerre'] - Basis family ('laguerre',
+     *   'power' or 'hermite') or an array of functions of the moneyness S/K
+     * @param {number} [params.basisDegree=3] - Highest polynomial degree of the basis family
+     * @returns {Object} Option price, confidence interval, standard error and exercise boundary
+     */
+    static priceAmericanOption(params) {
+        const { K, r, T, paths, steps, type, basis = 'laguerre', basisDegree = 3 } = params;
+        const isCall = type.toLowerCase() === 'call';
+        const dt = T / steps;
+        const stepDiscount = Math.exp(-r * dt);
+        const basisFunctions = Array.isArray(basis) ? basis : this.basisFunctions(basis, basisDegree);
+        const exercise = price => Math.max(0, isCall ? price - K : K - price);
+
+        const simulationPaths = this.generatePaths({
+            ...params,
+            mu: r // Use risk-free rate as drift for risk-neutral pricing
+        });
+
+        // Cash flow of each path, discounted back to the current step of the induction
+        const cashFlows = simulationPaths.map(path => exercise(path[steps]));
+        const exerciseBoundary = [{ time: T, price: K }];
+
+        for (let step = steps - 1; step >= 1; step--) {
+            for (let p = 0; p < paths; p++) {
+                cashFlows[p] *= stepDiscount;
+            }
+
+            const inTheMoney = [];
+            for (let p = 0; p < paths; p++) {
+                if (exercise(simulationPaths[p][step]) > 0) inTheMoney.push(p);
+            }
+
+            // Too few observations to regress on: holding is assumed optimal
+            if (inTheMoney.length <= basisFunctions.length) {
+                exerciseBoundary.unshift({ time: step * dt, price: null });
+                continue;
+            }
+
+            const design = inTheMoney.map(p => {
+                const moneyness = simulationPaths[p][step] / K;
+                return basisFunctions.map(fn => fn(moneyness));
+            });
+            const coefficients = LinearAlgebra.leastSquares(design, inTheMoney.map(p => cashFlows[p]));
+
+            // Exercise where the immediate payoff beats the fitted continuation value
+            let boundary = null;
+            inTheMoney.forEach((p, i) => {
+                const spot = simulationPaths[p][step];
+                const immediate = exercise(spot);
+                const continuation = design[i].reduce((sum, x, j) => sum + x * coefficients[j], 0);
+                if (immediate > continuation) {
+                    cashFlows[p] = immediate;
+                    if (boundary === null || (isCall ? spot < boundary : spot > boundary)) {
+                        boundary = spot;
+                    }
+                }
+            });
+            exerciseBoundary.unshift({ time: step * dt, price: boundary });
+        }
+
+        // Discount the first step back to today
+        const discounted = cashFlows.map(cashFlow => cashFlow * stepDiscount);
+        const meanValue = discounted.reduce((sum, value) => sum + value, 0) / paths;
+        const variance = discounted.reduce((sum, value) => {
+            return sum + Math.pow(value - meanValue, 2);
+        }, 0) / (paths - 1);
+        const standardError = Math.sqrt(variance / paths);
+
+        // Exercising immediately is always an alternative to holding
+        const price = Math.max(meanValue, exercise(simulationPaths[0][0]));
+
+        return {
+            price,
+            confidenceInterval: {
+                lower: price - 1.96 * standardError,
+                upper: price + 1.96 * standardError
+            },
+            standardError,
+            exerciseBoundary
+        };
+    }
+
+    /**
+     * Build a family of regression basis functions for Longstaff-Schwartz
+     * @param {string} family - 'laguerre' (weighted Laguerre), 'power' or 'hermite'
+     * @param {number} degree - Highest polynomial degree
+     * @returns {Array<Function>} Basis functions, including a constant term
+     */
+    static basisFunctions(family, degree) {
+        const functions = [() => 1];
+
+        for (let n = 1; n <= degree; n++) {
+            switch (family.toLowerCase()) {
+                case 'laguerre':
+                    // Weighted Laguerre polynomials L_0 .. L_(degree-1)
+                    functions.push(x => Math.exp(-x / 2) * this.laguerre(n - 1, x));
+                    break;
+                case 'power':
+                    functions.push(x => Math.pow(x, n));
+                    break;
+                case 'hermite':
+                    functions.push(x => this.hermite(n, x));
+                    break;
+                default:
+                    throw new Error(`Unknown basis family: ${family}`);
+            }
+        }
+
+        return functions;
+    }
+
+    /**
+     * Evaluate the Laguerre polynomial L_n(x) by recurrence
+     * @param {number} n - Degree
+     * @param {number} x - Input value
+     * @returns {number} L_n(x)
+     */
+    static laguerre(n, x) {
+        let previous = 1;
+        let current = 1 - x;
+        if (n === 0) return previous;
+
+        for (let k = 1; k < n; k++) {
+            const next = ((2 * k + 1 - x) * current - k * previous) / (k + 1);
+            previous = current;
+            current = next;
+        }
+        return current;
+    }
+
+    /**
+     * Evaluate the probabilists' Hermite polynomial He_n(x) by recurrence
+     * @param {number} n - Degree
+     * @param {number} x - Input value
+     * @returns {number} He_n(x)
+     */
+    static hermite(n, x) {
+        let previous = 1;
+        let current = x;
+        if (n === 0) return previous;
+
+        for (let k = 1; k < n; k++) {
+            const next = x * current - k * previous;
+            previous = current;
+            current = next;
+        }
+        return current;
+    }
+
+    /**
+     * Resolve the random source for a simulation
+     * @param {Object} params - Simulation parameters
+     * @param {Object} [params.rng] - Random source exposing next() -> [0, 1)
+     * @param {number} [params.seed] - Seed for a new xoshiro128** generator
+     * @returns {Object} Random source
+     */
+    static createRng(params = {}) {
+        if (params.rng) return params.rng;
+        if (params.seed !== undefined && params.seed !== null) return new Xoshiro128(params.seed);
+        return { next: () => Math.random() };
+    }
+
     /**
      * Box-Muller transform for generating standard normal random numbers
+     * @param {Object} [rng] - Random source exposing next() -> [0, 1); defaults to Math.random
      * @returns {number} Standard normal random number
      */
-    static boxMuller() {
+    static boxMuller(rng = this.createRng()) {
         let u1, u2;
         do {
-            u1 = Math.random();
-            u2 = Math.random();
+            u1 = rng.next();
+            u2 = rng.next();
         } while (u1 <= Number.EPSILON); // Avoid log(0)
         
         const z0 = Math.sqrt(-2.0 * Math.log(u1)) * Math.cos(2.0 * Math.PI * u2);
@@ -122,32 +1055,48 @@ class MonteCarloEngine {
 
     /**
      * Calculate Value at Risk (VaR) from simulated paths
-     * @param {Array<Array<number>>} paths - Simulated price paths
+     * Multi-asset paths are valued as a portfolio with fixed initial weights.
+     * @param {Array<Array<number>>|Array<Array<Array<number>>>|Object} paths - Simulated price paths,
+     *   multi-asset paths (as from generateCorrelatedPaths), or simulation parameters to simulate
+     *   them: as for generatePaths, or for generateCorrelatedPaths when S0 is an array
      * @param {number} confidence - Confidence level (e.g., 0.95 for 95% VaR)
      * @param {number} initialValue - Initial portfolio value
+     * @param {Array<number>} [weights] - Portfolio weight of each asset; defaults to the simulation
+     *   parameters' weights, then to equal weights
      * @returns {Object} VaR and CVaR metrics
      */
-    static calculateRiskMetrics(paths, confidence, initialValue) {
+    static calculateRiskMetrics(paths, confidence, initialValue, weights) {
+        if (!Array.isArray(paths)) {
+            weights = weights || paths.weights;
+            paths = Array.isArray(paths.S0) ? this.generateCorrelatedPaths(paths) : this.generatePaths(paths);
+        }
+        
         // Calculate returns for each path
-        const returns = paths.map(path => {
+        const pathReturn = path => {
             const finalPrice = path[path.length - 1];
             return (finalPrice - path[0]) / path[0];
+        };
+        const returns = paths.map(path => {
+            if (!Array.isArray(path[0])) return pathReturn(path);
+            const assetWeights = weights || path.map(() => 1 / path.length);
+            return path.reduce((sum, assetPath, i) => sum + assetWeights[i] * pathReturn(assetPath), 0);
         });
         
         // Sort returns for percentile calculation
         returns.sort((a, b) => a - b);
         
-        // Calculate VaR
-        const varIndex = Math.floor(returns.length * (1 - confidence));
-        const var95 = -returns[varIndex] * initialValue;
+        // Calculate VaR from the interpolated (1 - confidence) quantile
+        const position = (returns.length - 1) * (1 - confidence);
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, returns.length - 1);
+        const cutoff = returns[lower] + (returns[upper] - returns[lower]) * (position - lower);
         
-        // Calculate CVaR (Expected Shortfall)
-        const cvar = -returns
-            .slice(0, varIndex)
-            .reduce((sum, ret) => sum + ret, 0) / varIndex * initialValue;
+        // Calculate CVaR (Expected Shortfall) over the returns at or below the cutoff, never empty
+        const tail = returns.filter(ret => ret <= cutoff);
+        const cvar = -tail.reduce((sum, ret) => sum + ret, 0) / tail.length * initialValue;
         
         return {
-            valueAtRisk: var95,
+            valueAtRisk: -cutoff * initialValue,
             conditionalVaR: cvar,
             worstReturn: returns[0],
             bestReturn: returns[returns.length - 1]
@@ -0,0 +1,222 @@
+/**
+ * Path-Dependent Payoffs
+ * Registry of payoff functions evaluated on simulated price paths, covering
+ * vanilla, Asian, barrier, lookback and digital options, multi-asset basket,
+ * spread and rainbow options (evaluated on one path per asset) plus user-defined payoffs
+ */
+
+import BlackScholes from './black-scholes.js';
+import HestonModel from './heston.js';
+
+// Broadie-Glasserman-Kou continuity correction constant: -zeta(1/2) / sqrt(2 * pi)
+const BGK_BETA = 0.5826;
+
+class Payoffs {
+    /**
+     * Register a payoff so it can be referenced by name
+     * @param {string} name - Payoff name
+     * @param {Function} payoff - Function (path, params) -> undiscounted payoff
+     */
+    static register(name, payoff) {
+        this.registry.set(name.toLowerCase(), payoff);
+    }
+
+    /**
+     * Resolve a payoff specification into a function of the path
+     * @param {string|Object|Function} [spec='vanilla'] - Registered name, { name, ...options } or a function
+     * @param {Object} params - Option and simulation parameters (K, type, sigma, T, steps, ...)
+     * @returns {Function} Function path -> undiscounted payoff
+     */
+    static resolve(spec = 'vanilla', params) {
+        if (typeof spec === 'function') return path => spec(path, params);
+
+        const { name, ...options } = typeof spec === 'string' ? { name: spec } : spec;
+        const payoff = this.registry.get(name.toLowerCase());
+        if (!payoff) throw new Error(`Unknown payoff: ${name}`);
+
+        // Spec options override the option parameters (e.g. a payoff-specific strike)
+        const merged = { ...params, ...options };
+        return path => payoff(path, merged);
+    }
+
+    /**
+     * Closed-form price of a payoff, where one exists under Black-Scholes dynamics
+     * (or, for vanilla payoffs under the Heston process, the semi-analytic Heston price)
+     * @param {string|Object|Function} [spec='vanilla'] - Payoff specification
+     * @param {Object} params - Option and simulation parameters (S0, K, r, sigma, T, steps, type, q, process)
+     * @returns {number|null} Analytic price, or null when no closed form applies
+     */
+    static analyticPrice(spec = 'vanilla', params) {
+        if (typeof spec === 'function') return null;
+        const { name, ...options } = typeof spec === 'string' ? { name: spec } : spec;
+        const merged = { ...params, ...options };
+        const { S0, K, r, sigma, T, steps, type, q = 0 } = merged;
+        const common = { S: S0, K, r, v: sigma, T, q, type };
+
+        // Closed forms assume no discrete dividends and, Heston vanillas aside, pure GBM
+        if (merged.dividends && merged.dividends.length) return null;
+        const process = (merged.process || 'gbm').toLowerCase();
+        if (process === 'heston') {
+            return name.toLowerCase() === 'vanilla'
+                ? HestonModel.price({ S: S0, K, r, T, q, type, ...merged.heston })
+                : null;
+        }
+        if (process !== 'gbm') return null;
+
+        switch (name.toLowerCase()) {
+            case 'vanilla':
+                return BlackScholes.calculate(common).price;
+            case 'asian':
+                return merged.averaging === 'geometric'
+                    ? BlackScholes.geometricAsianPrice({ ...common, fixings: steps })
+                    : null;
+            case 'barrier': {
+                // The simulation pays any rebate at expiry; the closed form pays a knock-out rebate at the hit
+                const { barrier, direction, knock, monitoring, rebate = 0 } = merged;
+                if (monitoring === 'discrete' || (knock !== 'in' && rebate !== 0)) return null;
+                return BlackScholes.barrierPrice({ ...common, H: barrier, direction, knock, rebate });
+            }
+            case 'digital':
+                return BlackScholes.digitalPrice({ ...common, cash: merged.cash });
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Vanilla payoff on the terminal price
+     * @param {Array<number>} path - Price path
+     * @param {Object} params - K and type
+     * @returns {number} Payoff
+     */
+    static vanilla(path, params) {
+        const { K, type } = params;
+        const finalPrice = path[path.length - 1];
+        return type.toLowerCase() === 'call' ? Math.max(0, finalPrice - K) : Math.max(0, K - finalPrice);
+    }
+
+    /**
+     * Fixed-strike Asian payoff on the average of the monitored prices (excluding S0)
+     * @param {Array<number>} path - Price path
+     * @param {Object} params - K, type and averaging ('arithmetic' or 'geometric')
+     * @returns {number} Payoff
+     */
+    static asian(path, params) {
+        const { K, type, averaging = 'arithmetic' } = params;
+        const fixings = path.slice(1);
+        const average = averaging === 'geometric'
+            ? Math.exp(fixings.reduce((sum, price) => sum + Math.log(price), 0) / fixings.length)
+            : fixings.reduce((sum, price) => sum + price, 0) / fixings.length;
+
+        return type.toLowerCase() === 'call' ? Math.max(0, average - K) : Math.max(0, K - average);
+    }
+
+    /**
+     * Knock-in or knock-out barrier payoff
+     * With monitoring 'continuous' (default) the barrier is shifted towards the
+     * spot by exp(0.5826 sigma sqrt(dt)) so that stepwise monitoring approximates
+     * a continuously monitored barrier (Broadie, Glasserman & Kou, 1997).
+     * @param {Array<number>} path - Price path
+     * @param {Object} params - K, type, barrier, direction ('up'/'down'), knock ('in'/'out'),
+     *   monitoring ('continuous'/'discrete'), rebate, sigma, T, steps
+     * @returns {number} Payoff
+     */
+    static barrier(path, params) {
+        const { barrier, direction = 'down', knock = 'out', monitoring = 'continuous', rebate = 0, sigma, T } = params;
+        const isUp = direction === 'up';
+        const steps = path.length - 1;
+        const shift = monitoring === 'discrete' ? 1 : Math.exp(BGK_BETA * sigma * Math.sqrt(T / steps));
+        const level = isUp ? barrier / shift : barrier * shift;
+
+        const crossed = path.some(price => (isUp ? price >= level : price <= level));
+        const active = knock === 'in' ? crossed : !crossed;
+
+        return active ? this.vanilla(path, params) : rebate;
+    }
+
+    /**
+     * Lookback payoff on the running extremum of the path (including S0)
+     * @param {Array<number>} path - Price path
+     * @param {Object} params - K, type and strike ('fixed' or 'floating')
+     * @returns {number} Payoff
+     */
+    static lookback(path, params) {
+        const { K, type, strike = 'floating' } = params;
+        const isCall = type.toLowerCase() === 'call';
+        const finalPrice = path[path.length - 1];
+        const maximum = Math.max(...path);
+        const minimum = Math.min(...path);
+
+        if (strike === 'fixed') {
+            return isCall ? Math.max(0, maximum - K) : Math.max(0, K - minimum);
+        }
+        return isCall ? finalPrice - minimum : maximum - finalPrice;
+    }
+
+    /**
+     * Cash-or-nothing digital payoff
+     * @param {Array<number>} path - Price path
+     * @param {Object} params - K, type and cash amount
+     * @returns {number} Payoff
+     */
+    static digital(path, params) {
+        const { K, type, cash = 1 } = params;
+        const finalPrice = path[path.length - 1];
+        const inTheMoney = type.toLowerCase() === 'call' ? finalPrice > K : finalPrice < K;
+        return inTheMoney ? cash : 0;
+    }
+
+    /**
+     * Basket payoff on the weighted sum of terminal prices
+     * @param {Array<Array<number>>} assetPaths - Price path of each asset
+     * @param {Object} params - K, type and weights (defaults to equal weights)
+     * @returns {number} Payoff
+     */
+    static basket(assetPaths, params) {
+        const { weights = assetPaths.map(() => 1 / assetPaths.length) } = params;
+        const basket = assetPaths.reduce((sum, path, i) => sum + weights[i] * path[path.length - 1], 0);
+        return this.vanilla([basket], params);
+    }
+
+    /**
+     * Spread payoff on the first asset's terminal price less the second's
+     * @param {Array<Array<number>>} assetPaths - Price path of each asset
+     * @param {Object} params - K and type
+     * @returns {number} Payoff
+     */
+    static spread(assetPaths, params) {
+        const [first, second] = assetPaths;
+        return this.vanilla([first[first.length - 1] - second[second.length - 1]], params);
+    }
+
+    /**
+     * Rainbow payoff on the best or worst terminal price
+     * @param {Array<Array<number>>} assetPaths - Price path of each asset
+     * @param {Object} params - K, type and extremum ('max' for best-of, 'min' for worst-of)
+     * @returns {number} Payoff
+     */
+    static rainbow(assetPaths, params) {
+        const { extremum = 'max' } = params;
+        const terminals = assetPaths.map(path => path[path.length - 1]);
+        const level = extremum === 'min' ? Math.min(...terminals) : Math.max(...terminals);
+        return this.vanilla([level], params);
+    }
+}
+
+Payoffs.registry = new Map();
+['vanilla', 'asian', 'barrier', 'lookback', 'digital', 'basket', 'spread', 'rainbow'].forEach(name => {
+    Payoffs.register(name, (path, params) => Payoffs[name](path, params));
+});
+
+// Example usage:
+/*
+Payoffs.register('capped-call', (path, params) => {
+    return Math.min(params.cap, Math.max(0, path[path.length - 1] - params.K));
+});
+const price = MonteCarloEngine.priceOption({
+    S0: 100, K: 100, r: 0.05, sigma: 0.2, T: 1, paths: 10000, steps: 252, type: 'call',
+    payoff: { name: 'capped-call', cap: 20 }
+});
+*/
+
+export default Payoffs;
\ No newline at end of file
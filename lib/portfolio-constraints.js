@@ -0,0 +1,275 @@
+/**
+ * Portfolio Constraints
+ * Compiles a declarative constraint specification into the linear constraints
+ * of a quadratic program and diagnoses infeasible specifications
+ */
+
+import QuadraticProgramming from './quadratic-programming.js';
+
+class PortfolioConstraints {
+    /**
+     * Compile the linear part of a constraint specification
+     * Turnover and gross exposure add auxiliary variables (absolute weight changes
+     * and absolute weights) after the n asset weights; cardinality and tracking-error
+     * limits are handled by PortfolioOptimizer.optimizePortfolio.
+     * @param {Object} constraints - Constraint specification
+     * @param {boolean} [constraints.sumToOne=true] - Weights sum to one
+     * @param {boolean} [constraints.nonNegative] - Long-only (lower bound of zero)
+     * @param {number|Array<number>} [constraints.lower] - Minimum weight, shared or per asset
+     * @param {number|Array<number>} [constraints.upper] - Maximum weight, shared or per asset
+     * @param {Array<Object>} [constraints.groups] - Group/sector limits as { name, assets, min, max },
+     *   where assets lists the member indices
+     * @param {Object} [constraints.turnover] - { current, max }: sum |w - current| <= max
+     * @param {Object} [constraints.leverage] - { max }: gross exposure sum |w| <= max
+     * @param {Object} context - Problem context
+     * @param {Array<number>} context.returns - Expected returns
+     * @param {number} [context.targetReturn] - Required portfolio return
+     * @param {Set<number>} [context.excluded] - Assets held at zero weight
+     * @returns {Object} Equality constraints (Aeq, beq), inequalities (G, h), bounds (lower, upper)
+     *   and the total number of variables
+     */
+    static compile(constraints, context) {
+        const { returns, targetReturn, excluded = new Set() } = context;
+        const { sumToOne = true, groups = [], turnover, leverage } = constraints;
+        const n = returns.length;
+
+        let size = n;
+        const turnoverOffset = turnover ? size : -1;
+        if (turnover) size += n;
+        const leverageOffset = leverage ? size : -1;
+        if (leverage) size += n;
+
+        const row = entries => {
+            const values = Array(size).fill(0);
+            entries.forEach(([index, value]) => {
+                values[index] += value;
+            });
+            return values;
+        };
+        const assets = Array.from({ length: n }, (_, i) => i);
+        const Aeq = [];
+        const beq = [];
+        const G = [];
+        const h = [];
+
+        if (sumToOne) {
+            Aeq.push(row(assets.map(i => [i, 1])));
+            beq.push(1);
+        }
+        if (targetReturn !== undefined) {
+            Aeq.push(row(assets.map(i => [i, returns[i]])));
+            beq.push(targetReturn);
+        }
+        excluded.forEach(i => {
+            Aeq.push(row([[i, 1]]));
+            beq.push(0);
+        });
+
+        groups.forEach(({ assets: members, min, max }) => {
+            if (Number.isFinite(max)) {
+                G.push(row(members.map(i => [i, 1])));
+                h.push(max);
+            }
+            if (Number.isFinite(min)) {
+                G.push(row(members.map(i => [i, -1])));
+                h.push(-min);
+            }
+        });
+
+        if (turnover) {
+            // t_i >= |w_i - current_i|, sum t_i <= max
+            assets.forEach(i => {
+                G.push(row([[i, 1], [turnoverOffset + i, -1]]));
+                h.push(turnover.current[i]);
+                G.push(row([[i, -1], [turnoverOffset + i, -1]]));
+                h.push(-turnover.current[i]);
+            });
+            G.push(row(assets.map(i => [turnoverOffset + i, 1])));
+            h.push(turnover.max);
+        }
+
+        if (leverage) {
+            // u_i >= |w_i|, sum u_i <= max
+            assets.forEach(i => {
+                G.push(row([[i, 1], [leverageOffset + i, -1]]));
+                h.push(0);
+                G.push(row([[i, -1], [leverageOffset + i, -1]]));
+                h.push(0);
+            });
+            G.push(row(assets.map(i => [leverageOffset + i, 1])));
+            h.push(leverage.max);
+        }
+
+        const bounds = this.assetBounds(constraints, n);
+        const lower = [...bounds.lower, ...Array(size - n).fill(0)];
+        const upper = [...bounds.upper, ...Array(size - n).fill(Infinity)];
+
+        return { Aeq, beq, G, h, lower, upper, size };
+    }
+
+    /**
+     * Per-asset weight bounds of a constraint specification
+     * @param {Object} constraints - Constraint specification
+     * @param {number} n - Number of assets
+     * @returns {Object} Lower and upper bound arrays
+     */
+    static assetBounds(constraints, n) {
+        const { nonNegative = false } = constraints;
+        const at = (bound, i, fallback) => {
+            if (bound === undefined) return fallback;
+            return Array.isArray(bound) ? bound[i] : bound;
+        };
+
+        return {
+            lower: Array.from({ length: n }, (_, i) => at(constraints.lower, i, nonNegative ? 0 : -Infinity)),
+            upper: Array.from({ length: n }, (_, i) => at(constraints.upper, i, Infinity))
+        };
+    }
+
+    /**
+     * Check whether the linear constraints admit a solution
+     * @param {Object} constraints - Constraint specification
+     * @param {Object} context - Problem context (as for compile)
+     * @returns {boolean} True when feasible
+     */
+    static isFeasible(constraints, context) {
+        const compiled = this.compile(constraints, context);
+        const problem = { ...compiled, c: Array(compiled.size).fill(0) };
+        const { G, h } = QuadraticProgramming.inequalities(problem);
+        return QuadraticProgramming.isFeasible(problem, G, h, 1e-9);
+    }
+
+    /**
+     * Explain why a constraint specification is infeasible
+     * Direct conflicts (bounds, group limits, cardinality) are reported first; then
+     * each constraint family is dropped in turn to find the ones in conflict. Assets
+     * excluded by the cardinality heuristic count as the cardinality family.
+     * @param {Object} constraints - Constraint specification
+     * @param {Object} context - Problem context (as for compile)
+     * @returns {Array<Object>} Diagnostics as { constraint, message }
+     */
+    static diagnose(constraints, context) {
+        const { returns, targetReturn, excluded = new Set() } = context;
+        const { sumToOne = true, groups = [], turnover, leverage, cardinality } = constraints;
+        const n = returns.length;
+        const { lower, upper } = this.assetBounds(constraints, n);
+        const diagnostics = [];
+        const report = (constraint, message) => diagnostics.push({ constraint, message });
+        const sum = values => values.reduce((a, b) => a + b, 0);
+        const format = value => value.toFixed(4);
+
+        lower.forEach((lo, i) => {
+            if (lo > upper[i]) report('bounds', `Asset ${i}: minimum weight ${format(lo)} exceeds maximum ${format(upper[i])}`);
+        });
+        if (sumToOne && sum(lower) > 1 + 1e-9) {
+            report('bounds', `Minimum weights sum to ${format(sum(lower))}, above the fully invested total of 1`);
+        }
+        if (sumToOne && sum(upper) < 1 - 1e-9) {
+            report('bounds', `Maximum weights sum to ${format(sum(upper))}, below the fully invested total of 1`);
+        }
+
+        groups.forEach(({ name, assets, min = -Infinity, max = Infinity }, g) => {
+            const label = name || `Group ${g}`;
+            const memberLower = sum(assets.map(i => lower[i]));
+            const memberUpper = sum(assets.map(i => upper[i]));
+            if (min > max) report('groups', `${label}: minimum ${format(min)} exceeds maximum ${format(max)}`);
+            if (min > memberUpper) report('groups', `${label}: minimum ${format(min)} exceeds the members' combined maximum weight ${format(memberUpper)}`);
+            if (max < memberLower) report('groups', `${label}: maximum ${format(max)} is below the members' combined minimum weight ${format(memberLower)}`);
+        });
+
+        if (turnover && turnover.max < 0) report('turnover', 'Turnover limit must be non-negative');
+        if (leverage && sumToOne && leverage.max < 1) {
+            report('leverage', `Gross exposure cap ${format(leverage.max)} cannot hold a fully invested portfolio`);
+        }
+
+        if (cardinality) {
+            const required = lower.filter(lo => lo > 0).length;
+            if (required > cardinality.max) {
+                report('cardinality', `${required} assets have positive minimum weights, more than the ${cardinality.max} positions allowed`);
+            }
+            const largest = [...upper].sort((a, b) => b - a).slice(0, cardinality.max);
+            if (sumToOne && sum(largest) < 1 - 1e-9) {
+                report('cardinality', `The ${cardinality.max} largest maximum weights sum to ${format(sum(largest))}, below 1`);
+            }
+        }
+
+        if (diagnostics.length === 0 && targetReturn !== undefined && sumToOne && lower.every(Number.isFinite)) {
+            const best = this.extremeReturn(returns, lower, upper, 1);
+            const worst = this.extremeReturn(returns, lower, upper, -1);
+            if (targetReturn > best + 1e-12 || targetReturn < worst - 1e-12) {
+                report('targetReturn', `Target return ${format(targetReturn)} is outside the range ${format(worst)} to ${format(best)} allowed by the weight bounds`);
+            }
+        }
+
+        if (diagnostics.length === 0) {
+            // Drop one family at a time: the families whose removal restores feasibility are in conflict
+            const families = [
+                ['cardinality', constraints, { ...context, excluded: new Set() }],
+                ['bounds', { ...constraints, nonNegative: false, lower: undefined, upper: undefined }, context],
+                ['groups', { ...constraints, groups: [] }, context],
+                ['turnover', { ...constraints, turnover: undefined }, context],
+                ['leverage', { ...constraints, leverage: undefined }, context],
+                ['targetReturn', constraints, { ...context, targetReturn: undefined }]
+            ].filter(([family]) => {
+                if (family === 'cardinality') return excluded.size > 0;
+                if (family === 'bounds') return constraints.nonNegative || constraints.lower !== undefined || constraints.upper !== undefined;
+                if (family === 'groups') return groups.length > 0;
+                if (family === 'targetReturn') return targetReturn !== undefined;
+                return Boolean(constraints[family]);
+            });
+
+            families.forEach(([family, relaxed, relaxedContext]) => {
+                if (this.isFeasible(relaxed, relaxedContext)) {
+                    report(family, `Removing the ${family} constraint makes the problem feasible; it conflicts with the remaining constraints`);
+                }
+            });
+        }
+
+        if (diagnostics.length === 0) {
+            report('constraints', 'The constraints are jointly infeasible; no single constraint family is responsible');
+        }
+        return diagnostics;
+    }
+
+    /**
+     * Highest (direction 1) or lowest (direction -1) return of a fully invested portfolio within bounds
+     * Greedy: start from the lower bounds and fill the best (or worst) assets up to their maximum.
+     * @param {Array<number>} returns - Expected returns
+     * @param {Array<number>} lower - Finite lower bounds
+     * @param {Array<number>} upper - Upper bounds (may be Infinity)
+     * @param {number} direction - 1 for the maximum, -1 for the minimum
+     * @returns {number} Extreme attainable return
+     */
+    static extremeReturn(returns, lower, upper, direction) {
+        const order = returns.map((_, i) => i).sort((a, b) => direction * (returns[b] - returns[a]));
+        let remaining = 1 - lower.reduce((a, b) => a + b, 0);
+        let total = lower.reduce((sum, lo, i) => sum + lo * returns[i], 0);
+
+        order.forEach(i => {
+            const add = Math.max(0, Math.min(upper[i] - lower[i], remaining));
+            total += add * returns[i];
+            remaining -= add;
+        });
+        return total;
+    }
+}
+
+// Example usage:
+/*
+const result = PortfolioOptimizer.optimizePortfolio({
+    returns: [0.1, 0.15, 0.12, 0.09],
+    covariance: [...],
+    targetReturn: 0.12,
+    constraints: {
+        lower: 0,
+        upper: 0.4,
+        groups: [{ name: 'Tech', assets: [1, 2], max: 0.5 }],
+        turnover: { current: [0.25, 0.25, 0.25, 0.25], max: 0.3 },
+        cardinality: { max: 3 },
+        trackingError: { benchmark: [0.25, 0.25, 0.25, 0.25], max: 0.02 }
+    }
+});
+console.log(result.weights, result.status, result.diagnostics);
+*/
+
+export default PortfolioConstraints;
\ No newline at end of file
@@ -4,6 +4,9 @@
  * and efficient frontier calculation
  */
 
+import PortfolioConstraints from './portfolio-constraints.js';
+import QuadraticProgramming from './quadratic-programming.js';
+
 class PortfolioOptimizer {
     /**
      * Calculate portfolio return and risk metrics
@@ -112,21 +115,26 @@ class PortfolioOptimizer {
 
     /**
      * Generate efficient frontier points
+     * Target returns run from the global minimum-variance portfolio up to the
+     * highest return attainable under the constraints.
      * @param {Object} params - Optimization parameters
      * @param {Array<number>} params.returns - Expected returns
      * @param {Array<Array<number>>} params.covariance - Covariance matrix
      * @param {number} params.riskFreeRate - Risk-free rate
      * @param {number} params.points - Number of points to generate
+     * @param {Object} [params.constraints] - Weight constraints (as for optimizePortfolio);
+     *   defaults to fully invested and long-only
      * @returns {Array<Object>} Efficient frontier points
      */
     static generateEfficientFrontier(params) {
         const { returns, covariance, riskFreeRate, points } = params;
-        const n = returns.length;
+        const constraints = params.constraints || { sumToOne: true, nonNegative: true };
         
-        // Find minimum and maximum returns
-        const minReturn = Math.min(...returns);
-        const maxReturn = Math.max(...returns);
-        const returnStep = (maxReturn - minReturn) / (points - 1);
+        // The frontier starts at the minimum-variance portfolio; lower targets are inefficient
+        const minimumVariance = this.optimizePortfolio({ returns, covariance, constraints });
+        const minReturn = this.calculatePortfolioMetrics({ weights: minimumVariance.weights, returns, covariance }).return;
+        const maxReturn = this.maximumReturn(returns, constraints);
+        const returnStep = points > 1 ? (maxReturn - minReturn) / (points - 1) : 0;
         
         const frontier = [];
         
@@ -134,15 +142,13 @@ class PortfolioOptimizer {
             const targetReturn = minReturn + i * returnStep;
             
             // Find optimal weights for this target return
-            const weights = this.optimizePortfolio({
+            const { weights, status } = this.optimizePortfolio({
                 returns,
                 covariance,
                 targetReturn,
-                constraints: {
-                    sumToOne: true,
-                    nonNegative: true
-                }
+                constraints
             });
+            if (status === 'infeasible') continue;
             
             const metrics = this.calculatePortfolioMetrics({
                 weights,
@@ -154,7 +160,8 @@ class PortfolioOptimizer {
                 weights,
                 return: metrics.return,
                 risk: metrics.risk,
-                sharpe: this.calculateSharpeRatio(metrics.return, metrics.risk, riskFreeRate)
+                sharpe: this.calculateSharpeRatio(metrics.return, metrics.risk, riskFreeRate),
+                status
             });
         }
         
@@ -163,68 +170,302 @@ class PortfolioOptimizer {
 
     /**
      * Optimize portfolio weights for target return
-     * Uses a simple gradient descent approach
+     * Solves min w^T Sigma w subject to the return target and weight constraints
+     * with an interior-point quadratic programming solver.
      * @param {Object} params - Optimization parameters
-     * @returns {Array<number>} Optimal weights
+     * @param {Array<number>} params.returns - Expected returns
+     * @param {Array<Array<number>>} params.covariance - Covariance matrix
+     * @param {number} [params.targetReturn] - Required portfolio return; omit for the minimum-variance portfolio
+     * @param {Object} [params.constraints] - Constraint specification
+     * @param {boolean} [params.constraints.sumToOne=true] - Weights sum to one
+     * @param {boolean} [params.constraints.nonNegative] - Long-only (lower bound of zero)
+     * @param {number|Array<number>} [params.constraints.lower] - Lower bound on each weight (e.g. -0.5 for shorts)
+     * @param {number|Array<number>} [params.constraints.upper] - Upper bound on each weight
+     * @param {Array<Object>} [params.constraints.groups] - Group/sector limits as { name, assets, min, max }
+     * @param {Object} [params.constraints.turnover] - { current, max }: sum |w - current| <= max
+     * @param {Object} [params.constraints.leverage] - { max }: gross exposure sum |w| <= max
+     * @param {Object} [params.constraints.cardinality] - { max }: at most max non-zero positions (heuristic:
+     *   the largest positions of the relaxed solution are kept and the rest fixed at zero)
+     * @param {Object} [params.constraints.trackingError] - { benchmark, max }: annualized tracking error
+     *   sqrt((w - b)^T Sigma (w - b)) <= max
+     * @returns {Object} Weights, solver status ('optimal', 'infeasible' or 'max_iterations'),
+     *   iterations, KKT residuals and, for infeasible problems, diagnostics as { constraint, message }
      */
     static optimizePortfolio(params) {
-        const { returns, covariance, targetReturn, constraints } = params;
+        const { returns, covariance, targetReturn, constraints = {} } = params;
+        const context = { returns, covariance, targetReturn };
+        let excluded = new Set();
+        let result = this.solveConstrained(context, constraints, excluded);
+        
+        if (constraints.cardinality && result.status === 'optimal') {
+            const held = result.weights
+                .map((weight, i) => i)
+                .filter(i => Math.abs(result.weights[i]) > 1e-8)
+                .sort((a, b) => Math.abs(result.weights[b]) - Math.abs(result.weights[a]));
+            if (held.length > constraints.cardinality.max) {
+                const kept = new Set(held.slice(0, constraints.cardinality.max));
+                excluded = new Set(returns.map((_, i) => i).filter(i => !kept.has(i)));
+                result = this.solveConstrained(context, constraints, excluded);
+            }
+        }
+        
+        if (result.status === 'infeasible' && result.diagnostics.length === 0) {
+            result.diagnostics = PortfolioConstraints.diagnose(constraints, { ...context, excluded });
+        }
+        return result;
+    }
+
+    /**
+     * Minimize variance under the linear constraints, tightening towards the
+     * benchmark until any tracking-error limit holds
+     * The objective w^T Sigma w - 2 theta b^T Sigma w interpolates between minimum
+     * variance (theta = 0) and minimum tracking error (theta = 1); since tracking
+     * error falls as theta rises, bisection finds the smallest theta meeting the limit,
+     * which solves the quadratically constrained problem.
+     * @param {Object} context - Returns, covariance and target return
+     * @param {Object} constraints - Constraint specification
+     * @param {Set<number>} excluded - Assets held at zero weight
+     * @returns {Object} Weights, status, iterations, KKT residuals and diagnostics
+     */
+    static solveConstrained(context, constraints, excluded) {
+        const { returns, covariance } = context;
+        const { trackingError } = constraints;
         const n = returns.length;
+        const compiled = PortfolioConstraints.compile(constraints, { ...context, excluded });
+        const { size } = compiled;
+        const Q = Array.from({ length: size }, (_, i) => Array.from({ length: size }, (_, j) => {
+            return i < n && j < n ? 2 * covariance[i][j] : 0;
+        }));
         
-        // Initialize with equal weights
-        let weights = Array(n).fill(1/n);
-        const learningRate = 0.01;
-        const iterations = 1000;
+        const solveAt = theta => {
+            const tilt = trackingError
+                ? covariance.map(row => -2 * theta * row.reduce((sum, value, j) => sum + value * trackingError.benchmark[j], 0))
+                : Array(n).fill(0);
+            const { x, status, iterations, kkt } = QuadraticProgramming.solve({
+                ...compiled,
+                Q,
+                c: [...tilt, ...Array(size - n).fill(0)]
+            });
+            return { weights: x.slice(0, n), status, iterations, kkt, diagnostics: [] };
+        };
         
-        for (let iter = 0; iter < iterations; iter++) {
-            // Calculate gradients
-            const gradients = this.calculateGradients(weights, returns, covariance);
-            
-            // Update weights
-            weights = weights.map((w, i) => w - learningRate * gradients[i]);
-            
-            // Apply constraints
-            if (constraints.nonNegative) {
-                weights = weights.map(w => Math.max(0, w));
-            }
-            if (constraints.sumToOne) {
-                const sum = weights.reduce((a, b) => a + b, 0);
-                weights = weights.map(w => w / sum);
+        let result = solveAt(0);
+        if (!trackingError || result.status !== 'optimal') return result;
+        
+        const activeRisk = weights => {
+            const active = weights.map((weight, i) => weight - trackingError.benchmark[i]);
+            return this.calculatePortfolioMetrics({ weights: active, returns, covariance }).risk;
+        };
+        if (activeRisk(result.weights) <= trackingError.max) return result;
+        
+        const closest = solveAt(1);
+        const minimumRisk = activeRisk(closest.weights);
+        if (closest.status !== 'optimal' || minimumRisk > trackingError.max) {
+            return {
+                ...closest,
+                status: 'infeasible',
+                diagnostics: [{
+                    constraint: 'trackingError',
+                    message: `The smallest tracking error attainable under the other constraints is ${minimumRisk.toFixed(4)}, above the limit of ${trackingError.max.toFixed(4)}`
+                }]
+            };
+        }
+        
+        let low = 0;
+        let high = 1;
+        result = closest;
+        for (let iter = 0; iter < 40; iter++) {
+            const theta = 0.5 * (low + high);
+            const candidate = solveAt(theta);
+            if (candidate.status === 'optimal' && activeRisk(candidate.weights) <= trackingError.max) {
+                high = theta;
+                result = candidate;
+            } else {
+                low = theta;
             }
-            
-            // Check if target return is met
-            const currentReturn = weights.reduce((sum, w, i) => sum + w * returns[i], 0);
-            if (Math.abs(currentReturn - targetReturn) < 0.0001) break;
         }
+        return result;
+    }
+
+    /**
+     * Global minimum-variance portfolio
+     * @param {Object} params - Optimization parameters
+     * @param {Array<number>} params.returns - Expected returns
+     * @param {Array<Array<number>>} params.covariance - Covariance matrix
+     * @param {number} [params.riskFreeRate=0] - Risk-free rate (for the Sharpe ratio)
+     * @param {Object} [params.constraints] - Weight constraints (as for optimizePortfolio);
+     *   defaults to fully invested and long-only
+     * @returns {Object} Weights, return, risk, Sharpe ratio, solver status and infeasibility diagnostics
+     */
+    static minimumVariancePortfolio(params) {
+        const { returns, covariance, riskFreeRate = 0 } = params;
+        const constraints = params.constraints || { sumToOne: true, nonNegative: true };
+        const { weights, status, diagnostics } = this.optimizePortfolio({ returns, covariance, constraints });
         
-        return weights;
+        return { ...this.describePortfolio(weights, returns, covariance, riskFreeRate), status, diagnostics };
     }
 
     /**
-     * Calculate gradients for optimization
-     * @param {Array<number>} weights - Current weights
-     * @param {Array<number>} returns - Expected returns
-     * @param {Array<Array<number>>} covariance - Covariance matrix
-     * @returns {Array<number>} Gradients
+     * Maximum-Sharpe (tangency) portfolio
+     * @param {Object} params - Optimization parameters (as for minimumVariancePortfolio)
+     * @returns {Object} Weights, return, risk, Sharpe ratio and solver status
      */
-    static calculateGradients(weights, returns, covariance) {
-        const n = weights.length;
-        const gradients = Array(n).fill(0);
+    static tangencyPortfolio(params) {
+        const { returns, covariance, riskFreeRate = 0 } = params;
+        const constraints = params.constraints || { sumToOne: true, nonNegative: true };
+        const excess = returns.map(value => value - riskFreeRate);
+        const { weights, status } = this.maximumRatioPortfolio(excess, covariance, constraints);
         
-        for (let i = 0; i < n; i++) {
-            for (let j = 0; j < n; j++) {
-                gradients[i] += weights[j] * covariance[i][j];
+        return { ...this.describePortfolio(weights, returns, covariance, riskFreeRate), status };
+    }
+
+    /**
+     * Maximum-diversification portfolio: maximizes w^T sigma / sqrt(w^T Sigma w)
+     * @param {Object} params - Optimization parameters (as for minimumVariancePortfolio)
+     * @returns {Object} Weights, return, risk, Sharpe ratio, diversification ratio and solver status
+     */
+    static maximumDiversificationPortfolio(params) {
+        const { returns, covariance, riskFreeRate = 0 } = params;
+        const constraints = params.constraints || { sumToOne: true, nonNegative: true };
+        const volatilities = covariance.map((row, i) => Math.sqrt(row[i]));
+        const { weights, status } = this.maximumRatioPortfolio(volatilities, covariance, constraints);
+        const portfolio = this.describePortfolio(weights, returns, covariance, riskFreeRate);
+        const weightedVolatility = weights.reduce((sum, weight, i) => sum + weight * volatilities[i], 0);
+        
+        return { ...portfolio, diversificationRatio: weightedVolatility / portfolio.risk, status };
+    }
+
+    /**
+     * Equal-risk-contribution (risk parity) portfolio, long-only and fully invested
+     * Minimizes 1/2 y^T Sigma y - sum b_i ln y_i by cyclical coordinate descent
+     * (Griveau-Billion et al., 2013) and rescales y to sum to one, so that each
+     * asset contributes the budgeted share b_i of the portfolio variance.
+     * @param {Object} params - Optimization parameters
+     * @param {Array<Array<number>>} params.covariance - Covariance matrix
+     * @param {Array<number>} [params.returns] - Expected returns (for the reported return)
+     * @param {number} [params.riskFreeRate=0] - Risk-free rate (for the Sharpe ratio)
+     * @param {Array<number>} [params.riskBudgets] - Target risk shares; defaults to equal shares
+     * @param {number} [params.tolerance=1e-10] - Convergence tolerance on the weights
+     * @param {number} [params.maxIterations=1000] - Maximum number of coordinate sweeps
+     * @returns {Object} Weights, return, risk, Sharpe ratio, risk contributions and status
+     */
+    static riskParityPortfolio(params) {
+        const { covariance, riskFreeRate = 0, tolerance = 1e-10, maxIterations = 1000 } = params;
+        const n = covariance.length;
+        const returns = params.returns || Array(n).fill(0);
+        const budgetTotal = params.riskBudgets ? params.riskBudgets.reduce((a, b) => a + b, 0) : n;
+        const budgets = params.riskBudgets ? params.riskBudgets.map(b => b / budgetTotal) : Array(n).fill(1 / n);
+        
+        let y = covariance.map((row, i) => 1 / Math.sqrt(row[i]));
+        let iterations = 0;
+        let converged = false;
+        while (!converged && iterations < maxIterations) {
+            iterations++;
+            let change = 0;
+            for (let i = 0; i < n; i++) {
+                // Positive root of Sigma_ii y_i^2 + (Sigma y)_{-i} y_i - b_i = 0
+                let cross = 0;
+                for (let j = 0; j < n; j++) {
+                    if (j !== i) cross += covariance[i][j] * y[j];
+                }
+                const updated = (-cross + Math.sqrt(cross * cross + 4 * covariance[i][i] * budgets[i]))
+                    / (2 * covariance[i][i]);
+                change = Math.max(change, Math.abs(updated - y[i]) / updated);
+                y[i] = updated;
             }
+            converged = change <= tolerance;
         }
         
-        return gradients;
+        const total = y.reduce((a, b) => a + b, 0);
+        const weights = y.map(value => value / total);
+        const portfolio = this.describePortfolio(weights, returns, covariance, riskFreeRate);
+        const riskContributions = weights.map((weight, i) => {
+            const marginal = covariance[i].reduce((sum, value, j) => sum + value * weights[j], 0);
+            return weight * marginal / portfolio.variance;
+        });
+        
+        return { ...portfolio, riskContributions, iterations, status: converged ? 'optimal' : 'max_iterations' };
+    }
+
+    /**
+     * Maximize a ratio v^T w / sqrt(w^T Sigma w) over fully invested portfolios
+     * The ratio is scale invariant, so the problem is solved as the quadratic program
+     * min y^T Sigma y s.t. v^T y = 1 with every linear constraint A w <= b homogenized
+     * to A y <= b kappa (kappa = sum(y) >= 0), and the weights recovered as y / kappa.
+     * Cardinality and tracking-error limits are not applied.
+     * @param {Array<number>} vector - Numerator vector v (excess returns or volatilities)
+     * @param {Array<Array<number>>} covariance - Covariance matrix
+     * @param {Object} constraints - Constraint specification (as for optimizePortfolio)
+     * @returns {Object} Weights and solver status
+     */
+    static maximumRatioPortfolio(vector, covariance, constraints) {
+        const n = vector.length;
+        const compiled = PortfolioConstraints.compile({ ...constraints, sumToOne: true }, { returns: vector });
+        const { size } = compiled;
+        const { G, h } = QuadraticProgramming.inequalities({ ...compiled, c: Array(size).fill(0) });
+        
+        // Variables [y (weights and auxiliaries), kappa]; the budget row becomes sum(y) - kappa = 0
+        const Q = Array.from({ length: size + 1 }, (_, i) => Array.from({ length: size + 1 }, (_, j) => {
+            return i < n && j < n ? 2 * covariance[i][j] : 0;
+        }));
+        const { x, status } = QuadraticProgramming.solve({
+            Q,
+            c: Array(size + 1).fill(0),
+            Aeq: [
+                [...vector, ...Array(size - n).fill(0), 0],
+                ...compiled.Aeq.map((row, k) => [...row, -compiled.beq[k]])
+            ],
+            beq: [1, ...compiled.Aeq.map(() => 0)],
+            G: [...G.map((row, k) => [...row, -h[k]]), [...Array(size).fill(0), -1]],
+            h: Array(G.length + 1).fill(0)
+        });
+        
+        const kappa = x[size];
+        const weights = status === 'optimal' && kappa > 0 ? x.slice(0, n).map(value => value / kappa) : Array(n).fill(NaN);
+        return { weights, status: kappa > 0 ? status : 'infeasible' };
+    }
+
+    /**
+     * Summary metrics of a portfolio
+     * @param {Array<number>} weights - Asset weights
+     * @param {Array<number>} returns - Expected returns
+     * @param {Array<Array<number>>} covariance - Covariance matrix
+     * @param {number} riskFreeRate - Risk-free rate
+     * @returns {Object} Weights, return, risk, variance and Sharpe ratio
+     */
+    static describePortfolio(weights, returns, covariance, riskFreeRate) {
+        const metrics = this.calculatePortfolioMetrics({ weights, returns, covariance });
+        return {
+            weights,
+            ...metrics,
+            sharpe: this.calculateSharpeRatio(metrics.return, metrics.risk, riskFreeRate)
+        };
+    }
+
+    /**
+     * Highest expected return attainable under the weight constraints
+     * Falls back to the best single asset when the constraints leave the return unbounded.
+     * @param {Array<number>} returns - Expected returns
+     * @param {Object} constraints - Weight constraints (as for optimizePortfolio)
+     * @returns {number} Maximum portfolio return
+     */
+    static maximumReturn(returns, constraints) {
+        const n = returns.length;
+        const compiled = PortfolioConstraints.compile(constraints, { returns });
+        const { x, status } = QuadraticProgramming.solve({
+            ...compiled,
+            Q: Array.from({ length: compiled.size }, () => Array(compiled.size).fill(0)),
+            c: [...returns.map(value => -value), ...Array(compiled.size - n).fill(0)]
+        });
+        
+        if (status !== 'optimal') return Math.max(...returns);
+        return x.slice(0, n).reduce((sum, weight, i) => sum + weight * returns[i], 0);
     }
 }
 
 // Example usage:
 /*
-const optimizer = new PortfolioOptimizer();
-const frontier = optimizer.generateEfficientFrontier({
+const frontier = PortfolioOptimizer.generateEfficientFrontier({
     returns: [0.1, 0.15, 0.12, 0.09],
     covariance: [
         [0.04, 0.02, 0.01, 0.02],
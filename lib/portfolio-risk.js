@@ -0,0 +1,376 @@
+/**
+ * Portfolio Risk
+ * Value at Risk and expected shortfall of portfolios of stocks and options on
+ * several underlyings by historical simulation, delta-normal, delta-gamma
+ * (Cornish-Fisher) and full-revaluation Monte Carlo, with Kupiec and
+ * Christoffersen backtests of VaR exceedances
+ */
+
+import BlackScholes from './black-scholes.js';
+import LinearAlgebra from './linear-algebra.js';
+import MonteCarloEngine from './monte-carlo.js';
+
+// Midpoints used to average the Cornish-Fisher quantile over the tail
+const TAIL_POINTS = 1000;
+
+class PortfolioRisk {
+    /**
+     * Historical simulation
+     * Each window of horizonDays consecutive historical log returns is applied to today's spots
+     * and the portfolio is fully revalued, with the options aged by the horizon.
+     * @param {Object} portfolio - Portfolio (see value)
+     * @param {Object} options - Risk options
+     * @param {Array<Array<number>>} [options.prices] - Price history in rows (dates) by columns (assets)
+     * @param {Array<Array<number>>} [options.returns] - Daily log returns in rows, instead of prices
+     * @param {number} [options.confidence=0.99] - Confidence level
+     * @param {number} [options.horizonDays=1] - Horizon in trading days (overlapping windows when above 1)
+     * @param {number} [options.daysPerYear=252] - Trading days per year
+     * @returns {Object} valueAtRisk and expectedShortfall (as positive losses) with the scenario P&Ls
+     */
+    static historical(portfolio, options) {
+        const { confidence = 0.99, horizonDays = 1, daysPerYear = 252 } = options;
+        const returns = options.returns || options.prices.slice(1).map((row, t) => {
+            return row.map((price, i) => Math.log(price / options.prices[t][i]));
+        });
+        if (returns.length < horizonDays) throw new Error('The history is shorter than the horizon');
+
+        const t = horizonDays / daysPerYear;
+        const base = this.value(portfolio, portfolio.spots);
+        const pnl = [];
+        for (let start = 0; start + horizonDays <= returns.length; start++) {
+            const window = returns.slice(start, start + horizonDays);
+            const spots = portfolio.spots.map((S, i) => S * Math.exp(window.reduce((sum, row) => sum + row[i], 0)));
+            pnl.push(this.value(portfolio, spots, t) - base);
+        }
+
+        return { method: 'historical', ...this.fromPnL(pnl, confidence), pnl };
+    }
+
+    /**
+     * Delta-normal (parametric) VaR
+     * P&L is linear in normally distributed returns, plus the deterministic carry (time decay
+     * and interest) over the horizon.
+     * @param {Object} portfolio - Portfolio (see value)
+     * @param {Object} options - Risk options
+     * @param {Array<Array<number>>} options.covariance - Annualized covariance of log returns
+     * @param {number} [options.confidence=0.99] - Confidence level
+     * @param {number} [options.horizonDays=1] - Horizon in trading days
+     * @param {number} [options.daysPerYear=252] - Trading days per year
+     * @returns {Object} valueAtRisk, expectedShortfall, mean and stdDev of the P&L
+     */
+    static deltaNormal(portfolio, options) {
+        const { covariance, confidence = 0.99, horizonDays = 1, daysPerYear = 252 } = options;
+        const scale = horizonDays / daysPerYear;
+        const { dollarDelta, carry } = this.sensitivities(portfolio, scale);
+
+        const variance = LinearAlgebra.multiplyVector(covariance, dollarDelta)
+            .reduce((sum, value, i) => sum + value * dollarDelta[i], 0);
+        const stdDev = Math.sqrt(scale * variance);
+        const z = BlackScholes.inverseNormalCDF(confidence);
+        return {
+            method: 'delta-normal',
+            valueAtRisk: z * stdDev - carry,
+            expectedShortfall: stdDev * BlackScholes.normalPDF(z) / (1 - confidence) - carry,
+            mean: carry,
+            stdDev
+        };
+    }
+
+    /**
+     * Delta-gamma VaR with the Cornish-Fisher expansion
+     * The quadratic P&L dV = a'r + r'Br/2 (a the dollar deltas, B the dollar gammas) has exact
+     * moments under normal returns; its skewness and kurtosis adjust the normal quantile.
+     * Expected shortfall averages the adjusted quantile over the tail.
+     * @param {Object} portfolio - Portfolio (see value)
+     * @param {Object} options - Risk options (as for deltaNormal)
+     * @returns {Object} valueAtRisk, expectedShortfall, mean, stdDev, skewness and excessKurtosis
+     */
+    static deltaGamma(portfolio, options) {
+        const { covariance, confidence = 0.99, horizonDays = 1, daysPerYear = 252 } = options;
+        const scale = horizonDays / daysPerYear;
+        const { dollarDelta, dollarGamma, carry } = this.sensitivities(portfolio, scale);
+
+        const sigma = covariance.map(row => row.map(value => value * scale));
+        // C = B Sigma with B diagonal (each option depends on a single underlying)
+        const C = sigma.map((row, i) => row.map(value => dollarGamma[i] * value));
+        const trace = M => M.reduce((sum, row, i) => sum + row[i], 0);
+        const C2 = LinearAlgebra.multiply(C, C);
+        const C3 = LinearAlgebra.multiply(C2, C);
+
+        // a' Sigma (B Sigma)^k a
+        const sigmaA = LinearAlgebra.multiplyVector(sigma, dollarDelta);
+        const form = power => {
+            let vector = sigmaA;
+            for (let p = 0; p < power; p++) {
+                vector = sigma.map(row => row.reduce((sum, value, j) => sum + value * dollarGamma[j] * vector[j], 0));
+            }
+            return dollarDelta.reduce((sum, value, i) => sum + value * vector[i], 0);
+        };
+
+        const mean = trace(C) / 2 + carry;
+        const variance = form(0) + trace(C2) / 2;
+        const stdDev = Math.sqrt(variance);
+        const skewness = stdDev > 0 ? (3 * form(1) + trace(C3)) / variance / stdDev : 0;
+        const excessKurtosis = stdDev > 0 ? (12 * form(2) + 3 * trace(LinearAlgebra.multiply(C2, C2))) / (variance * variance) : 0;
+
+        const quantile = p => {
+            const z = BlackScholes.inverseNormalCDF(p);
+            const adjusted = z
+                + (z * z - 1) * skewness / 6
+                + (z * z * z - 3 * z) * excessKurtosis / 24
+                - (2 * z * z * z - 5 * z) * skewness * skewness / 36;
+            return mean + stdDev * adjusted;
+        };
+        const tail = 1 - confidence;
+        let tailSum = 0;
+        for (let k = 0; k < TAIL_POINTS; k++) tailSum += quantile(tail * (k + 0.5) / TAIL_POINTS);
+
+        return {
+            method: 'delta-gamma',
+            valueAtRisk: -quantile(tail),
+            expectedShortfall: -tailSum / TAIL_POINTS,
+            mean,
+            stdDev,
+            skewness,
+            excessKurtosis
+        };
+    }
+
+    /**
+     * Full-revaluation Monte Carlo
+     * Spots are simulated jointly over the horizon by MonteCarloEngine.generateCorrelatedPaths
+     * (zero drift) and the portfolio is repriced in every scenario.
+     * @param {Object} portfolio - Portfolio (see value)
+     * @param {Object} options - Risk options (as for deltaNormal)
+     * @param {number} [options.paths=10000] - Number of scenarios
+     * @param {number} [options.seed] - Seed for a reproducible simulation
+     * @returns {Object} valueAtRisk and expectedShortfall with the scenario P&Ls
+     */
+    static monteCarlo(portfolio, options) {
+        const { covariance, confidence = 0.99, horizonDays = 1, daysPerYear = 252, paths = 10000, seed } = options;
+        const t = horizonDays / daysPerYear;
+        const base = this.value(portfolio, portfolio.spots);
+
+        const scenarios = MonteCarloEngine.generateCorrelatedPaths({
+            S0: portfolio.spots,
+            mu: 0,
+            covariance,
+            T: t,
+            steps: 1,
+            paths,
+            seed
+        });
+        const pnl = scenarios.map(path => this.value(portfolio, path.map(assetPath => assetPath[1]), t) - base);
+
+        return { method: 'monte-carlo', ...this.fromPnL(pnl, confidence), pnl };
+    }
+
+    /**
+     * Portfolio value
+     * @param {Object} portfolio - Portfolio
+     * @param {Array<number>} portfolio.spots - Current price of each underlying
+     * @param {Array<Object>} portfolio.positions - Positions as { asset (index), type: 'stock'|'call'|'put',
+     *   quantity (negative for short), strike, expiry (years), volatility }
+     * @param {Array<number>} [portfolio.volatilities] - Pricing volatility of each underlying, used by
+     *   options without their own
+     * @param {number} [portfolio.r=0] - Risk-free rate (as decimal)
+     * @param {number|Array<number>} [portfolio.q=0] - Dividend yield, shared or per underlying
+     * @param {Array<number>} spots - Underlying prices to value at
+     * @param {number} [t=0] - Time elapsed (years); options age by t
+     * @returns {number} Value
+     */
+    static value(portfolio, spots, t = 0) {
+        return portfolio.positions.reduce((sum, position) => {
+            const S = spots[position.asset];
+            if (position.type === 'stock') return sum + position.quantity * S;
+            return sum + position.quantity * this.optionGreeks(portfolio, position, S, t).price;
+        }, 0);
+    }
+
+    /**
+     * Dollar deltas and gammas per underlying and the carry over a horizon
+     * @param {Object} portfolio - Portfolio (see value)
+     * @param {number} horizon - Horizon (years)
+     * @returns {Object} dollarDelta (delta x spot), dollarGamma (gamma x spot^2) and carry (value
+     *   change over the horizon at unchanged spots)
+     */
+    static sensitivities(portfolio, horizon) {
+        const dollarDelta = portfolio.spots.map(() => 0);
+        const dollarGamma = portfolio.spots.map(() => 0);
+
+        portfolio.positions.forEach(position => {
+            const S = portfolio.spots[position.asset];
+            if (position.type === 'stock') {
+                dollarDelta[position.asset] += position.quantity * S;
+                return;
+            }
+            const { delta, gamma } = this.optionGreeks(portfolio, position, S, 0);
+            dollarDelta[position.asset] += position.quantity * delta * S;
+            dollarGamma[position.asset] += position.quantity * gamma * S * S;
+        });
+
+        const carry = this.value(portfolio, portfolio.spots, horizon) - this.value(portfolio, portfolio.spots);
+        return { dollarDelta, dollarGamma, carry };
+    }
+
+    /**
+     * Black-Scholes price and Greeks of an option position
+     * @param {Object} portfolio - Portfolio (see value)
+     * @param {Object} position - Option position
+     * @param {number} S - Underlying price
+     * @param {number} t - Time elapsed (years)
+     * @returns {Object} Price and Greeks per unit
+     */
+    static optionGreeks(portfolio, position, S, t) {
+        const { r = 0, q = 0 } = portfolio;
+        const v = position.volatility !== undefined
+            ? position.volatility
+            : (portfolio.volatilities || [])[position.asset];
+        if (!(v >= 0)) throw new Error(`No volatility to price the option on asset ${position.asset}`);
+
+        return BlackScholes.calculate({
+            S,
+            K: position.strike,
+            T: Math.max(0, position.expiry - t),
+            v,
+            r,
+            q: Array.isArray(q) ? q[position.asset] : q,
+            type: position.type
+        });
+    }
+
+    /**
+     * VaR and expected shortfall of simulated or historical P&Ls
+     * VaR is the interpolated (1 - confidence) quantile of the losses; expected shortfall is the
+     * mean of the P&Ls at or below it, so it is defined for any sample size.
+     * @param {Array<number>} pnl - P&L scenarios
+     * @param {number} confidence - Confidence level
+     * @returns {Object} valueAtRisk and expectedShortfall (as positive losses)
+     */
+    static fromPnL(pnl, confidence) {
+        if (pnl.length === 0) throw new Error('No P&L scenarios');
+        const sorted = [...pnl].sort((a, b) => a - b);
+        const cutoff = this.quantile(sorted, 1 - confidence);
+        const tail = sorted.filter(value => value <= cutoff);
+
+        return {
+            valueAtRisk: -cutoff,
+            expectedShortfall: -tail.reduce((sum, value) => sum + value, 0) / tail.length
+        };
+    }
+
+    /**
+     * Quantile of sorted values by linear interpolation
+     * @param {Array<number>} sorted - Values in increasing order
+     * @param {number} p - Probability in [0, 1]
+     * @returns {number} Quantile
+     */
+    static quantile(sorted, p) {
+        const position = (sorted.length - 1) * p;
+        const lower = Math.floor(position);
+        const upper = Math.min(lower + 1, sorted.length - 1);
+        return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+    }
+
+    /**
+     * One-step-ahead historical VaR forecasts from a rolling window of P&Ls
+     * @param {Array<number>} pnl - P&L series in date order
+     * @param {Object} [options] - Forecast options
+     * @param {number} [options.window=250] - Observations in each window
+     * @param {number} [options.confidence=0.99] - Confidence level
+     * @returns {Object} Forecasts for pnl[window..] and the realized P&Ls they are tested against
+     */
+    static rollingVaR(pnl, options = {}) {
+        const { window = 250, confidence = 0.99 } = options;
+        if (pnl.length <= window) throw new Error('The P&L series must be longer than the window');
+
+        const forecasts = [];
+        for (let t = window; t < pnl.length; t++) {
+            forecasts.push(this.fromPnL(pnl.slice(t - window, t), confidence).valueAtRisk);
+        }
+        return { valueAtRisk: forecasts, realized: pnl.slice(window) };
+    }
+
+    /**
+     * Backtest VaR forecasts against realized P&L
+     * Kupiec's proportion-of-failures test checks the number of exceedances; Christoffersen's
+     * test checks that they are independent (no clustering), and the two combine into the
+     * conditional coverage test.
+     * @param {Object} params - Backtest inputs
+     * @param {Array<number>} params.pnl - Realized P&L
+     * @param {number|Array<number>} params.valueAtRisk - VaR forecast (as positive loss) for each
+     *   observation, or one for all
+     * @param {number} [params.confidence=0.99] - Confidence level of the forecasts
+     * @param {number} [params.significance=0.05] - Test size
+     * @returns {Object} Observations, exceedances, expected exceedances and the kupiec,
+     *   independence and conditionalCoverage tests as { statistic, pValue, reject }
+     */
+    static backtest(params) {
+        const { pnl, valueAtRisk, confidence = 0.99, significance = 0.05 } = params;
+        const forecast = i => (Array.isArray(valueAtRisk) ? valueAtRisk[i] : valueAtRisk);
+        const hits = pnl.map((value, i) => value < -forecast(i));
+        const n = hits.length;
+        const x = hits.filter(Boolean).length;
+        const p = 1 - confidence;
+
+        // x ln(y), taking 0 ln 0 = 0
+        const xlogy = (count, probability) => (count === 0 ? 0 : count * Math.log(probability));
+        const rate = x / n;
+        const kupiec = -2 * (xlogy(n - x, 1 - p) + xlogy(x, p) - xlogy(n - x, 1 - rate) - xlogy(x, rate));
+
+        const transitions = [[0, 0], [0, 0]];
+        for (let i = 1; i < n; i++) transitions[+hits[i - 1]][+hits[i]]++;
+        const [[n00, n01], [n10, n11]] = transitions;
+        const pi0 = n01 / Math.max(1, n00 + n01);
+        const pi1 = n11 / Math.max(1, n10 + n11);
+        const pi = (n01 + n11) / Math.max(1, n - 1);
+        const independence = -2 * (xlogy(n00 + n10, 1 - pi) + xlogy(n01 + n11, pi)
+            - xlogy(n00, 1 - pi0) - xlogy(n01, pi0) - xlogy(n10, 1 - pi1) - xlogy(n11, pi1));
+
+        const test = (statistic, degrees) => {
+            const pValue = 1 - this.chiSquareCDF(Math.max(0, statistic), degrees);
+            return { statistic, pValue, reject: pValue < significance };
+        };
+        return {
+            observations: n,
+            exceedances: x,
+            expected: n * p,
+            kupiec: test(kupiec, 1),
+            independence: test(independence, 1),
+            conditionalCoverage: test(kupiec + independence, 2)
+        };
+    }
+
+    /**
+     * Chi-square cumulative distribution for one or two degrees of freedom
+     * @param {number} x - Value
+     * @param {number} degrees - Degrees of freedom (1 or 2)
+     * @returns {number} Probability
+     */
+    static chiSquareCDF(x, degrees) {
+        if (degrees === 1) return 2 * BlackScholes.normalCDF(Math.sqrt(x)) - 1;
+        if (degrees === 2) return 1 - Math.exp(-x / 2);
+        throw new Error('Only one or two degrees of freedom are supported');
+    }
+}
+
+// Example usage:
+/*
+const portfolio = {
+    spots: [100, 50],
+    volatilities: [0.2, 0.3],
+    r: 0.03,
+    positions: [
+        { asset: 0, type: 'stock', quantity: 100 },
+        { asset: 0, type: 'call', quantity: -100, strike: 110, expiry: 0.25 },
+        { asset: 1, type: 'put', quantity: 200, strike: 45, expiry: 0.5 }
+    ]
+};
+const covariance = [[0.04, 0.018], [0.018, 0.09]];
+
+console.log(PortfolioRisk.deltaNormal(portfolio, { covariance, horizonDays: 10 }));
+console.log(PortfolioRisk.deltaGamma(portfolio, { covariance, horizonDays: 10 }));
+console.log(PortfolioRisk.monteCarlo(portfolio, { covariance, horizonDays: 10, seed: 42 }));
+*/
+
+export default PortfolioRisk;
\ No newline at end of file
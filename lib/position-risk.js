@@ -0,0 +1,135 @@
+/**
+ * Position Risk
+ * Aggregates Black-Scholes Greeks across the legs of a position and reprices
+ * the whole position over a grid of spot, volatility and time scenarios
+ */
+
+import BlackScholes from './black-scholes.js';
+import StrategyBuilder from './strategy.js';
+
+const DAYS_PER_YEAR = 365;
+const MIN_VOLATILITY = 0.0001;
+// Remaining time below which StrategyBuilder.legValue settles a leg at intrinsic value
+const EXPIRED = 1e-12;
+
+class PositionRisk {
+    /**
+     * Net Greeks of a position
+     * Greeks are in the units of BlackScholes.calculate: vega per volatility point, theta per
+     * calendar day and rho per percentage point of the rate. Stock legs contribute delta only;
+     * legs expired by t are settled at intrinsic value, as in StrategyBuilder.legValue, with zero Greeks.
+     * @param {Object} position - Position from StrategyBuilder.createPosition
+     * @param {Object} [options] - Evaluation options
+     * @param {number} [options.S] - Underlying price (default: the position's spot)
+     * @param {number} [options.t=0] - Evaluation date (years from today)
+     * @param {number} [options.volShift=0] - Absolute shift added to every leg volatility
+     * @returns {Object} Position { value, delta, gamma, vega, theta, rho } and the signed
+     *   contribution of each leg in legs
+     */
+    static greeks(position, options = {}) {
+        const { market } = position;
+        const { S = market.S, t = 0, volShift = 0 } = options;
+        const measures = ['value', 'delta', 'gamma', 'vega', 'theta', 'rho'];
+
+        const legs = position.legs.map(leg => {
+            const scale = StrategyBuilder.direction(leg) * leg.quantity;
+            if (leg.type === 'stock') {
+                return { value: scale * S, delta: scale, gamma: 0, vega: 0, theta: 0, rho: 0 };
+            }
+            if (leg.expiry - t <= EXPIRED) {
+                return { value: scale * StrategyBuilder.legValue(leg, market, S, t), delta: 0, gamma: 0, vega: 0, theta: 0, rho: 0 };
+            }
+
+            const result = BlackScholes.calculate({
+                S,
+                K: leg.strike,
+                r: market.r,
+                q: market.q || 0,
+                v: this.shiftedVolatility(leg, market, volShift, t),
+                T: leg.expiry - t,
+                type: leg.type
+            });
+            return {
+                value: scale * result.price,
+                delta: scale * result.delta,
+                gamma: scale * result.gamma,
+                vega: scale * result.vega,
+                theta: scale * result.theta,
+                rho: scale * result.rho
+            };
+        });
+
+        const total = Object.fromEntries(measures.map(measure => {
+            return [measure, legs.reduce((sum, leg) => sum + leg[measure], 0)];
+        }));
+        return { ...total, legs };
+    }
+
+    /**
+     * Mark-to-model value of a position
+     * @param {Object} position - Position from StrategyBuilder.createPosition
+     * @param {Object} [options] - Scenario (S, t, volShift as for greeks)
+     * @returns {number} Value (negative for a net short position)
+     */
+    static value(position, options = {}) {
+        const { market } = position;
+        const { S = market.S, t = 0, volShift = 0 } = options;
+
+        return position.legs.reduce((sum, leg) => {
+            const shifted = leg.type === 'stock' ? leg : { ...leg, volatility: this.shiftedVolatility(leg, market, volShift, t) };
+            return sum + StrategyBuilder.direction(leg) * leg.quantity * StrategyBuilder.legValue(shifted, market, S, t);
+        }, 0);
+    }
+
+    /**
+     * Reprice a position across spot shocks x volatility shocks x time decay
+     * P&L is measured against the position's current model value, so the unshocked scenario
+     * today is zero whatever premiums were paid.
+     * @param {Object} position - Position from StrategyBuilder.createPosition
+     * @param {Object} [options] - Grid options
+     * @param {Array<number>} [options.spotShocks] - Relative spot moves (default -20% to +20% in 5% steps)
+     * @param {Array<number>} [options.volShocks] - Absolute volatility shifts (default -10 to +10 points in 5 point steps)
+     * @param {Array<number>} [options.days=[0]] - Calendar days elapsed
+     * @returns {Object} Grid { spotShocks, volShocks, days, value, pnl } where pnl[d][v][s] is the
+     *   P&L after days[d] with volatility shock volShocks[v] and spot shock spotShocks[s]
+     */
+    static scenarioGrid(position, options = {}) {
+        const {
+            spotShocks = [-0.2, -0.15, -0.1, -0.05, 0, 0.05, 0.1, 0.15, 0.2],
+            volShocks = [-0.1, -0.05, 0, 0.05, 0.1],
+            days = [0]
+        } = options;
+        const { S } = position.market;
+        const value = this.value(position);
+
+        const pnl = days.map(day => volShocks.map(volShift => spotShocks.map(shock => {
+            return this.value(position, { S: S * (1 + shock), t: day / DAYS_PER_YEAR, volShift }) - value;
+        })));
+
+        return { spotShocks, volShocks, days, value, pnl };
+    }
+
+    /**
+     * Leg volatility after an absolute shift, floored just above zero
+     * @param {Object} leg - Option leg
+     * @param {Object} market - Market parameters
+     * @param {number} volShift - Absolute volatility shift
+     * @param {number} [t=0] - Evaluation date (years from today)
+     * @returns {number} Volatility (as decimal)
+     */
+    static shiftedVolatility(leg, market, volShift, t = 0) {
+        return Math.max(MIN_VOLATILITY, StrategyBuilder.legVolatility(leg, market, t) + volShift);
+    }
+}
+
+// Example usage:
+/*
+const legs = StrategyBuilder.preset('iron-condor', { S: 100, expiry: 45 / 365 });
+const position = StrategyBuilder.createPosition(legs, { S: 100, r: 0.05, v: 0.2 });
+
+console.log(PositionRisk.greeks(position));              // short vega, positive theta
+const grid = PositionRisk.scenarioGrid(position, { days: [0, 7, 30] });
+console.log(grid.pnl[1]);                                // P&L one week out, vol shocks x spot shocks
+*/
+
+export default PositionRisk;
\ No newline at end of file
@@ -0,0 +1,298 @@
+/**
+ * Quadratic Programming
+ * Primal-dual interior-point solver (Mehrotra predictor-corrector) for convex
+ * quadratic programs with linear equality, inequality and bound constraints
+ */
+
+import LinearAlgebra from './linear-algebra.js';
+
+class QuadraticProgramming {
+    /**
+     * Solve min 1/2 x^T Q x + c^T x  s.t.  Aeq x = beq,  G x <= h,  lower <= x <= upper
+     * @param {Object} problem - Problem data
+     * @param {Array<Array<number>>} problem.Q - Symmetric positive semi-definite matrix (n x n)
+     * @param {Array<number>} problem.c - Linear term (n)
+     * @param {Array<Array<number>>} [problem.Aeq] - Equality constraint matrix
+     * @param {Array<number>} [problem.beq] - Equality right-hand side
+     * @param {Array<Array<number>>} [problem.G] - Inequality constraint matrix
+     * @param {Array<number>} [problem.h] - Inequality right-hand side
+     * @param {number|Array<number>} [problem.lower] - Lower bounds (-Infinity for none)
+     * @param {number|Array<number>} [problem.upper] - Upper bounds (Infinity for none)
+     * @param {Object} [options] - Solver options
+     * @param {number} [options.tolerance=1e-9] - Tolerance on the KKT residuals and duality measure
+     * @param {number} [options.maxIterations=100] - Maximum number of interior-point iterations
+     * @returns {Object} Solution x, status ('optimal', 'infeasible' or 'max_iterations'), iterations,
+     *   KKT residuals and the multipliers y (equalities) and z (inequalities, bounds last)
+     */
+    static solve(problem, options = {}) {
+        const { tolerance = 1e-9, maxIterations = 100 } = options;
+        const { Q, c, Aeq = [], beq = [] } = problem;
+        const n = c.length;
+        const { G, h } = this.inequalities(problem);
+        const m = G.length;
+        const p = Aeq.length;
+
+        let x = Array(n).fill(0);
+        let y = Array(p).fill(0);
+        let s = h.map((hi, i) => Math.max(hi - this.dot(G[i], x), 1));
+        let z = Array(m).fill(1);
+
+        let iterations = 0;
+        let residuals = this.residuals(problem, G, h, x, y, s, z);
+        while (!this.converged(residuals, tolerance) && iterations < maxIterations) {
+            iterations++;
+            const mu = m > 0 ? this.dot(s, z) / m : 0;
+
+            // Predictor: pure Newton (affine scaling) direction
+            const affine = this.newtonStep(problem, G, x, s, z, residuals, s.map((si, i) => -si * z[i]));
+            if (!affine) break;
+            const alphaAffine = this.stepLength(s, z, affine);
+
+            // Corrector: centering parameter from the predicted duality gap (Mehrotra's heuristic)
+            let sigma = 0;
+            if (m > 0) {
+                const muAffine = s.reduce((sum, si, i) => {
+                    return sum + (si + alphaAffine * affine.ds[i]) * (z[i] + alphaAffine * affine.dz[i]);
+                }, 0) / m;
+                sigma = Math.pow(muAffine / mu, 3);
+            }
+            const rc = s.map((si, i) => -si * z[i] - affine.ds[i] * affine.dz[i] + sigma * mu);
+            const step = this.newtonStep(problem, G, x, s, z, residuals, rc) || affine;
+            const alpha = Math.min(1, 0.99 * this.stepLength(s, z, step));
+
+            x = x.map((xi, i) => xi + alpha * step.dx[i]);
+            y = y.map((yi, i) => yi + alpha * step.dy[i]);
+            s = s.map((si, i) => si + alpha * step.ds[i]);
+            z = z.map((zi, i) => zi + alpha * step.dz[i]);
+            residuals = this.residuals(problem, G, h, x, y, s, z);
+        }
+
+        let status = 'optimal';
+        if (!this.converged(residuals, tolerance)) {
+            status = this.isFeasible(problem, G, h, tolerance) ? 'max_iterations' : 'infeasible';
+        }
+
+        return {
+            x,
+            status,
+            iterations,
+            kkt: {
+                stationarity: this.maxAbs(residuals.dual),
+                primalEquality: this.maxAbs(residuals.equality),
+                primalInequality: Math.max(0, ...h.map((hi, i) => this.dot(G[i], x) - hi)),
+                complementarity: m > 0 ? this.dot(s, z) / m : 0
+            },
+            y,
+            z
+        };
+    }
+
+    /**
+     * Stack general inequalities and finite bounds into G x <= h
+     * @param {Object} problem - Problem data
+     * @returns {Object} Inequality matrix G and right-hand side h
+     */
+    static inequalities(problem) {
+        const { c, G = [], h = [], lower = -Infinity, upper = Infinity } = problem;
+        const n = c.length;
+        const rows = G.map(row => [...row]);
+        const rhs = [...h];
+        const unit = (i, sign) => Array.from({ length: n }, (_, j) => (i === j ? sign : 0));
+
+        for (let i = 0; i < n; i++) {
+            const lo = Array.isArray(lower) ? lower[i] : lower;
+            const hi = Array.isArray(upper) ? upper[i] : upper;
+            if (Number.isFinite(hi)) {
+                rows.push(unit(i, 1));
+                rhs.push(hi);
+            }
+            if (Number.isFinite(lo)) {
+                rows.push(unit(i, -1));
+                rhs.push(-lo);
+            }
+        }
+
+        return { G: rows, h: rhs };
+    }
+
+    /**
+     * Residuals of the perturbed KKT conditions
+     * @param {Object} problem - Problem data
+     * @param {Array<Array<number>>} G - Inequality matrix including bounds
+     * @param {Array<number>} h - Inequality right-hand side including bounds
+     * @param {Array<number>} x - Primal point
+     * @param {Array<number>} y - Equality multipliers
+     * @param {Array<number>} s - Inequality slacks
+     * @param {Array<number>} z - Inequality multipliers
+     * @returns {Object} Dual (stationarity), equality and inequality residuals
+     */
+    static residuals(problem, G, h, x, y, s, z) {
+        const { Q, c, Aeq = [], beq = [] } = problem;
+        const dual = c.map((ci, i) => {
+            let value = ci + this.dot(Q[i], x);
+            for (let k = 0; k < Aeq.length; k++) value += Aeq[k][i] * y[k];
+            for (let k = 0; k < G.length; k++) value += G[k][i] * z[k];
+            return value;
+        });
+
+        return {
+            dual,
+            equality: Aeq.map((row, k) => this.dot(row, x) - beq[k]),
+            inequality: G.map((row, k) => this.dot(row, x) + s[k] - h[k]),
+            gap: s.length > 0 ? this.dot(s, z) / s.length : 0
+        };
+    }
+
+    /**
+     * Check the KKT residuals against the tolerance
+     * @param {Object} residuals - Residuals from residuals()
+     * @param {number} tolerance - Tolerance
+     * @returns {boolean} True when the current point is optimal
+     */
+    static converged(residuals, tolerance) {
+        return this.maxAbs(residuals.dual) <= tolerance
+            && this.maxAbs(residuals.equality) <= tolerance
+            && this.maxAbs(residuals.inequality) <= tolerance
+            && residuals.gap <= tolerance;
+    }
+
+    /**
+     * Newton direction of the KKT system for a given complementarity target
+     * Eliminating ds and dz leaves the symmetric system
+     * [Q + G^T W G, Aeq^T; Aeq, 0] [dx; dy] = rhs with W = diag(z / s).
+     * @param {Object} problem - Problem data
+     * @param {Array<Array<number>>} G - Inequality matrix including bounds
+     * @param {Array<number>} x - Primal point
+     * @param {Array<number>} s - Inequality slacks
+     * @param {Array<number>} z - Inequality multipliers
+     * @param {Object} residuals - Residuals at the current point
+     * @param {Array<number>} rc - Right-hand side of the linearized complementarity s dz + z ds = rc
+     * @returns {Object|null} Direction (dx, dy, ds, dz), or null if the system is singular
+     */
+    static newtonStep(problem, G, x, s, z, residuals, rc) {
+        const { Q, Aeq = [] } = problem;
+        const n = x.length;
+        const p = Aeq.length;
+        const size = n + p;
+        const K = Array.from({ length: size }, () => Array(size).fill(0));
+        const rhs = Array(size).fill(0);
+
+        // (rc + z r_inequality) / s feeds back into the stationarity block
+        const scaled = s.map((si, k) => (rc[k] + z[k] * residuals.inequality[k]) / si);
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) {
+                let value = Q[i][j];
+                for (let k = 0; k < G.length; k++) value += G[k][i] * (z[k] / s[k]) * G[k][j];
+                K[i][j] = value;
+            }
+            // Tiny regularization keeps the system solvable for singular Q and redundant equalities
+            K[i][i] += 1e-12;
+            let value = -residuals.dual[i];
+            for (let k = 0; k < G.length; k++) value -= G[k][i] * scaled[k];
+            rhs[i] = value;
+        }
+        for (let k = 0; k < p; k++) {
+            for (let i = 0; i < n; i++) {
+                K[n + k][i] = Aeq[k][i];
+                K[i][n + k] = Aeq[k][i];
+            }
+            K[n + k][n + k] = -1e-12;
+            rhs[n + k] = -residuals.equality[k];
+        }
+
+        const solution = LinearAlgebra.solve(K, rhs);
+        if (!solution || solution.some(v => !Number.isFinite(v))) return null;
+
+        const dx = solution.slice(0, n);
+        const dy = solution.slice(n);
+        const ds = G.map((row, k) => -residuals.inequality[k] - this.dot(row, dx));
+        const dz = s.map((si, k) => (rc[k] - z[k] * ds[k]) / si);
+        return { dx, dy, ds, dz };
+    }
+
+    /**
+     * Largest step in (0, 1] keeping the slacks and inequality multipliers non-negative
+     * @param {Array<number>} s - Inequality slacks
+     * @param {Array<number>} z - Inequality multipliers
+     * @param {Object} step - Newton direction
+     * @returns {number} Step length
+     */
+    static stepLength(s, z, step) {
+        let alpha = 1;
+        for (let k = 0; k < s.length; k++) {
+            if (step.ds[k] < 0) alpha = Math.min(alpha, -s[k] / step.ds[k]);
+            if (step.dz[k] < 0) alpha = Math.min(alpha, -z[k] / step.dz[k]);
+        }
+        return alpha;
+    }
+
+    /**
+     * Phase-1 feasibility check: minimize the largest inequality violation t
+     * subject to the equalities, G x - t <= h and t >= -1
+     * @param {Object} problem - Problem data
+     * @param {Array<Array<number>>} G - Inequality matrix including bounds
+     * @param {Array<number>} h - Inequality right-hand side including bounds
+     * @param {number} tolerance - Solver tolerance
+     * @returns {boolean} True when the constraints admit a solution
+     */
+    static isFeasible(problem, G, h, tolerance) {
+        const { Aeq = [], beq = [] } = problem;
+        const n = problem.c.length;
+
+        // Equalities alone: the linear system must be consistent
+        if (G.length === 0) {
+            if (Aeq.length === 0) return true;
+            const normal = Aeq.map(row => Aeq.map(other => this.dot(row, other)));
+            const multipliers = LinearAlgebra.leastSquares(normal, beq);
+            const x = Array.from({ length: n }, (_, i) => Aeq.reduce((sum, row, k) => sum + row[i] * multipliers[k], 0));
+            return Aeq.every((row, k) => Math.abs(this.dot(row, x) - beq[k]) <= Math.sqrt(tolerance));
+        }
+
+        const phase1 = this.solve({
+            Q: Array.from({ length: n + 1 }, () => Array(n + 1).fill(0)),
+            c: [...Array(n).fill(0), 1],
+            Aeq: Aeq.map(row => [...row, 0]),
+            beq,
+            G: [...G.map(row => [...row, -1]), [...Array(n).fill(0), -1]],
+            h: [...h, 1]
+        }, { tolerance });
+
+        return phase1.status === 'optimal' && phase1.x[n] <= Math.sqrt(tolerance);
+    }
+
+    /**
+     * Dot product of two vectors
+     * @param {Array<number>} a - First vector
+     * @param {Array<number>} b - Second vector
+     * @returns {number} Dot product
+     */
+    static dot(a, b) {
+        let sum = 0;
+        for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+        return sum;
+    }
+
+    /**
+     * Largest absolute entry of a vector (0 for an empty vector)
+     * @param {Array<number>} values - Vector
+     * @returns {number} Infinity norm
+     */
+    static maxAbs(values) {
+        return values.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    }
+}
+
+// Example usage:
+/*
+// Minimum-variance long-only portfolio of two assets
+const result = QuadraticProgramming.solve({
+    Q: [[0.04, 0.01], [0.01, 0.09]],
+    c: [0, 0],
+    Aeq: [[1, 1]],
+    beq: [1],
+    lower: 0
+});
+console.log(result.x, result.status, result.kkt);
+*/
+
+export default QuadraticProgramming;
\ No newline at end of file
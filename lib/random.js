@@ -0,0 +1,72 @@
+/**
+ * Seedable Pseudo-Random Number Generator
+ * Implements xoshiro128** (Blackman & Vigna) seeded through SplitMix32.
+ * Any object exposing next() -> uniform number in [0, 1) can be plugged into
+ * MonteCarloEngine as an rng; this generator makes simulations reproducible.
+ */
+
+class Xoshiro128 {
+    /**
+     * Create a generator from an integer seed
+     * @param {number} seed - Seed (interpreted as an unsigned 32-bit integer)
+     */
+    constructor(seed) {
+        // Expand the seed into four non-zero state words with SplitMix32
+        let x = seed >>> 0;
+        const splitMix = () => {
+            x = (x + 0x9e3779b9) >>> 0;
+            let z = x;
+            z = Math.imul(z ^ (z >>> 16), 0x85ebca6b) >>> 0;
+            z = Math.imul(z ^ (z >>> 13), 0xc2b2ae35) >>> 0;
+            return (z ^ (z >>> 16)) >>> 0;
+        };
+
+        this.state = new Uint32Array([splitMix(), splitMix(), splitMix(), splitMix()]);
+        if (this.state.every(word => word === 0)) this.state[0] = 1;
+    }
+
+    /**
+     * Next raw 32-bit output
+     * @returns {number} Unsigned 32-bit integer
+     */
+    nextUint32() {
+        const s = this.state;
+        const result = Math.imul(Xoshiro128.rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+        const t = s[1] << 9;
+
+        s[2] ^= s[0];
+        s[3] ^= s[1];
+        s[1] ^= s[2];
+        s[0] ^= s[3];
+        s[2] ^= t;
+        s[3] = Xoshiro128.rotl(s[3], 11);
+
+        return result;
+    }
+
+    /**
+     * Next uniform random number
+     * @returns {number} Uniform number in [0, 1)
+     */
+    next() {
+        return this.nextUint32() / 4294967296;
+    }
+
+    /**
+     * Rotate a 32-bit word left
+     * @param {number} x - Word
+     * @param {number} k - Number of bits
+     * @returns {number} Rotated word
+     */
+    static rotl(x, k) {
+        return (x << k) | (x >>> (32 - k));
+    }
+}
+
+// Example usage:
+/*
+const rng = new Xoshiro128(42);
+console.log(rng.next(), rng.next());
+*/
+
+export default Xoshiro128;
\ No newline at end of file
@@ -0,0 +1,89 @@
+/**
+ * Root Finding Utilities
+ * Bracketing solvers shared by the pricing and strategy modules
+ */
+
+class RootFinding {
+    /**
+     * Find a root of f on [a, b] using Brent's method
+     * Combines inverse quadratic interpolation, the secant method and bisection.
+     * @param {Function} f - Function of one variable
+     * @param {number} a - Lower end of the bracket
+     * @param {number} b - Upper end of the bracket
+     * @param {Object} [options] - Solver options
+     * @param {number} [options.tolerance=1e-12] - Absolute tolerance on the root
+     * @param {number} [options.maxIterations=200] - Maximum number of iterations
+     * @returns {Object} Root, iterations used and convergence flag
+     */
+    static brent(f, a, b, options = {}) {
+        const { tolerance = 1e-12, maxIterations = 200 } = options;
+        let fa = f(a);
+        let fb = f(b);
+
+        if (fa === 0) return { root: a, iterations: 0, converged: true };
+        if (fb === 0) return { root: b, iterations: 0, converged: true };
+        if (fa * fb > 0) return { root: NaN, iterations: 0, converged: false };
+
+        let c = a;
+        let fc = fa;
+        let d = b - a;
+        let e = d;
+
+        for (let iter = 1; iter <= maxIterations; iter++) {
+            if (fb * fc > 0) {
+                c = a;
+                fc = fa;
+                d = b - a;
+                e = d;
+            }
+            if (Math.abs(fc) < Math.abs(fb)) {
+                [a, b, c] = [b, c, b];
+                [fa, fb, fc] = [fb, fc, fb];
+            }
+
+            const tol = 2 * Number.EPSILON * Math.abs(b) + 0.5 * tolerance;
+            const m = 0.5 * (c - b);
+            if (Math.abs(m) <= tol || fb === 0) {
+                return { root: b, iterations: iter, converged: true };
+            }
+
+            if (Math.abs(e) >= tol && Math.abs(fa) > Math.abs(fb)) {
+                // Attempt inverse quadratic interpolation (secant when only two points)
+                const s = fb / fa;
+                let p, q;
+                if (a === c) {
+                    p = 2 * m * s;
+                    q = 1 - s;
+                } else {
+                    const qa = fa / fc;
+                    const r = fb / fc;
+                    p = s * (2 * m * qa * (qa - r) - (b - a) * (r - 1));
+                    q = (qa - 1) * (r - 1) * (s - 1);
+                }
+                if (p > 0) q = -q;
+                else p = -p;
+
+                if (2 * p < Math.min(3 * m * q - Math.abs(tol * q), Math.abs(e * q))) {
+                    e = d;
+                    d = p / q;
+                } else {
+                    d = m;
+                    e = m;
+                }
+            } else {
+                // Fall back to bisection
+                d = m;
+                e = m;
+            }
+
+            a = b;
+            fa = fb;
+            b += Math.abs(d) > tol ? d : (m > 0 ? tol : -tol);
+            fb = f(b);
+        }
+
+        return { root: b, iterations: maxIterations, converged: false };
+    }
+}
+
+export default RootFinding;
\ No newline at end of file
@@ -0,0 +1,333 @@
+/**
+ * Option Strategy Builder
+ * Models positions of arbitrary stock and option legs, prices them with
+ * Black-Scholes at any date up to expiry and finds breakevens and the
+ * maximum profit and loss
+ */
+
+import BlackScholes from './black-scholes.js';
+import RootFinding from './root-finding.js';
+
+const DAYS_PER_YEAR = 365;
+
+// Preset leg templates: strike offsets are fractions of spot, expiry 'near' or 'far'
+const PRESETS = {
+    'covered-call': [
+        { type: 'stock', side: 'long' },
+        { type: 'call', side: 'short', offset: 0.1 }
+    ],
+    'cash-secured-put': [
+        { type: 'put', side: 'short', offset: -0.1 }
+    ],
+    'long-leaps': [
+        { type: 'call', side: 'long', offset: 0, expiry: 'far' }
+    ],
+    'strangle': [
+        { type: 'put', side: 'long', offset: -0.1 },
+        { type: 'call', side: 'long', offset: 0.1 }
+    ],
+    'straddle': [
+        { type: 'put', side: 'long', offset: 0 },
+        { type: 'call', side: 'long', offset: 0 }
+    ],
+    'bull-call-spread': [
+        { type: 'call', side: 'long', offset: 0 },
+        { type: 'call', side: 'short', offset: 0.1 }
+    ],
+    'bear-put-spread': [
+        { type: 'put', side: 'long', offset: 0 },
+        { type: 'put', side: 'short', offset: -0.1 }
+    ],
+    'bull-put-spread': [
+        { type: 'put', side: 'short', offset: 0 },
+        { type: 'put', side: 'long', offset: -0.1 }
+    ],
+    'bear-call-spread': [
+        { type: 'call', side: 'short', offset: 0 },
+        { type: 'call', side: 'long', offset: 0.1 }
+    ],
+    'iron-condor': [
+        { type: 'put', side: 'long', offset: -0.15 },
+        { type: 'put', side: 'short', offset: -0.05 },
+        { type: 'call', side: 'short', offset: 0.05 },
+        { type: 'call', side: 'long', offset: 0.15 }
+    ],
+    'butterfly': [
+        { type: 'call', side: 'long', offset: -0.1 },
+        { type: 'call', side: 'short', offset: 0, quantity: 2 },
+        { type: 'call', side: 'long', offset: 0.1 }
+    ],
+    'calendar': [
+        { type: 'call', side: 'short', offset: 0 },
+        { type: 'call', side: 'long', offset: 0, expiry: 'far' }
+    ],
+    'collar': [
+        { type: 'stock', side: 'long' },
+        { type: 'put', side: 'long', offset: -0.1 },
+        { type: 'call', side: 'short', offset: 0.1 }
+    ]
+};
+
+class StrategyBuilder {
+    /**
+     * Build a position from legs, pricing any leg without an entry premium
+     * @param {Array<Object>} legs - Legs as { type: 'stock'|'call'|'put', side: 'long'|'short',
+     *   quantity (default 1), strike, expiry (years from today), premium (entry price per unit;
+     *   Black-Scholes at today's market when omitted, spot for stock), volatility (leg override) }
+     * @param {Object} market - Market parameters
+     * @param {number} market.S - Spot price
+     * @param {number} market.r - Risk-free rate (as decimal)
+     * @param {number} [market.v] - Volatility (as decimal); required unless every option leg has
+     *   its own volatility or a surface is given
+     * @param {number} [market.q=0] - Continuous dividend yield (as decimal)
+     * @param {VolatilitySurface} [market.surface] - Surface supplying leg volatilities by strike and expiry
+     * @returns {Object} Position { legs, market, cost } where cost is the net debit paid (negative for a credit)
+     */
+    static createPosition(legs, market) {
+        if (!legs || legs.length === 0) throw new Error('A position needs at least one leg');
+
+        const resolved = legs.map((leg, i) => {
+            const { type, side = 'long', quantity = 1 } = leg;
+            if (!['stock', 'call', 'put'].includes(type)) throw new Error(`Leg ${i}: unknown type ${type}`);
+            if (!['long', 'short'].includes(side)) throw new Error(`Leg ${i}: side must be 'long' or 'short'`);
+            if (!(quantity > 0)) throw new Error(`Leg ${i}: quantity must be positive`);
+            if (type !== 'stock' && !(leg.strike > 0 && leg.expiry > 0)) {
+                throw new Error(`Leg ${i}: options need a positive strike and expiry`);
+            }
+
+            const result = { ...leg, type, side, quantity };
+            if (leg.premium === undefined) {
+                result.premium = type === 'stock' ? market.S : this.legValue(result, market, market.S, 0);
+            }
+            return result;
+        });
+
+        const cost = resolved.reduce((sum, leg) => sum + this.direction(leg) * leg.quantity * leg.premium, 0);
+        return { legs: resolved, market, cost };
+    }
+
+    /**
+     * Legs of a preset strategy around the current spot
+     * @param {string} name - Preset name (see StrategyBuilder.presetNames())
+     * @param {Object} options - Preset options
+     * @param {number} options.S - Spot price
+     * @param {number} [options.expiry=30/365] - Near expiry (in years)
+     * @param {number} [options.farExpiry] - Far expiry for LEAPS and calendars (default two years
+     *   for LEAPS, otherwise twice the near expiry)
+     * @param {number} [options.width=1] - Scale applied to the preset strike offsets
+     * @param {number} [options.strikeStep] - Strike increment strikes are rounded to (default: one
+     *   unit above a spot of 20, otherwise 0.5)
+     * @returns {Array<Object>} Legs for createPosition
+     */
+    static preset(name, options) {
+        const template = PRESETS[name];
+        if (!template) throw new Error(`Unknown strategy preset: ${name}`);
+
+        const { S, expiry = 30 / DAYS_PER_YEAR, width = 1 } = options;
+        const strikeStep = options.strikeStep || (S > 20 ? 1 : 0.5);
+        const farExpiry = options.farExpiry || (name === 'long-leaps' ? 2 : 2 * expiry);
+
+        return template.map(({ type, side, offset = 0, quantity = 1, expiry: tenor }) => {
+            if (type === 'stock') return { type, side, quantity };
+            return {
+                type,
+                side,
+                quantity,
+                strike: Math.max(strikeStep, Math.round(S * (1 + offset * width) / strikeStep) * strikeStep),
+                expiry: tenor === 'far' ? farExpiry : expiry
+            };
+        });
+    }
+
+    /**
+     * Names of the available presets
+     * @returns {Array<string>} Preset names
+     */
+    static presetNames() {
+        return Object.keys(PRESETS);
+    }
+
+    /**
+     * Profit and loss of a position against its entry cost
+     * @param {Object} position - Position from createPosition
+     * @param {number} S - Underlying price
+     * @param {number} [t=0] - Evaluation date (years from today); legs past their expiry are
+     *   worth their intrinsic value at S
+     * @returns {number} Profit (negative for a loss)
+     */
+    static profitAndLoss(position, S, t = 0) {
+        return position.legs.reduce((sum, leg) => {
+            return sum + this.direction(leg) * leg.quantity * (this.legValue(leg, position.market, S, t) - leg.premium);
+        }, 0);
+    }
+
+    /**
+     * Profit and loss across underlying prices
+     * @param {Object} position - Position from createPosition
+     * @param {Object} [options] - Curve options
+     * @param {Array<number>} [options.prices] - Underlying prices (default: 100 points over 50%-150% of spot)
+     * @param {number} [options.t] - Evaluation date (default: the first option expiry)
+     * @returns {Array<Object>} Points as { S, pnl }
+     */
+    static profitAndLossCurve(position, options = {}) {
+        const { S } = position.market;
+        const prices = options.prices || Array.from({ length: 100 }, (_, i) => S * (0.5 + i / 99));
+        const t = options.t !== undefined ? options.t : this.firstExpiry(position);
+        return prices.map(price => ({ S: price, pnl: this.profitAndLoss(position, price, t) }));
+    }
+
+    /**
+     * Underlying prices at which the position breaks even
+     * Sign changes of the P&L on a grid are refined with Brent's method.
+     * @param {Object} position - Position from createPosition
+     * @param {Object} [options] - Search options
+     * @param {number} [options.t] - Evaluation date (default: the first option expiry)
+     * @param {Array<number>} [options.range] - Price range searched (default: 0 to four times the
+     *   spot or the highest strike)
+     * @param {number} [options.points=400] - Grid points
+     * @returns {Array<number>} Breakeven prices in increasing order
+     */
+    static breakevens(position, options = {}) {
+        const { points = 400 } = options;
+        const t = options.t !== undefined ? options.t : this.firstExpiry(position);
+        const [low, high] = options.range || [0, 4 * Math.max(position.market.S, ...this.strikes(position))];
+        const f = S => this.profitAndLoss(position, S, t);
+        const tolerance = 1e-9 * Math.max(1, Math.abs(position.cost));
+
+        // Include the strikes so kinks at expiry cannot hide a pair of roots between grid points
+        const grid = [...new Set([
+            ...Array.from({ length: points + 1 }, (_, i) => low + (high - low) * i / points),
+            ...this.strikes(position).filter(K => K > low && K < high)
+        ])].sort((a, b) => a - b);
+
+        const roots = [];
+        let previous = f(grid[0]);
+        if (Math.abs(previous) <= tolerance) roots.push(grid[0]);
+        for (let i = 1; i < grid.length; i++) {
+            const value = f(grid[i]);
+            if (Math.abs(value) <= tolerance) {
+                // Flat at zero across a segment counts once
+                if (Math.abs(previous) > tolerance) roots.push(grid[i]);
+            } else if (previous * value < 0 && Math.abs(previous) > tolerance) {
+                const { root, converged } = RootFinding.brent(f, grid[i - 1], grid[i], { tolerance: 1e-10 });
+                if (converged) roots.push(root);
+            }
+            previous = value;
+        }
+        return roots;
+    }
+
+    /**
+     * Maximum profit and loss of a position
+     * The P&L is evaluated at zero, every strike and on a grid; beyond the grid it grows
+     * linearly with the net number of long stock and call units, so a nonzero net exposure
+     * makes the profit or loss unbounded.
+     * @param {Object} position - Position from createPosition
+     * @param {Object} [options] - Options
+     * @param {number} [options.t] - Evaluation date (default: the first option expiry)
+     * @param {number} [options.points=400] - Grid points up to four times the spot or highest strike
+     * @returns {Object} { maxProfit, maxLoss, maxProfitAt, maxLossAt } with maxLoss as a
+     *   negative P&L, Infinity/-Infinity when unbounded and the *At prices null in that case
+     */
+    static extremes(position, options = {}) {
+        const { points = 400 } = options;
+        const t = options.t !== undefined ? options.t : this.firstExpiry(position);
+        const high = 4 * Math.max(position.market.S, ...this.strikes(position));
+        const prices = [
+            ...Array.from({ length: points + 1 }, (_, i) => high * i / points),
+            ...this.strikes(position)
+        ];
+
+        let best = { pnl: -Infinity, S: null };
+        let worst = { pnl: Infinity, S: null };
+        prices.forEach(S => {
+            const pnl = this.profitAndLoss(position, S, t);
+            if (pnl > best.pnl) best = { pnl, S };
+            if (pnl < worst.pnl) worst = { pnl, S };
+        });
+
+        // Sensitivity to the underlying as S grows without bound
+        const slope = position.legs.reduce((sum, leg) => {
+            return leg.type === 'put' ? sum : sum + this.direction(leg) * leg.quantity;
+        }, 0);
+        if (slope > 1e-12) best = { pnl: Infinity, S: null };
+        if (slope < -1e-12) worst = { pnl: -Infinity, S: null };
+
+        return { maxProfit: best.pnl, maxLoss: worst.pnl, maxProfitAt: best.S, maxLossAt: worst.S };
+    }
+
+    /**
+     * Value of one unit of a leg
+     * @param {Object} leg - Leg
+     * @param {Object} market - Market parameters (as for createPosition)
+     * @param {number} S - Underlying price
+     * @param {number} t - Evaluation date (years from today)
+     * @returns {number} Leg value per unit
+     */
+    static legValue(leg, market, S, t) {
+        if (leg.type === 'stock') return S;
+
+        const T = leg.expiry - t;
+        if (T <= 1e-12) return Math.max(0, leg.type === 'call' ? S - leg.strike : leg.strike - S);
+
+        const v = this.legVolatility(leg, market, t);
+        return BlackScholes.calculate({ S, K: leg.strike, r: market.r, q: market.q || 0, v, T, type: leg.type }).price;
+    }
+
+    /**
+     * Volatility an option leg is priced at: its own override, the surface at its strike and
+     * remaining time to expiry, or the market volatility
+     * @param {Object} leg - Option leg
+     * @param {Object} market - Market parameters (as for createPosition)
+     * @param {number} [t=0] - Evaluation date (years from today)
+     * @returns {number} Volatility (as decimal)
+     */
+    static legVolatility(leg, market, t = 0) {
+        const v = leg.volatility !== undefined
+            ? leg.volatility
+            : (market.surface ? market.surface.getVolatility(leg.strike, leg.expiry - t) : market.v);
+        if (!(v >= 0)) throw new Error('A volatility is needed to price option legs');
+        return v;
+    }
+
+    /**
+     * +1 for long legs, -1 for short legs
+     * @param {Object} leg - Leg
+     * @returns {number} Direction
+     */
+    static direction(leg) {
+        return leg.side === 'short' ? -1 : 1;
+    }
+
+    /**
+     * Earliest option expiry, the default evaluation date ("at expiry")
+     * @param {Object} position - Position
+     * @returns {number} First expiry in years (0 for stock-only positions)
+     */
+    static firstExpiry(position) {
+        const expiries = position.legs.filter(leg => leg.type !== 'stock').map(leg => leg.expiry);
+        return expiries.length > 0 ? Math.min(...expiries) : 0;
+    }
+
+    /**
+     * Strikes of the option legs
+     * @param {Object} position - Position
+     * @returns {Array<number>} Strikes
+     */
+    static strikes(position) {
+        return position.legs.filter(leg => leg.type !== 'stock').map(leg => leg.strike);
+    }
+}
+
+// Example usage:
+/*
+const legs = StrategyBuilder.preset('iron-condor', { S: 100, expiry: 45 / 365 });
+const position = StrategyBuilder.createPosition(legs, { S: 100, r: 0.05, v: 0.2 });
+
+console.log(position.cost);                              // net credit is negative
+console.log(StrategyBuilder.breakevens(position));       // two breakevens at expiry
+console.log(StrategyBuilder.extremes(position));         // bounded profit and loss
+console.log(StrategyBuilder.profitAndLossCurve(position, { t: 15 / 365 }));
+*/
+
+export default StrategyBuilder;
\ No newline at end of file
@@ -0,0 +1,320 @@
+/**
+ * Stress Testing
+ * Revalues portfolios of stocks and options under user-defined and historical
+ * shock scenarios (spot, volatility, rates, correlation), attributes the P&L
+ * of each position to its risk factors, and stresses optimizer weights
+ */
+
+import BlackScholes from './black-scholes.js';
+import CovarianceEstimator from './covariance.js';
+import MonteCarloEngine from './monte-carlo.js';
+import PortfolioOptimizer from './portfolio-optimizer.js';
+
+const MIN_VOLATILITY = 0.0001;
+
+// Stylized scenarios loosely calibrated to the equity moves of past crises
+const SCENARIOS = {
+    'crisis-2008': { name: '2008-style credit crisis', spotShock: -0.4, volShift: 0.4, rateShift: -200, correlationShift: 0.3 },
+    'covid-2020': { name: '2020-style pandemic crash', spotShock: -0.34, volShift: 0.5, rateShift: -150, correlationShift: 0.3 },
+    'rate-shock': { name: 'Rates +200bp', spotShock: -0.1, volShift: 0.05, rateShift: 200, correlationShift: 0.1 },
+    'vol-spike': { name: 'Volatility spike', spotShock: -0.07, volShift: 0.15, rateShift: 0, correlationShift: 0.2 },
+    'rally': { name: 'Broad rally', spotShock: 0.15, volShift: -0.05, rateShift: 0, correlationShift: -0.1 }
+};
+
+class StressTesting {
+    /**
+     * Revalue a portfolio under a scenario
+     * @param {Object} portfolio - Portfolio as for PortfolioRisk.value; option positions may set
+     *   model: 'monte-carlo' with simulation settings ({ payoff, paths, steps, seed, varianceReduction })
+     *   to be priced by MonteCarloEngine.priceOption instead of Black-Scholes
+     * @param {Object} scenario - Scenario
+     * @param {string} [scenario.name] - Label
+     * @param {number|Array<number>} [scenario.spotShock=0] - Relative spot move, shared or per asset
+     * @param {number|Array<number>} [scenario.volShift=0] - Absolute volatility shift, shared or per asset
+     * @param {number} [scenario.rateShift=0] - Risk-free rate shift in basis points
+     * @param {number} [scenario.correlationShift=0] - Shift of pairwise correlations; it only acts
+     *   on covariance-based measures (see stressCovariance and stressWeights)
+     * @param {number} [scenario.horizonDays=0] - Trading days over which the shock unfolds; options age by it
+     * @param {Object} [options] - Run options
+     * @param {boolean} [options.attribution=true] - Attribute each position's P&L to spot,
+     *   volatility, rate and time (each shock applied alone) and the residual cross effects
+     * @param {number} [options.daysPerYear=252] - Trading days per year
+     * @returns {Object} Report { name, baseValue, stressedValue, pnl, positions } with the base and
+     *   stressed value, P&L and attribution of each position
+     */
+    static run(portfolio, scenario, options = {}) {
+        const { attribution = true, daysPerYear = 252 } = options;
+        const base = this.baseState(portfolio);
+        const stressed = this.stressedState(portfolio, scenario, daysPerYear);
+
+        const positions = portfolio.positions.map((position, index) => {
+            const baseValue = this.positionValue(portfolio, position, base);
+            const stressedValue = this.positionValue(portfolio, position, stressed);
+            const report = { index, asset: position.asset, type: position.type, baseValue, stressedValue, pnl: stressedValue - baseValue };
+
+            if (attribution) {
+                const alone = change => this.positionValue(portfolio, position, { ...base, ...change }) - baseValue;
+                const factors = {
+                    spot: alone({ spots: stressed.spots }),
+                    volatility: alone({ volShift: stressed.volShift }),
+                    rate: alone({ r: stressed.r }),
+                    time: alone({ t: stressed.t })
+                };
+                const explained = Object.values(factors).reduce((sum, value) => sum + value, 0);
+                report.attribution = { ...factors, residual: report.pnl - explained };
+            }
+            return report;
+        });
+
+        const baseValue = positions.reduce((sum, position) => sum + position.baseValue, 0);
+        const stressedValue = positions.reduce((sum, position) => sum + position.stressedValue, 0);
+        return { name: scenario.name, baseValue, stressedValue, pnl: stressedValue - baseValue, positions };
+    }
+
+    /**
+     * A predefined stylized scenario
+     * @param {string} name - Scenario name (see StressTesting.scenarioNames())
+     * @returns {Object} Scenario
+     */
+    static scenario(name) {
+        const scenario = SCENARIOS[name];
+        if (!scenario) throw new Error(`Unknown stress scenario: ${name}`);
+        return { ...scenario };
+    }
+
+    /**
+     * Names of the predefined scenarios
+     * @returns {Array<string>} Scenario names
+     */
+    static scenarioNames() {
+        return Object.keys(SCENARIOS);
+    }
+
+    /**
+     * Scenario replaying the moves of a historical window
+     * Spot shocks are each asset's return over the window; volatility shifts are the change in
+     * realized volatility against the window of equal length before it (zero without one).
+     * @param {Object} params - Window parameters
+     * @param {Array<Array<number>>} params.prices - Price history in rows (dates) by columns (assets)
+     * @param {number} params.start - Row at the start of the window
+     * @param {number} params.end - Row at the end of the window
+     * @param {Array<Date>} [params.dates] - Date of each row, used to name the scenario
+     * @param {number} [params.daysPerYear=252] - Trading days per year, for annualizing volatility
+     * @returns {Object} Scenario
+     */
+    static historicalScenario(params) {
+        const { prices, start, end, dates, daysPerYear = 252 } = params;
+        if (!(start >= 0 && end > start && end < prices.length)) throw new Error('The window lies outside the price history');
+
+        const length = end - start;
+        const volatility = (from, to, i) => {
+            const returns = [];
+            for (let t = from + 1; t <= to; t++) returns.push(Math.log(prices[t][i] / prices[t - 1][i]));
+            if (returns.length < 2) return NaN;
+            const mean = returns.reduce((sum, value) => sum + value, 0) / returns.length;
+            const variance = returns.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (returns.length - 1);
+            return Math.sqrt(variance * daysPerYear);
+        };
+
+        const assets = prices[0].map((_, i) => i);
+        const volShift = assets.map(i => {
+            const shift = start >= length ? volatility(start, end, i) - volatility(start - length, start, i) : 0;
+            return Number.isFinite(shift) ? shift : 0;
+        });
+        const label = row => (dates ? dates[row].toISOString().slice(0, 10) : `row ${row}`);
+
+        return {
+            name: `${label(start)} to ${label(end)}`,
+            spotShock: assets.map(i => prices[end][i] / prices[start][i] - 1),
+            volShift,
+            rateShift: 0,
+            horizonDays: length,
+            start,
+            end
+        };
+    }
+
+    /**
+     * Replay every historical window and report the worst non-overlapping ones
+     * @param {Object} portfolio - Portfolio (see run)
+     * @param {Object} params - Replay parameters
+     * @param {Array<Array<number>>} params.prices - Price history in rows by columns (assets, in
+     *   the order of portfolio.spots)
+     * @param {Array<Date>} [params.dates] - Date of each row
+     * @param {number} [params.windowDays=20] - Window length in rows
+     * @param {number} [params.count=5] - Number of windows to report
+     * @param {number} [params.daysPerYear=252] - Trading days per year
+     * @returns {Array<Object>} Reports (as from run) for the worst windows, each with its scenario
+     */
+    static replay(portfolio, params) {
+        const { prices, dates, windowDays = 20, count = 5, daysPerYear = 252 } = params;
+        if (prices.length <= windowDays) throw new Error('The price history is shorter than the window');
+
+        const windows = [];
+        for (let start = 0; start + windowDays < prices.length; start++) {
+            const scenario = this.historicalScenario({ prices, dates, start, end: start + windowDays, daysPerYear });
+            windows.push({ scenario, pnl: this.run(portfolio, scenario, { attribution: false, daysPerYear }).pnl });
+        }
+        windows.sort((a, b) => a.pnl - b.pnl);
+
+        const worst = [];
+        for (const window of windows) {
+            if (worst.length >= count) break;
+            const overlaps = worst.some(({ scenario }) => window.scenario.start < scenario.end && scenario.start < window.scenario.end);
+            if (!overlaps) worst.push(window);
+        }
+
+        return worst.map(({ scenario }) => ({ ...this.run(portfolio, scenario, { daysPerYear }), scenario }));
+    }
+
+    /**
+     * Stress a set of portfolio weights (as from PortfolioOptimizer)
+     * @param {Object} params - Portfolio parameters
+     * @param {Array<number>} params.weights - Asset weights
+     * @param {Array<Array<number>>} params.covariance - Annualized covariance matrix
+     * @param {Array<number>} [params.returns] - Expected returns (zero when omitted)
+     * @param {Object} params.scenario - Scenario (spotShock, volShift and correlationShift are used)
+     * @returns {Object} scenarioReturn (weighted spot shocks), contributions per asset, base and
+     *   stressed PortfolioOptimizer.calculatePortfolioMetrics, and the stressed covariance
+     */
+    static stressWeights(params) {
+        const { weights, covariance, scenario } = params;
+        const returns = params.returns || weights.map(() => 0);
+        const contributions = weights.map((weight, i) => weight * this.perAsset(scenario.spotShock, i));
+        const stressedCovariance = this.stressCovariance(covariance, scenario);
+
+        return {
+            scenarioReturn: contributions.reduce((sum, value) => sum + value, 0),
+            contributions,
+            base: PortfolioOptimizer.calculatePortfolioMetrics({ weights, returns, covariance }),
+            stressed: PortfolioOptimizer.calculatePortfolioMetrics({ weights, returns, covariance: stressedCovariance }),
+            covariance: stressedCovariance
+        };
+    }
+
+    /**
+     * Covariance matrix after volatility and correlation shifts
+     * Correlations are clamped to [-1, 1] and a matrix that is no longer positive
+     * semi-definite is replaced by the nearest one that is.
+     * @param {Array<Array<number>>} covariance - Annualized covariance matrix
+     * @param {Object} scenario - Scenario (volShift and correlationShift)
+     * @returns {Array<Array<number>>} Stressed covariance matrix
+     */
+    static stressCovariance(covariance, scenario) {
+        const { correlationShift = 0 } = scenario;
+        const volatilities = covariance.map((row, i) => Math.sqrt(row[i]));
+        const stressedVolatilities = volatilities.map((v, i) => Math.max(0, v + this.perAsset(scenario.volShift, i)));
+
+        const stressed = covariance.map((row, i) => row.map((value, j) => {
+            if (i === j) return stressedVolatilities[i] ** 2;
+            const correlation = volatilities[i] > 0 && volatilities[j] > 0 ? value / (volatilities[i] * volatilities[j]) : 0;
+            const shifted = Math.max(-1, Math.min(1, correlation + correlationShift));
+            return shifted * stressedVolatilities[i] * stressedVolatilities[j];
+        }));
+
+        return CovarianceEstimator.isPositiveSemiDefinite(stressed) ? stressed : CovarianceEstimator.nearestPSD(stressed);
+    }
+
+    /**
+     * Value of one position in a market state
+     * @param {Object} portfolio - Portfolio
+     * @param {Object} position - Position
+     * @param {Object} state - Market state { spots, volShift (per asset), r, t }
+     * @returns {number} Position value
+     */
+    static positionValue(portfolio, position, state) {
+        const S = state.spots[position.asset];
+        if (position.type === 'stock') return position.quantity * S;
+
+        const baseVolatility = position.volatility !== undefined
+            ? position.volatility
+            : (portfolio.volatilities || [])[position.asset];
+        if (!(baseVolatility >= 0)) throw new Error(`No volatility to price the option on asset ${position.asset}`);
+
+        const v = Math.max(MIN_VOLATILITY, baseVolatility + state.volShift[position.asset]);
+        const T = Math.max(0, position.expiry - state.t);
+        const q = this.perAsset(portfolio.q, position.asset);
+
+        if (position.model === 'monte-carlo' && T > 0) {
+            const { paths = 20000, steps = 50, seed = 1, ...simulation } = position.simulation || {};
+            // A fixed seed reuses the same draws in every state, so P&L is not simulation noise
+            const { price } = MonteCarloEngine.priceOption({
+                ...simulation,
+                S0: S,
+                K: position.strike,
+                r: state.r,
+                sigma: v,
+                q,
+                T,
+                type: position.type,
+                style: 'european',
+                paths,
+                steps,
+                seed
+            });
+            return position.quantity * price;
+        }
+
+        return position.quantity * BlackScholes.calculate({ S, K: position.strike, T, v, r: state.r, q, type: position.type }).price;
+    }
+
+    /**
+     * Market state today
+     * @param {Object} portfolio - Portfolio
+     * @returns {Object} State
+     */
+    static baseState(portfolio) {
+        return { spots: portfolio.spots, volShift: portfolio.spots.map(() => 0), r: portfolio.r || 0, t: 0 };
+    }
+
+    /**
+     * Market state after a scenario
+     * @param {Object} portfolio - Portfolio
+     * @param {Object} scenario - Scenario
+     * @param {number} daysPerYear - Trading days per year
+     * @returns {Object} State
+     */
+    static stressedState(portfolio, scenario, daysPerYear) {
+        const { rateShift = 0, horizonDays = 0 } = scenario;
+        return {
+            spots: portfolio.spots.map((S, i) => S * (1 + this.perAsset(scenario.spotShock, i))),
+            volShift: portfolio.spots.map((_, i) => this.perAsset(scenario.volShift, i)),
+            r: (portfolio.r || 0) + rateShift / 10000,
+            t: horizonDays / daysPerYear
+        };
+    }
+
+    /**
+     * Value of a shared or per-asset setting for one asset
+     * @param {number|Array<number>} [value] - Setting
+     * @param {number} i - Asset index
+     * @returns {number} Value for the asset (0 when unset)
+     */
+    static perAsset(value, i) {
+        const resolved = Array.isArray(value) ? value[i] : value;
+        return resolved === undefined ? 0 : resolved;
+    }
+}
+
+// Example usage:
+/*
+const portfolio = {
+    spots: [100, 50],
+    volatilities: [0.2, 0.3],
+    r: 0.03,
+    positions: [
+        { asset: 0, type: 'stock', quantity: 100 },
+        { asset: 0, type: 'put', quantity: 100, strike: 90, expiry: 0.5 },
+        { asset: 1, type: 'call', quantity: -200, strike: 55, expiry: 0.25,
+          model: 'monte-carlo', simulation: { payoff: 'asian', paths: 20000, steps: 63 } }
+    ]
+};
+
+const report = StressTesting.run(portfolio, StressTesting.scenario('crisis-2008'));
+console.log(report.pnl, report.positions.map(p => p.attribution));
+
+const worst = StressTesting.replay(portfolio, { prices, dates, windowDays: 20, count: 3 });
+const weights = StressTesting.stressWeights({ weights: [0.6, 0.4], covariance, scenario: StressTesting.scenario('covid-2020') });
+*/
+
+export default StressTesting;
\ No newline at end of file
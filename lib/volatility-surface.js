@@ -0,0 +1,552 @@
+/**
+ * Implied Volatility Surface
+ * Fits SVI (per expiry) or SSVI (across expiries) smiles to implied volatility
+ * quotes, checks the fitted surface for butterfly and calendar arbitrage, and
+ * interpolates volatility in log-moneyness and time
+ */
+
+import LinearAlgebra from './linear-algebra.js';
+
+class VolatilitySurface {
+    /**
+     * Create a surface from fitted slices
+     * Each slice describes the total implied variance w(k) = sigma^2 T at one expiry as a
+     * raw SVI curve w(k) = a + b (rho (k - m) + sqrt((k - m)^2 + sigma^2)), with
+     * k = ln(K / F) the log-moneyness against the forward F = S e^((r - q) T).
+     * @param {Object} params - Surface parameters
+     * @param {number} params.S - Spot price the surface was built at
+     * @param {number} [params.r=0] - Risk-free rate (as decimal)
+     * @param {number} [params.q=0] - Continuous dividend yield (as decimal)
+     * @param {Array<Object>} params.slices - Slices as { T, params: { a, b, rho, m, sigma } }, in any order
+     * @param {string} [params.model='svi'] - Model the slices came from
+     */
+    constructor(params) {
+        const { S, r = 0, q = 0, slices, model = 'svi' } = params;
+        if (!slices || slices.length === 0) throw new Error('A volatility surface needs at least one slice');
+
+        this.S = S;
+        this.r = r;
+        this.q = q;
+        this.model = model;
+        this.slices = [...slices].sort((a, b) => a.T - b.T);
+    }
+
+    /**
+     * Fit a surface to implied volatility quotes
+     * Where a call and a put share a strike and expiry the out-of-the-money quote is kept.
+     * @param {Array<Object>} quotes - Quotes with strike, T and impliedVolatility (as produced by
+     *   DataImport.impliedVolatilities); quotes without a finite positive volatility are ignored
+     * @param {Object} params - Market parameters and fitting options
+     * @param {number} params.S - Spot price
+     * @param {number} [params.r=0] - Risk-free rate (as decimal)
+     * @param {number} [params.q=0] - Continuous dividend yield (as decimal)
+     * @param {string} [params.model='svi'] - 'svi' (independent raw SVI per expiry) or 'ssvi'
+     *   (surface SVI with a power-law curvature, calendar-arbitrage free by construction)
+     * @param {number} [params.minQuotes=5] - Minimum quotes for an expiry to be fitted
+     * @returns {VolatilitySurface} Fitted surface whose slices carry their quote points and fit errors
+     *   (rmse in total variance, volatilityRmse in volatility); expiries with too few quotes are
+     *   listed in skipped
+     */
+    static fromQuotes(quotes, params) {
+        const { S, r = 0, q = 0, model = 'svi', minQuotes = 5 } = params;
+        const groups = new Map();
+
+        quotes
+            .filter(quote => Number.isFinite(quote.impliedVolatility) && quote.impliedVolatility > 0 && quote.T > 0 && quote.strike > 0)
+            .forEach(quote => {
+                const key = quote.T.toFixed(8);
+                if (!groups.has(key)) groups.set(key, { T: quote.T, byStrike: new Map() });
+                const { T, byStrike } = groups.get(key);
+                const forward = S * Math.exp((r - q) * T);
+                const otm = quote.type === undefined || (quote.type === 'call') === (quote.strike >= forward);
+                const existing = byStrike.get(quote.strike);
+                if (!existing || (otm && !existing.otm)) {
+                    byStrike.set(quote.strike, { otm, strike: quote.strike, volatility: quote.impliedVolatility });
+                }
+            });
+
+        const skipped = [];
+        const slices = [];
+        [...groups.values()].forEach(({ T, byStrike }) => {
+            const forward = S * Math.exp((r - q) * T);
+            const points = [...byStrike.values()]
+                .map(({ strike, volatility }) => ({ k: Math.log(strike / forward), w: volatility * volatility * T }))
+                .sort((a, b) => a.k - b.k);
+            if (points.length < minQuotes) skipped.push({ T, quotes: points.length });
+            else slices.push({ T, points });
+        });
+        if (slices.length === 0) throw new Error(`No expiry has the ${minQuotes} quotes needed for a fit`);
+        slices.sort((a, b) => a.T - b.T);
+
+        switch (model.toLowerCase()) {
+            case 'svi':
+                slices.forEach(slice => Object.assign(slice, this.fitSVI(slice.points)));
+                break;
+            case 'ssvi':
+                this.fitSSVI(slices);
+                break;
+            default:
+                throw new Error(`Unknown volatility surface model: ${model}`);
+        }
+        slices.forEach(slice => {
+            const error = slice.points.reduce((sum, { k, w }) => {
+                const fitted = Math.sqrt(Math.max(this.sviTotalVariance(slice.params, k), 0) / slice.T);
+                return sum + (fitted - Math.sqrt(w / slice.T)) ** 2;
+            }, 0);
+            slice.volatilityRmse = Math.sqrt(error / slice.points.length);
+        });
+
+        const surface = new VolatilitySurface({ S, r, q, slices, model: model.toLowerCase() });
+        surface.skipped = skipped;
+        return surface;
+    }
+
+    /**
+     * Implied volatility at a strike and expiry
+     * Between expiries total variance is interpolated linearly in T at constant log-moneyness;
+     * before the first and after the last expiry the nearest slice's volatility is held flat.
+     * @param {number} K - Strike price
+     * @param {number} T - Time to expiry (in years)
+     * @returns {number} Implied volatility (as decimal)
+     */
+    getVolatility(K, T) {
+        const k = Math.log(K / this.forward(T));
+        const time = Math.max(T, 1e-8);
+        return Math.sqrt(Math.max(this.totalVariance(k, time), 0) / time);
+    }
+
+    /**
+     * Total implied variance w(k, T)
+     * @param {number} k - Log-moneyness ln(K / F)
+     * @param {number} T - Time to expiry (in years)
+     * @returns {number} Total variance sigma^2 T
+     */
+    totalVariance(k, T) {
+        const { slices } = this;
+        const first = slices[0];
+        const last = slices[slices.length - 1];
+        const w = slice => VolatilitySurface.sviTotalVariance(slice.params, k);
+
+        if (T <= first.T) return w(first) * T / first.T;
+        if (T >= last.T) return w(last) * T / last.T;
+
+        const upper = slices.findIndex(slice => slice.T >= T);
+        const left = slices[upper - 1];
+        const right = slices[upper];
+        const weight = (T - left.T) / (right.T - left.T);
+        return (1 - weight) * w(left) + weight * w(right);
+    }
+
+    /**
+     * Dupire local volatility implied by the surface, in Gatheral's total-variance form
+     * sigma_loc^2 = (dw/dT) / g(k), with g the density function of butterflyDensity and
+     * k = ln(S / F(t)). Where the surface admits arbitrage (dw/dT <= 0 or g <= 0) the
+     * ratio has no meaning and the implied volatility is returned instead.
+     * @param {number} S - Price level
+     * @param {number} t - Time (in years)
+     * @returns {number} Local volatility (as decimal)
+     */
+    localVolatility(S, t) {
+        const T = Math.max(t, 1e-8);
+        const k = Math.log(S / this.forward(T));
+        const { w, dk, dkk, dT } = this.totalVarianceDerivatives(k, T);
+        const density = VolatilitySurface.densityFunction(k, w, dk, dkk);
+        const variance = dT / density;
+
+        if (!(dT > 0) || !(density > 0) || !Number.isFinite(variance)) return Math.sqrt(Math.max(w, 0) / T);
+        return Math.sqrt(variance);
+    }
+
+    /**
+     * Total variance and its partial derivatives under the surface's interpolation in T
+     * @param {number} k - Log-moneyness ln(K / F)
+     * @param {number} T - Time to expiry (in years)
+     * @returns {Object} { w, dk, dkk, dT }
+     */
+    totalVarianceDerivatives(k, T) {
+        const { slices } = this;
+        const first = slices[0];
+        const last = slices[slices.length - 1];
+        const at = slice => VolatilitySurface.sviDerivatives(slice.params, k);
+        const scaled = (slice, factor) => {
+            const { w, dk, dkk } = at(slice);
+            return { w: w * factor, dk: dk * factor, dkk: dkk * factor, dT: w / slice.T };
+        };
+
+        if (T <= first.T) return scaled(first, T / first.T);
+        if (T >= last.T) return scaled(last, T / last.T);
+
+        const upper = slices.findIndex(slice => slice.T >= T);
+        const left = slices[upper - 1];
+        const right = slices[upper];
+        const weight = (T - left.T) / (right.T - left.T);
+        const l = at(left);
+        const r = at(right);
+        return {
+            w: (1 - weight) * l.w + weight * r.w,
+            dk: (1 - weight) * l.dk + weight * r.dk,
+            dkk: (1 - weight) * l.dkk + weight * r.dkk,
+            dT: (r.w - l.w) / (right.T - left.T)
+        };
+    }
+
+    /**
+     * Forward price at an expiry
+     * @param {number} T - Time to expiry (in years)
+     * @returns {number} Forward price
+     */
+    forward(T) {
+        return this.S * Math.exp((this.r - this.q) * T);
+    }
+
+    /**
+     * Check the fitted slices for static arbitrage on a log-moneyness grid
+     * Butterfly arbitrage is a negative risk-neutral density, i.e. Gatheral's
+     * g(k) = (1 - k w' / (2w))^2 - w'^2 / 4 (1/w + 1/4) + w'' / 2 < 0; calendar arbitrage is
+     * total variance decreasing in T at fixed k.
+     * @param {Object} [options] - Check options
+     * @param {Array<number>} [options.range] - Log-moneyness range [min, max] (default: the quoted range)
+     * @param {number} [options.points=201] - Grid points
+     * @param {number} [options.tolerance=1e-10] - Allowed numerical violation
+     * @returns {Object} { arbitrageFree, butterfly: [{ T, k, density }], calendar: [{ T1, T2, k, difference }] }
+     *   listing the worst violation per slice (or pair of slices)
+     */
+    checkArbitrage(options = {}) {
+        const { points = 201, tolerance = 1e-10 } = options;
+        const range = options.range || this.moneynessRange();
+        const grid = Array.from({ length: points }, (_, i) => range[0] + (range[1] - range[0]) * i / (points - 1));
+        const butterfly = [];
+        const calendar = [];
+
+        this.slices.forEach(slice => {
+            let worst = null;
+            grid.forEach(k => {
+                const density = VolatilitySurface.butterflyDensity(slice.params, k);
+                if (density < -tolerance && (!worst || density < worst.density)) worst = { T: slice.T, k, density };
+            });
+            if (worst) butterfly.push(worst);
+        });
+
+        this.slices.slice(1).forEach((slice, i) => {
+            const previous = this.slices[i];
+            let worst = null;
+            grid.forEach(k => {
+                const difference = VolatilitySurface.sviTotalVariance(slice.params, k)
+                    - VolatilitySurface.sviTotalVariance(previous.params, k);
+                if (difference < -tolerance && (!worst || difference < worst.difference)) {
+                    worst = { T1: previous.T, T2: slice.T, k, difference };
+                }
+            });
+            if (worst) calendar.push(worst);
+        });
+
+        return { arbitrageFree: butterfly.length === 0 && calendar.length === 0, butterfly, calendar };
+    }
+
+    /**
+     * Log-moneyness range covered by the quotes (or [-0.5, 0.5] without quote points)
+     * @returns {Array<number>} [min, max]
+     */
+    moneynessRange() {
+        const ks = this.slices.flatMap(slice => (slice.points || []).map(point => point.k));
+        return ks.length > 0 ? [Math.min(...ks), Math.max(...ks)] : [-0.5, 0.5];
+    }
+
+    /**
+     * Volatilities on a strike by expiry grid, e.g. for a heatmap
+     * @param {Array<number>} strikes - Strikes
+     * @param {Array<number>} maturities - Expiries (in years)
+     * @returns {Array<Array<number>>} Volatilities, one row per maturity
+     */
+    grid(strikes, maturities) {
+        return maturities.map(T => strikes.map(K => this.getVolatility(K, T)));
+    }
+
+    /**
+     * Raw SVI total variance
+     * @param {Object} params - { a, b, rho, m, sigma }
+     * @param {number} k - Log-moneyness
+     * @returns {number} Total variance
+     */
+    static sviTotalVariance(params, k) {
+        const { a, b, rho, m, sigma } = params;
+        const x = k - m;
+        return a + b * (rho * x + Math.sqrt(x * x + sigma * sigma));
+    }
+
+    /**
+     * Gatheral's density function g(k) of a raw SVI slice; negative values are butterfly arbitrage
+     * @param {Object} params - { a, b, rho, m, sigma }
+     * @param {number} k - Log-moneyness
+     * @returns {number} g(k)
+     */
+    static butterflyDensity(params, k) {
+        const { w, dk, dkk } = this.sviDerivatives(params, k);
+        return this.densityFunction(k, w, dk, dkk);
+    }
+
+    /**
+     * Gatheral's g(k) from total variance and its log-moneyness derivatives
+     * @param {number} k - Log-moneyness
+     * @param {number} w - Total variance
+     * @param {number} dk - First derivative in k
+     * @param {number} dkk - Second derivative in k
+     * @returns {number} g(k) (-Infinity where the total variance is not positive)
+     */
+    static densityFunction(k, w, dk, dkk) {
+        if (w <= 0) return -Infinity;
+        const term = 1 - k * dk / (2 * w);
+        return term * term - dk * dk / 4 * (1 / w + 0.25) + dkk / 2;
+    }
+
+    /**
+     * Raw SVI total variance with its first and second derivatives in log-moneyness
+     * @param {Object} params - { a, b, rho, m, sigma }
+     * @param {number} k - Log-moneyness
+     * @returns {Object} { w, dk, dkk }
+     */
+    static sviDerivatives(params, k) {
+        const { b, rho, m, sigma } = params;
+        const x = k - m;
+        const root = Math.sqrt(x * x + sigma * sigma);
+        return {
+            w: this.sviTotalVariance(params, k),
+            dk: b * (rho + x / root),
+            dkk: b * sigma * sigma / (root * root * root)
+        };
+    }
+
+    /**
+     * Fit a raw SVI slice by least squares on total variance
+     * Quasi-explicit method (Zeliade): for fixed (m, sigma) the slice is linear in
+     * (a, b sigma rho, b sigma) and solved exactly under b >= 0, |rho| <= 1; Nelder-Mead
+     * searches over (m, ln sigma).
+     * @param {Array<Object>} points - Points as { k, w } (log-moneyness, total variance)
+     * @returns {Object} { params: { a, b, rho, m, sigma }, rmse } with the rmse in total variance
+     */
+    static fitSVI(points) {
+        const ks = points.map(point => point.k);
+        const lowest = points.reduce((best, point) => (point.w < best.w ? point : best), points[0]);
+        const span = Math.max(...ks) - Math.min(...ks) || 0.1;
+
+        const inner = (m, sigma) => {
+            const rows = points.map(({ k }) => {
+                const y = (k - m) / sigma;
+                return [y, Math.sqrt(y * y + 1)];
+            });
+            const candidates = [
+                // Unconstrained (a, d, c), then the boundaries d = c, d = -c and c = 0
+                LinearAlgebra.leastSquares(rows.map(([y, z]) => [1, y, z]), points.map(p => p.w)),
+                ...[1, -1].map(sign => {
+                    const fit = LinearAlgebra.leastSquares(rows.map(([y, z]) => [1, sign * y + z]), points.map(p => p.w));
+                    return [fit[0], sign * fit[1], fit[1]];
+                }),
+                [points.reduce((sum, p) => sum + p.w, 0) / points.length, 0, 0]
+            ];
+
+            let best = null;
+            candidates.forEach(([a, d, c]) => {
+                if (c < -1e-14 || Math.abs(d) > c + 1e-14) return;
+                const error = rows.reduce((sum, [y, z], i) => {
+                    const residual = a + d * y + c * z - points[i].w;
+                    return sum + residual * residual;
+                }, 0);
+                // Total variance must stay non-negative: min w = a + sqrt(c^2 - d^2)
+                const minimum = a + Math.sqrt(Math.max(c * c - d * d, 0));
+                const penalty = minimum < 0 ? minimum * minimum * 1e4 : 0;
+                if (!best || error + penalty < best.objective) best = { a, d, c, error, objective: error + penalty };
+            });
+            return best;
+        };
+
+        const objective = ([m, logSigma]) => {
+            const result = inner(m, Math.exp(logSigma));
+            return result ? result.objective : Infinity;
+        };
+
+        let best = null;
+        [0.05, 0.2, 0.5].forEach(scale => {
+            const result = this.nelderMead(objective, [lowest.k, Math.log(scale * span)], { step: [0.1 * span, 0.5] });
+            if (!best || result.value < best.value) best = result;
+        });
+
+        const [m, logSigma] = best.x;
+        const sigma = Math.exp(logSigma);
+        const { a, d, c, error } = inner(m, sigma);
+        return {
+            params: { a, b: c / sigma, rho: c > 0 ? d / c : 0, m, sigma },
+            rmse: Math.sqrt(error / points.length)
+        };
+    }
+
+    /**
+     * Fit SSVI across slices: w(k, theta) = theta / 2 (1 + rho phi k + sqrt((phi k + rho)^2 + 1 - rho^2))
+     * with phi(theta) = eta / (theta^gamma (1 + theta)^(1 - gamma)). The at-the-money total
+     * variances theta_T start from the quotes and are kept non-decreasing; (rho, eta, gamma)
+     * are fitted under eta (1 + |rho|) <= 2 and gamma <= 1/2, which rule out butterfly arbitrage.
+     * Each slice receives its equivalent raw SVI parameters.
+     * @param {Array<Object>} slices - Slices as { T, points }, sorted by T (modified in place)
+     * @returns {Object} { rho, eta, gamma }
+     */
+    static fitSSVI(slices) {
+        let running = 0;
+        slices.forEach(slice => {
+            running = Math.max(running, this.atTheMoneyVariance(slice.points));
+            slice.theta = running;
+        });
+
+        const decode = ([x, y, z]) => ({
+            rho: Math.tanh(x),
+            eta: Math.exp(y),
+            gamma: 0.5 / (1 + Math.exp(-z))
+        });
+        const rawParams = (theta, { rho, eta, gamma }) => {
+            const phi = eta / (Math.pow(theta, gamma) * Math.pow(1 + theta, 1 - gamma));
+            return {
+                a: theta / 2 * (1 - rho * rho),
+                b: theta * phi / 2,
+                rho,
+                m: -rho / phi,
+                sigma: Math.sqrt(1 - rho * rho) / phi
+            };
+        };
+        const sliceError = (slice, theta, decoded) => {
+            const params = rawParams(theta, decoded);
+            return slice.points.reduce((sum, { k, w }) => {
+                const residual = this.sviTotalVariance(params, k) - w;
+                return sum + residual * residual;
+            }, 0);
+        };
+        // Shared parameters followed by the log increments of theta, so theta stays non-decreasing
+        const thetas = x => {
+            let theta = 0;
+            return slices.map((_, i) => {
+                theta += Math.exp(x[3 + i]);
+                return theta;
+            });
+        };
+        const objective = x => {
+            const decoded = decode(x);
+            const excess = decoded.eta * (1 + Math.abs(decoded.rho)) - 2;
+            const theta = thetas(x);
+            const error = slices.reduce((sum, slice, i) => sum + sliceError(slice, theta[i], decoded), 0);
+            return error + (excess > 0 ? excess * excess : 0);
+        };
+
+        const increments = slices.map((slice, i) => {
+            const previous = i > 0 ? slices[i - 1].theta : 0;
+            return Math.log(Math.max(slice.theta - previous, 1e-3 * slice.theta, 1e-8));
+        });
+        let best = null;
+        [[-0.3, 0, 0], [-1, -1, 0], [0, 0.5, 1]].forEach(start => {
+            // Restart from the best vertex until the simplex stops improving
+            let result = this.nelderMead(objective, [...start, ...increments], { maxIterations: 5000 });
+            for (let restart = 0; restart < 5; restart++) {
+                const next = this.nelderMead(objective, result.x, { maxIterations: 5000 });
+                const improved = next.value < result.value * (1 - 1e-6);
+                result = next;
+                if (!improved) break;
+            }
+            if (!best || result.value < best.value) best = result;
+        });
+
+        const theta = thetas(best.x);
+        const decoded = decode(best.x);
+        if (decoded.eta * (1 + Math.abs(decoded.rho)) > 2) decoded.eta = 2 / (1 + Math.abs(decoded.rho));
+        slices.forEach((slice, i) => {
+            slice.theta = theta[i];
+            slice.params = rawParams(slice.theta, decoded);
+            slice.rmse = Math.sqrt(sliceError(slice, slice.theta, decoded) / slice.points.length);
+        });
+        return decoded;
+    }
+
+    /**
+     * At-the-money total variance of a slice, linearly interpolated at k = 0
+     * @param {Array<Object>} points - Points as { k, w }, sorted by k
+     * @returns {number} Total variance at k = 0 (the nearest quote outside the quoted range)
+     */
+    static atTheMoneyVariance(points) {
+        const upper = points.findIndex(point => point.k >= 0);
+        if (upper === -1) return points[points.length - 1].w;
+        if (upper === 0) return points[0].w;
+
+        const left = points[upper - 1];
+        const right = points[upper];
+        return left.w + (right.w - left.w) * (0 - left.k) / (right.k - left.k);
+    }
+
+    /**
+     * Minimize a function with the Nelder-Mead simplex method
+     * @param {Function} f - Objective taking a parameter array
+     * @param {Array<number>} x0 - Starting point
+     * @param {Object} [options] - Search options
+     * @param {Array<number>|number} [options.step=0.1] - Initial simplex step per coordinate
+     * @param {number} [options.tolerance=1e-12] - Stop when the simplex values agree to this
+     * @param {number} [options.maxIterations=1000] - Maximum number of iterations
+     * @returns {Object} { x, value, iterations }
+     */
+    static nelderMead(f, x0, options = {}) {
+        const { step = 0.1, tolerance = 1e-12, maxIterations = 1000 } = options;
+        const n = x0.length;
+        const steps = Array.isArray(step) ? step : Array(n).fill(step);
+        let simplex = [x0, ...x0.map((_, i) => x0.map((value, j) => (i === j ? value + steps[i] : value)))]
+            .map(x => ({ x, value: f(x) }));
+        const combine = (a, b, t) => a.map((value, i) => value + t * (b[i] - value));
+
+        let iterations = 0;
+        for (; iterations < maxIterations; iterations++) {
+            simplex.sort((a, b) => a.value - b.value);
+            const best = simplex[0];
+            const worst = simplex[n];
+            if (Math.abs(worst.value - best.value) <= tolerance * (Math.abs(best.value) + tolerance)) break;
+
+            const centroid = Array.from({ length: n }, (_, i) => simplex.slice(0, n).reduce((sum, p) => sum + p.x[i], 0) / n);
+            const reflected = combine(centroid, worst.x, -1);
+            const reflectedValue = f(reflected);
+
+            if (reflectedValue < best.value) {
+                const expanded = combine(centroid, worst.x, -2);
+                const expandedValue = f(expanded);
+                simplex[n] = expandedValue < reflectedValue
+                    ? { x: expanded, value: expandedValue }
+                    : { x: reflected, value: reflectedValue };
+            } else if (reflectedValue < simplex[n - 1].value) {
+                simplex[n] = { x: reflected, value: reflectedValue };
+            } else {
+                const outside = reflectedValue < worst.value;
+                const contracted = combine(centroid, outside ? reflected : worst.x, 0.5);
+                const contractedValue = f(contracted);
+                if (contractedValue < Math.min(reflectedValue, worst.value)) {
+                    simplex[n] = { x: contracted, value: contractedValue };
+                } else {
+                    // Shrink towards the best vertex
+                    simplex = simplex.map((p, i) => {
+                        if (i === 0) return p;
+                        const x = combine(best.x, p.x, 0.5);
+                        return { x, value: f(x) };
+                    });
+                }
+            }
+        }
+
+        simplex.sort((a, b) => a.value - b.value);
+        return { x: simplex[0].x, value: simplex[0].value, iterations };
+    }
+}
+
+// Example usage:
+/*
+const chain = DataImport.parseOptionChain(csvText);
+const quotes = DataImport.impliedVolatilities(chain.quotes, { S: 100, r: 0.05, valuationDate: new Date('2024-01-02') });
+const surface = VolatilitySurface.fromQuotes(quotes, { S: 100, r: 0.05, model: 'svi' });
+
+console.log(surface.getVolatility(95, 0.5));
+console.log(surface.checkArbitrage());
+
+const result = BlackScholes.calculate({ S: 100, K: 95, r: 0.05, T: 0.5, type: 'put', surface });
+const barrier = MonteCarloEngine.priceOption({ S0: 100, K: 95, r: 0.05, T: 0.5, type: 'put', paths: 20000,
+    steps: 100, process: 'local-vol', surface, payoff: { name: 'barrier', barrier: 80, direction: 'down', knock: 'out' } });
+*/
+
+export default VolatilitySurface;
\ No newline at end of file